@@ -0,0 +1,146 @@
+// src/api/controllers/activityController.js
+
+const TaskHistory = require('../models/taskHistoryModel');
+const TaskNote = require('../models/taskNoteModel');
+const Workspace = require('../models/workspaceModel');
+const catchAsync = require('../../utils/catchAsync');
+const AppError = require('../../utils/appError');
+const queryFeatures = require('../../utils/queryFeatures');
+
+// Groups of history actions that can be requested together with ?type=
+const ACTIVITY_TYPES = {
+  notes: ['note_added', 'note_updated', 'note_deleted'],
+  attachments: [
+    'attachment_added',
+    'attachment_removed',
+    'attachment_version_added',
+    'attachment_version_restored',
+    'attachment_version_removed',
+  ],
+};
+
+const ACTIVITY_FIELDS = { timestamp: 'date' };
+
+const ACTIONS = TaskHistory.schema.path('action').enumValues;
+
+/**
+ * Returns the kind of event a history entry describes.
+ */
+const getActivityType = (action) =>
+  Object.keys(ACTIVITY_TYPES).find(type => ACTIVITY_TYPES[type].includes(action)) || 'changes';
+
+/**
+ * Builds the feed filter from the query: ?action= and ?type= (comma-separated),
+ * ?user=, and a ?from= / ?to= date range.
+ */
+const buildActivityFilter = (query) => {
+  const filter = {};
+
+  const actions = new Set();
+  if (query.type) {
+    String(query.type).split(',').map(type => type.trim()).filter(Boolean).forEach(type => {
+      if (type === 'changes') {
+        const grouped = Object.values(ACTIVITY_TYPES).flat();
+        ACTIONS.filter(action => !grouped.includes(action)).forEach(action => actions.add(action));
+      } else if (ACTIVITY_TYPES[type]) {
+        ACTIVITY_TYPES[type].forEach(action => actions.add(action));
+      } else {
+        throw new AppError(`Unknown activity type "${type}". Use changes, notes or attachments.`, 400);
+      }
+    });
+  }
+  if (query.action) {
+    const requested = String(query.action).split(',').map(action => action.trim()).filter(Boolean);
+    const unknown = requested.find(action => !ACTIONS.includes(action));
+    if (unknown) {
+      throw new AppError(`Unknown activity action "${unknown}".`, 400);
+    }
+    // Both given: only the actions that belong to the requested types
+    const selected = query.type ? requested.filter(action => actions.has(action)) : requested;
+    actions.clear();
+    selected.forEach(action => actions.add(action));
+    if (actions.size === 0) actions.add(null); // Nothing can match
+  }
+  if (actions.size > 0) filter.action = { $in: [...actions] };
+
+  if (query.user) {
+    filter.user = queryFeatures.buildFilter({ user: query.user }, { user: 'objectId' }).user;
+  }
+
+  if (query.from || query.to) {
+    const range = {};
+    if (query.from) range.gte = query.from;
+    if (query.to) range.lte = query.to;
+    filter.timestamp = queryFeatures.buildFilter({ timestamp: range }, ACTIVITY_FIELDS).timestamp;
+  }
+
+  return filter;
+};
+
+/**
+ * Get the activity feed of a workspace (nested under /workspaces/:workspaceId)
+ * or of all the user's workspaces: task changes, notes and attachment events,
+ * newest first, with cursor pagination.
+ */
+exports.getActivity = catchAsync(async (req, res, next) => {
+  let workspaceFilter;
+  if (req.params.workspaceId) {
+    const workspace = await Workspace.findOne({ _id: req.params.workspaceId, owner: req.user.id });
+    if (!workspace) {
+      return next(new AppError('Cannot access activity in this workspace.', 403));
+    }
+    workspaceFilter = workspace._id;
+  } else {
+    const userWorkspaces = await Workspace.find({ owner: req.user.id }).select('_id');
+    workspaceFilter = { $in: userWorkspaces.map(ws => ws._id) };
+  }
+
+  const filter = { ...buildActivityFilter(req.query), workspace: workspaceFilter };
+  const sortSpec = queryFeatures.parseSort('-timestamp', ACTIVITY_FIELDS);
+  const limit = queryFeatures.parseLimit(req.query.limit);
+
+  const { docs: entries, total, nextCursor } = await queryFeatures.paginate(
+    TaskHistory,
+    filter,
+    {
+      sortSpec,
+      fieldTypes: ACTIVITY_FIELDS,
+      cursor: req.query.cursor,
+      limit,
+      decorate: query => query
+        .populate('user', 'name email')
+        .populate('task', 'title status priority')
+        .populate('workspace', 'name type'),
+    }
+  );
+
+  // Note events carry the note itself, when it still exists
+  const noteIds = entries
+    .filter(entry => entry.action !== 'note_deleted' && entry.metadata && entry.metadata.noteId)
+    .map(entry => entry.metadata.noteId);
+  const notes = noteIds.length > 0
+    ? await TaskNote.find({ _id: { $in: noteIds } }).populate('author', 'name email')
+    : [];
+  const notesById = new Map(notes.map(note => [note._id.toString(), note]));
+
+  res.status(200).json({
+    status: 'success',
+    results: entries.length,
+    total,
+    pagination: {
+      limit,
+      next: nextCursor,
+      hasMore: nextCursor !== null,
+    },
+    data: {
+      activity: entries.map(entry => {
+        const item = { ...entry.toObject(), type: getActivityType(entry.action) };
+        const noteId = entry.metadata && entry.metadata.noteId;
+        if (item.type === 'notes' && noteId && notesById.has(noteId.toString())) {
+          item.note = notesById.get(noteId.toString());
+        }
+        return item;
+      }),
+    },
+  });
+});
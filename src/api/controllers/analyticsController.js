@@ -1,6 +1,7 @@
 // src/api/controllers/analyticsController.js
 
 const Task = require('../models/taskModel');
+const TimeEntry = require('../models/timeEntryModel');
 const Workspace = require('../models/workspaceModel');
 const catchAsync = require('../../utils/catchAsync');
 const AppError = require('../../utils/appError');
@@ -36,15 +37,28 @@ exports.getWeeklyReport = catchAsync(async (req, res, next) => {
     createdAt: { $gte: sevenDaysAgo },
   });
 
+  // A task counts as completed if its status is in the workspace's "done"
+  // category. Tasks completed before 'completedAt' existed fall back to updatedAt.
+  const completedLastWeek = {
+    $and: [
+      Task.doneCondition(),
+      {
+        $or: [
+          { completedAt: { $gte: sevenDaysAgo } },
+          { completedAt: null, updatedAt: { $gte: sevenDaysAgo } },
+        ],
+      },
+    ],
+  };
+
   const tasksCompletedLastWeek = await Task.countDocuments({
     workspace: workspaceId,
-    status: 'Done',
-    updatedAt: { $gte: sevenDaysAgo }, // Assuming updatedAt reflects completion time
+    ...completedLastWeek,
   });
 
   const overdueTasks = await Task.countDocuments({
     workspace: workspaceId,
-    status: { $ne: 'Done' },
+    ...Task.openCondition(),
     dueDate: { $lt: today },
   });
 
@@ -53,8 +67,7 @@ exports.getWeeklyReport = catchAsync(async (req, res, next) => {
     {
       $match: {
         workspace: workspace._id,
-        status: 'Done',
-        updatedAt: { $gte: sevenDaysAgo },
+        ...completedLastWeek,
       },
     },
     {
@@ -90,3 +103,110 @@ exports.getWeeklyReport = catchAsync(async (req, res, next) => {
     },
   });
 });
+
+/**
+ * Generates a timesheet for a specific workspace.
+ *
+ * Totals the completed time entries logged in the workspace between `from`
+ * and `to` (query parameters, defaulting to the last 7 days), broken down by
+ * task (with estimates) and by day.
+ */
+exports.getTimesheet = catchAsync(async (req, res, next) => {
+  const { workspaceId } = req.params;
+
+  // 1) Verify user owns the workspace
+  const workspace = await Workspace.findOne({
+    _id: workspaceId,
+    owner: req.user.id,
+  });
+
+  if (!workspace) {
+    return next(new AppError('Workspace not found or you do not have permission.', 404));
+  }
+
+  // 2) Define the date range
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 7 * 24 * 60 * 60 * 1000);
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from > to) {
+    return next(new AppError('Please provide a valid date range.', 400));
+  }
+
+  // 3) Aggregate the time entries
+  const [result] = await TimeEntry.aggregate([
+    {
+      $match: {
+        workspace: workspace._id,
+        isRunning: false,
+        startedAt: { $gte: from, $lte: to },
+      },
+    },
+    {
+      $facet: {
+        byTask: [
+          {
+            $group: {
+              _id: '$task',
+              totalMinutes: { $sum: '$durationMinutes' },
+              entries: { $sum: 1 },
+            },
+          },
+          {
+            $lookup: {
+              from: Task.collection.name,
+              localField: '_id',
+              foreignField: '_id',
+              as: 'task',
+            },
+          },
+          { $unwind: { path: '$task', preserveNullAndEmptyArrays: true } },
+          {
+            $project: {
+              _id: 0,
+              taskId: '$_id',
+              title: '$task.title',
+              status: '$task.status',
+              estimateMinutes: '$task.estimateMinutes',
+              totalMinutes: 1,
+              entries: 1,
+            },
+          },
+          { $sort: { totalMinutes: -1 } },
+        ],
+        byDay: [
+          {
+            $group: {
+              _id: {
+                $dateToString: { format: '%Y-%m-%d', date: '$startedAt', timezone: 'Asia/Kolkata' },
+              },
+              totalMinutes: { $sum: '$durationMinutes' },
+            },
+          },
+          { $project: { _id: 0, date: '$_id', totalMinutes: 1 } },
+          { $sort: { date: 1 } },
+        ],
+        total: [
+          { $group: { _id: null, totalMinutes: { $sum: '$durationMinutes' } } },
+        ],
+      },
+    },
+  ]);
+
+  // 4) Format the timesheet
+  const timesheet = {
+    workspaceName: workspace.name,
+    dateRange: {
+      from: from.toISOString(),
+      to: to.toISOString(),
+    },
+    totalMinutes: result.total.length > 0 ? result.total[0].totalMinutes : 0,
+    byTask: result.byTask,
+    byDay: result.byDay,
+  };
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      timesheet,
+    },
+  });
+});
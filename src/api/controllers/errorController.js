@@ -21,6 +21,9 @@ const handleValidationErrorDB = (err) => {
   return new AppError(message, 400);
 };
 
+const handleVersionErrorDB = () =>
+  new AppError('This record was modified by another request. Please reload and try again.', 409);
+
 const handleJWTError = () => new AppError('Invalid token. Please log in again!', 401);
 const handleJWTExpiredError = () => new AppError('Your token has expired! Please log in again.', 401);
 
@@ -30,6 +33,7 @@ const sendErrorDev = (err, res) => {
     status: err.status,
     error: err,
     message: err.message,
+    data: err.data,
     stack: err.stack,
   });
 };
@@ -41,6 +45,7 @@ const sendErrorProd = (err, res) => {
     return res.status(err.statusCode).json({
       status: err.status,
       message: err.message,
+      data: err.data,
     });
   }
   
@@ -55,6 +60,9 @@ const sendErrorProd = (err, res) => {
 };
 
 module.exports = (err, req, res, next) => {
+  // Optimistic concurrency failures are expected operational errors in every environment
+  if (err.name === 'VersionError') err = handleVersionErrorDB();
+
   err.statusCode = err.statusCode || 500;
   err.status = err.status || 'error';
 
@@ -6,28 +6,50 @@ const Workspace = require('../models/workspaceModel');
 const catchAsync = require('../../utils/catchAsync');
 const AppError = require('../../utils/appError');
 
+// Meetings review the key tasks of a workspace of this type.
+const MEETING_WORKSPACE_TYPE = 'Company';
+
+/**
+ * Helper function to find the workspace to hold a meeting in: the workspace
+ * given by ID, or else the user's only active 'Company' workspace. Users with
+ * several 'Company' workspaces must say which one they mean.
+ */
+const resolveMeetingWorkspace = async (userId, workspaceId) => {
+  if (workspaceId) {
+    const workspace = await Workspace.findOne({ _id: workspaceId, owner: userId });
+    if (!workspace) {
+      throw new AppError('No workspace found with that ID for this user.', 404);
+    }
+    return workspace;
+  }
+
+  const companyWorkspaces = await Workspace.find({
+    owner: userId,
+    type: MEETING_WORKSPACE_TYPE,
+    archivedAt: null,
+  }).sort('createdAt');
+
+  if (companyWorkspaces.length === 0) {
+    throw new AppError('No "Company" workspace found for this user. Cannot start a meeting.', 404);
+  }
+  if (companyWorkspaces.length > 1) {
+    throw new AppError('You have several "Company" workspaces. Please choose one with "workspace".', 400, {
+      workspaces: companyWorkspaces.map(ws => ({ _id: ws._id, name: ws.name })),
+    });
+  }
+  return companyWorkspaces[0];
+};
+
 /**
  * Starts a new meeting session.
  *
  * This function finds all tasks marked as 'isKeyTask' within the user's
- * 'Company' workspace, creates a snapshot of them, and saves them in a
- * new Meeting document.
+ * 'Company' workspace (or the workspace given as `workspace` in the body),
+ * creates a snapshot of them, and saves them in a new Meeting document.
  */
 exports.startMeeting = catchAsync(async (req, res, next) => {
-  // 1) Find the user's 'Company' workspace.
-  const companyWorkspace = await Workspace.findOne({
-    owner: req.user.id,
-    type: 'Company',
-  });
-
-  if (!companyWorkspace) {
-    return next(
-      new AppError(
-        'No "Company" workspace found for this user. Cannot start a meeting.',
-        404
-      )
-    );
-  }
+  // 1) Find the workspace the meeting is about.
+  const companyWorkspace = await resolveMeetingWorkspace(req.user.id, req.body.workspace);
 
   // 2) Find all key tasks within that workspace.
   const keyTasks = await Task.find({
@@ -60,21 +82,30 @@ exports.startMeeting = catchAsync(async (req, res, next) => {
 });
 
 /**
- * Fetches all past meetings for the user's 'Company' workspace.
+ * Fetches all past meetings for the user's 'Company' workspaces.
+ *
+ * Query parameters:
+ * - workspace: only list the meetings of this workspace
  */
 exports.getAllMeetings = catchAsync(async (req, res, next) => {
-  const companyWorkspace = await Workspace.findOne({
-    owner: req.user.id,
-    type: 'Company',
-  });
+  const workspaceFilter = { owner: req.user.id };
+  if (req.query.workspace) {
+    workspaceFilter._id = req.query.workspace;
+  } else {
+    workspaceFilter.type = MEETING_WORKSPACE_TYPE;
+  }
+  const workspaces = await Workspace.find(workspaceFilter).select('_id');
 
-  if (!companyWorkspace) {
-    return next(new AppError('No "Company" workspace found.', 404));
+  if (workspaces.length === 0) {
+    return next(new AppError(
+      req.query.workspace ? 'No workspace found with that ID for this user.' : 'No "Company" workspace found.',
+      404
+    ));
   }
 
   const meetings = await Meeting.find({
     user: req.user.id,
-    workspace: companyWorkspace._id,
+    workspace: { $in: workspaces.map(ws => ws._id) },
   }).sort('-meetingDate'); // Sort by most recent first
 
   res.status(200).json({
@@ -0,0 +1,109 @@
+// src/api/controllers/mentionController.js
+
+const mongoose = require('mongoose');
+const Mention = require('../models/mentionModel');
+const Workspace = require('../models/workspaceModel');
+const catchAsync = require('../../utils/catchAsync');
+const AppError = require('../../utils/appError');
+const queryFeatures = require('../../utils/queryFeatures');
+
+const MENTION_FIELDS = { createdAt: 'date' };
+
+/**
+ * Get the notes the current user was @mentioned in, newest first.
+ * Only mentions in workspaces the user can access are listed, so the notes
+ * and tasks shown are never ones the user could not open.
+ * Query: unread=true, workspace, cursor, limit
+ */
+exports.getMyMentions = catchAsync(async (req, res, next) => {
+  const workspaceIds = (await Workspace.find({ owner: req.user.id }).select('_id'))
+    .map(ws => ws._id.toString());
+  const accessible = { user: req.user.id, workspace: { $in: workspaceIds } };
+
+  const filter = { ...accessible };
+  if (req.query.unread === 'true') filter.readAt = null;
+  if (req.query.workspace) {
+    if (!mongoose.Types.ObjectId.isValid(req.query.workspace)) {
+      return next(new AppError('Invalid workspace ID.', 400));
+    }
+    if (!workspaceIds.includes(req.query.workspace)) {
+      return next(new AppError('No workspace found with that ID for this user.', 404));
+    }
+    filter.workspace = req.query.workspace;
+  }
+
+  const sortSpec = queryFeatures.parseSort('-createdAt', MENTION_FIELDS);
+  const limit = queryFeatures.parseLimit(req.query.limit);
+
+  const [{ docs: mentions, total, nextCursor }, unread] = await Promise.all([
+    queryFeatures.paginate(Mention, filter, {
+      sortSpec,
+      fieldTypes: MENTION_FIELDS,
+      cursor: req.query.cursor,
+      limit,
+      decorate: query => query
+        .populate('mentionedBy', 'name email')
+        .populate('note', 'content contentHtml parent createdAt isEdited')
+        .populate('task', 'title status')
+        .populate('workspace', 'name type'),
+    }),
+    Mention.countDocuments({ ...accessible, readAt: null }),
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: mentions.length,
+    total,
+    unread,
+    pagination: {
+      limit,
+      next: nextCursor,
+      hasMore: nextCursor !== null,
+    },
+    data: {
+      mentions,
+    },
+  });
+});
+
+/**
+ * Mark one of the current user's mentions as read.
+ */
+exports.markMentionRead = catchAsync(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return next(new AppError('No mention found with that ID', 404));
+  }
+
+  const mention = await Mention.findOne({ _id: req.params.id, user: req.user.id });
+  if (!mention) {
+    return next(new AppError('No mention found with that ID', 404));
+  }
+  if (!mention.readAt) {
+    mention.readAt = new Date();
+    await mention.save();
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      mention,
+    },
+  });
+});
+
+/**
+ * Mark all of the current user's mentions as read.
+ */
+exports.markAllMentionsRead = catchAsync(async (req, res, next) => {
+  const result = await Mention.updateMany(
+    { user: req.user.id, readAt: null },
+    { $set: { readAt: new Date() } }
+  );
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      marked: result.modifiedCount,
+    },
+  });
+});
@@ -0,0 +1,281 @@
+// src/api/controllers/recurringController.js
+
+const Task = require('../models/taskModel');
+const Workspace = require('../models/workspaceModel');
+const catchAsync = require('../../utils/catchAsync');
+const AppError = require('../../utils/appError');
+const recurrenceService = require('../../services/recurrenceService');
+const recurringTaskService = require('../../services/recurringTaskService');
+const queryFeatures = require('../../utils/queryFeatures');
+
+// Template fields that can be edited through the series routes and copied
+// onto open instances.
+const SERIES_FIELDS = [
+  'title',
+  'description',
+  'priority',
+  'tags',
+  'isKeyTask',
+  'subTasks',
+  'estimateMinutes',
+  'autoCompleteOnSubTasks',
+];
+
+const SERIES_STATES = ['active', 'paused', 'ended'];
+const MAX_PREVIEW = 100;
+
+// Fields that series instances can be sorted on.
+const INSTANCE_QUERY_FIELDS = {
+  dueDate: 'date',
+  createdAt: 'date',
+};
+
+/**
+ * Loads a recurring template and verifies that the current user owns its
+ * workspace. Returns the template, or an AppError describing why it cannot be used.
+ */
+const findOwnedSeries = async (seriesId, userId) => {
+  const template = await Task.findOne({ _id: seriesId, isRecurringTemplate: true });
+  if (!template) {
+    return { error: new AppError('No recurring series found with that ID', 404) };
+  }
+  const workspace = await Workspace.findOne({ _id: template.workspace, owner: userId });
+  if (!workspace) {
+    return { error: new AppError('You do not have permission to manage this series.', 403) };
+  }
+  return { template };
+};
+
+/**
+ * Formats a template for the series responses.
+ */
+const toSeries = (template, extra = {}) => {
+  const series = template.toObject();
+  return {
+    ...series,
+    state: recurringTaskService.getSeriesState(template),
+    rrule: recurrenceService.getRuleString(template.recurring),
+    ...extra,
+  };
+};
+
+/**
+ * List the user's recurring series.
+ * Query: workspace (ID), state ('active', 'paused' or 'ended')
+ */
+exports.getAllSeries = catchAsync(async (req, res, next) => {
+  const workspaceFilter = { owner: req.user.id };
+  if (req.query.workspace) workspaceFilter._id = req.query.workspace;
+  const workspaces = await Workspace.find(workspaceFilter).select('_id');
+  if (req.query.workspace && workspaces.length === 0) {
+    return next(new AppError('Cannot access tasks in this workspace.', 403));
+  }
+
+  const filter = {
+    isRecurringTemplate: true,
+    workspace: { $in: workspaces.map(ws => ws._id) },
+  };
+  if (req.query.state) {
+    if (!SERIES_STATES.includes(req.query.state)) {
+      return next(new AppError(`State must be one of: ${SERIES_STATES.join(', ')}.`, 400));
+    }
+    filter['recurring.endedAt'] = req.query.state === 'ended' ? { $ne: null } : null;
+    if (req.query.state !== 'ended') {
+      filter['recurring.pausedAt'] = req.query.state === 'paused' ? { $ne: null } : null;
+    }
+  }
+
+  const templates = await Task.find(filter).sort('recurring.nextDueDate');
+
+  // Count the open instances of every series in one query
+  const counts = await Task.aggregate([
+    { $match: { series: { $in: templates.map(t => t._id) }, ...Task.openCondition() } },
+    { $group: { _id: '$series', count: { $sum: 1 } } },
+  ]);
+  const openCounts = new Map(counts.map(c => [c._id.toString(), c.count]));
+
+  res.status(200).json({
+    status: 'success',
+    results: templates.length,
+    data: {
+      series: templates.map(template => toSeries(template, {
+        openInstances: openCounts.get(template._id.toString()) || 0,
+      })),
+    },
+  });
+});
+
+/**
+ * Get a recurring series with its open instances.
+ */
+exports.getSeries = catchAsync(async (req, res, next) => {
+  const { template, error } = await findOwnedSeries(req.params.id, req.user.id);
+  if (error) return next(error);
+
+  const openInstances = await recurringTaskService.findOpenInstances(template._id).sort('dueDate');
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      series: toSeries(template),
+      openInstances,
+    },
+  });
+});
+
+/**
+ * List the instances of a series, newest due date first, with cursor pagination.
+ * Query: sort, limit, cursor
+ */
+exports.getSeriesInstances = catchAsync(async (req, res, next) => {
+  const { template, error } = await findOwnedSeries(req.params.id, req.user.id);
+  if (error) return next(error);
+
+  const sortSpec = queryFeatures.parseSort(req.query.sort, INSTANCE_QUERY_FIELDS, '-dueDate');
+  const limit = queryFeatures.parseLimit(req.query.limit);
+
+  const { docs: instances, total, nextCursor } = await queryFeatures.paginate(
+    Task,
+    { series: template._id },
+    {
+      sortSpec,
+      fieldTypes: INSTANCE_QUERY_FIELDS,
+      cursor: req.query.cursor,
+      limit,
+    }
+  );
+
+  res.status(200).json({
+    status: 'success',
+    results: instances.length,
+    total,
+    pagination: {
+      limit,
+      next: nextCursor,
+      hasMore: nextCursor !== null,
+    },
+    data: {
+      instances,
+    },
+  });
+});
+
+/**
+ * Edit a series. Future instances are created from the updated template.
+ *
+ * Body: any of SERIES_FIELDS, plus
+ * - recurring: a new rule, in RRULE or structured form (see createTask)
+ * - applyToOpenInstances: also copy the changed fields onto open instances
+ */
+exports.updateSeries = catchAsync(async (req, res, next) => {
+  const { template, error } = await findOwnedSeries(req.params.id, req.user.id);
+  if (error) return next(error);
+
+  const changedFields = SERIES_FIELDS.filter(field => req.body[field] !== undefined);
+  changedFields.forEach(field => template.set(field, req.body[field]));
+
+  if (req.body.recurring !== undefined) {
+    const recurring = recurringTaskService.buildUpdatedRecurrence(template, req.body.recurring);
+    template.recurring = recurring;
+    template.dueDate = recurring.nextDueDate;
+  }
+
+  await template.save();
+
+  const updatedInstances = req.body.applyToOpenInstances === true
+    ? await recurringTaskService.updateOpenInstances(template, changedFields, req.user.id)
+    : [];
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      series: toSeries(template),
+      updatedInstances: updatedInstances.map(instance => instance._id),
+    },
+  });
+});
+
+/**
+ * Pause a series.
+ */
+exports.pauseSeries = catchAsync(async (req, res, next) => {
+  const { template, error } = await findOwnedSeries(req.params.id, req.user.id);
+  if (error) return next(error);
+
+  const state = recurringTaskService.getSeriesState(template);
+  if (state !== 'active') {
+    return next(new AppError(`This series is already ${state}.`, 400));
+  }
+  await recurringTaskService.pauseSeries(template);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      series: toSeries(template),
+    },
+  });
+});
+
+/**
+ * Resume a paused series. Occurrences missed while paused are skipped.
+ */
+exports.resumeSeries = catchAsync(async (req, res, next) => {
+  const { template, error } = await findOwnedSeries(req.params.id, req.user.id);
+  if (error) return next(error);
+
+  const state = recurringTaskService.getSeriesState(template);
+  if (state !== 'paused') {
+    return next(new AppError(`Only paused series can be resumed; this one is ${state}.`, 400));
+  }
+  await recurringTaskService.resumeSeries(template);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      series: toSeries(template),
+    },
+  });
+});
+
+/**
+ * Skip the next occurrence of a series.
+ */
+exports.skipNextOccurrence = catchAsync(async (req, res, next) => {
+  const { template, error } = await findOwnedSeries(req.params.id, req.user.id);
+  if (error) return next(error);
+
+  if (recurringTaskService.getSeriesState(template) === 'ended') {
+    return next(new AppError('This series has ended.', 400));
+  }
+  const { skipped, nextDueDate } = await recurringTaskService.skipNextOccurrence(template, req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      skipped,
+      nextDueDate,
+      series: toSeries(template),
+    },
+  });
+});
+
+/**
+ * Preview the next due dates of a series.
+ * Query: count (default 10, max 100)
+ */
+exports.previewSeries = catchAsync(async (req, res, next) => {
+  const { template, error } = await findOwnedSeries(req.params.id, req.user.id);
+  if (error) return next(error);
+
+  const count = queryFeatures.parseLimit(req.query.count, 10, MAX_PREVIEW);
+  const dates = await recurringTaskService.previewOccurrences(template, count);
+
+  res.status(200).json({
+    status: 'success',
+    results: dates.length,
+    data: {
+      state: recurringTaskService.getSeriesState(template),
+      dates,
+    },
+  });
+});
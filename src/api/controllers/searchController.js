@@ -1,16 +1,47 @@
 // src/api/controllers/searchController.js
 
 const Task = require('../models/taskModel');
+const AttachmentContent = require('../models/attachmentContentModel');
 const Workspace = require('../models/workspaceModel');
 const catchAsync = require('../../utils/catchAsync');
 const AppError = require('../../utils/appError');
 
+// The most tasks returned by a search, and the characters of attachment text
+// shown around a match.
+const SEARCH_LIMIT = 20;
+const SNIPPET_RADIUS = 80;
+
+/**
+ * Returns the words of a search query, without negated words and quotes.
+ */
+const getSearchTerms = (q) => q
+  .split(/\s+/)
+  .filter(term => term && !term.startsWith('-'))
+  .map(term => term.replace(/"/g, '').toLowerCase())
+  .filter(Boolean);
+
+/**
+ * Returns the part of an attachment's text around the first search term it
+ * contains (or its beginning, when the match came from stemming).
+ */
+const buildSnippet = (text, terms) => {
+  if (!text) return '';
+  const lower = text.toLowerCase();
+  const found = terms.map(term => lower.indexOf(term)).filter(index => index !== -1);
+  const at = found.length > 0 ? Math.min(...found) : 0;
+  const start = Math.max(0, at - SNIPPET_RADIUS);
+  const end = Math.min(text.length, at + SNIPPET_RADIUS);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).replace(/\s+/g, ' ').trim()}${end < text.length ? '…' : ''}`;
+};
+
 /**
  * Performs a global search for tasks across all of a user's workspaces.
  *
  * This function searches for a given query string within the 'title' and
- * 'description' fields of all tasks owned by the authenticated user.
- * It requires a text index on the Task model to function efficiently.
+ * 'description' fields of all tasks owned by the authenticated user, and
+ * within the text extracted from their attachments. Each task reports what
+ * matched (`matchedIn`) and which of its files matched (`matchedAttachments`).
+ * It requires the text indexes on the Task and AttachmentContent models.
  */
 exports.globalSearch = catchAsync(async (req, res, next) => {
   const { q } = req.query;
@@ -33,13 +64,57 @@ exports.globalSearch = catchAsync(async (req, res, next) => {
     });
   }
 
-  // 2) Perform a text search on tasks within the user's workspaces
-  const tasks = await Task.find({
-    workspace: { $in: workspaceIds }, // Scope search to user's workspaces
-    $text: { $search: q }, // Perform the text search
+  // 2) Perform a text search on tasks and on their attachments' text within
+  // the user's workspaces
+  const [taskMatches, contentMatches] = await Promise.all([
+    Task.find({
+      workspace: { $in: workspaceIds }, // Scope search to user's workspaces
+      $text: { $search: q }, // Perform the text search
+    })
+    .populate('workspace', 'name type') // Populate workspace info for context
+    .limit(SEARCH_LIMIT), // Limit results to a reasonable number
+    AttachmentContent.find({
+      workspace: { $in: workspaceIds },
+      $text: { $search: q },
+    })
+    .select({ score: { $meta: 'textScore' }, task: 1, attachment: 1, version: 1, fileName: 1, text: 1 })
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(SEARCH_LIMIT * 5)
+    .lean(),
+  ]);
+
+  // 3) Load the tasks that only matched through their attachments
+  const matchedTaskIds = new Set(taskMatches.map(task => task._id.toString()));
+  const attachmentOnlyIds = [...new Set(contentMatches.map(content => content.task.toString()))]
+    .filter(id => !matchedTaskIds.has(id));
+  const attachmentTasks = attachmentOnlyIds.length > 0 && taskMatches.length < SEARCH_LIMIT
+    ? await Task.find({ _id: { $in: attachmentOnlyIds }, workspace: { $in: workspaceIds } })
+      .populate('workspace', 'name type')
+    : [];
+  // Keep the order of the best attachment matches
+  attachmentTasks.sort((a, b) =>
+    attachmentOnlyIds.indexOf(a._id.toString()) - attachmentOnlyIds.indexOf(b._id.toString()));
+
+  // 4) Report which files matched, skipping text of attachments removed since
+  const terms = getSearchTerms(q);
+  const tasks = [...taskMatches, ...attachmentTasks].map(task => {
+    const matchedAttachments = contentMatches
+      .filter(content => content.task.toString() === task._id.toString())
+      .filter(content => task.attachments.id(content.attachment))
+      .map(content => ({
+        attachment: content.attachment,
+        fileName: content.fileName,
+        version: content.version,
+        snippet: buildSnippet(content.text, terms),
+      }));
+    const matchedIn = [
+      ...(matchedTaskIds.has(task._id.toString()) ? ['task'] : []),
+      ...(matchedAttachments.length > 0 ? ['attachments'] : []),
+    ];
+    return { ...task.toJSON(), matchedIn, matchedAttachments };
   })
-  .populate('workspace', 'name type') // Populate workspace info for context
-  .limit(20); // Limit results to a reasonable number
+  .filter(task => task.matchedIn.length > 0)
+  .slice(0, SEARCH_LIMIT);
 
   res.status(200).json({
     status: 'success',
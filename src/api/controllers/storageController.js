@@ -0,0 +1,20 @@
+// src/api/controllers/storageController.js
+
+const storageQuotaService = require('../../services/storageQuotaService');
+const catchAsync = require('../../utils/catchAsync');
+
+/**
+ * Get the current user's attachment storage: the space used against their
+ * quota, broken down by workspace (with each workspace's own quota) and by
+ * task. Sizes are in bytes; a null quota means no limit.
+ */
+exports.getMyStorage = catchAsync(async (req, res, next) => {
+  const storage = await storageQuotaService.getUsageBreakdown(req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      storage,
+    },
+  });
+});
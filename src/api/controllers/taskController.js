@@ -1,14 +1,75 @@
 // src/api/controllers/taskController.js
 
-const { google } = require('googleapis');
-const chrono = require('chrono-node');
+const { pipeline, Transform } = require('stream');
+const mongoose = require('mongoose');
 const Task = require('../models/taskModel');
-const User = require('../models/userModel');
+const TaskHistory = require('../models/taskHistoryModel');
+const TaskNote = require('../models/taskNoteModel');
+const AttachmentUpload = require('../models/attachmentUploadModel');
 const Workspace = require('../models/workspaceModel');
 const catchAsync = require('../../utils/catchAsync');
 const AppError = require('../../utils/appError');
-const { upload, uploadToS3 } = require('../../utils/s3Upload'); // Fixed import
+const { upload, ALLOWED_TYPES, MAX_FILE_SIZE } = require('../../utils/fileUpload');
 const googleService = require('../../services/googleCalendarService');
+const dependencyService = require('../../services/dependencyService');
+const trashService = require('../../services/trashService');
+const boardService = require('../../services/boardService');
+const timeTrackingService = require('../../services/timeTrackingService');
+const recurrenceService = require('../../services/recurrenceService');
+const storageService = require('../../services/storageService');
+const attachmentProcessingService = require('../../services/attachmentProcessingService');
+const storageQuotaService = require('../../services/storageQuotaService');
+const recurringTaskService = require('../../services/recurringTaskService');
+const historyService = require('../../services/historyService');
+const mentionService = require('../../services/mentionService');
+const workspaceService = require('../../services/workspaceService');
+const queryFeatures = require('../../utils/queryFeatures');
+const logger = require('../../utils/logger');
+const { parseQuickAdd } = require('../../utils/quickAddParser');
+
+// Operations accepted by the bulk endpoint, and the maximum batch size.
+const BULK_OPERATIONS = [
+  'setStatus',
+  'setPriority',
+  'addTags',
+  'removeTags',
+  'moveWorkspace',
+  'setKeyTask',
+  'delete',
+];
+const BULK_MAX_TASKS = 500;
+
+// Fields a client may change through the task update route. Sub-tasks,
+// attachments, dependencies, board position, time spent, series links and
+// the trash have their own routes.
+const UPDATABLE_FIELDS = [
+  'title',
+  'description',
+  'status',
+  'priority',
+  'dueDate',
+  'estimateMinutes',
+  'isKeyTask',
+  'tags',
+  'autoCompleteOnSubTasks',
+  'links',
+  'workspace',
+  'recurring',
+];
+
+// Fields that clients may filter and sort tasks on, with their value types.
+const TASK_QUERY_FIELDS = {
+  title: 'string',
+  status: 'string',
+  priority: 'string',
+  dueDate: 'date',
+  isKeyTask: 'boolean',
+  tags: 'string',
+  blockedBy: 'objectId',
+  series: 'objectId',
+  createdAt: 'date',
+  updatedAt: 'date',
+};
 
 /**
  * Creates a new task. If the task is recurring, it's saved as a template.
@@ -22,63 +83,11 @@ exports.createTask = catchAsync(async (req, res, next) => {
   if (!workspace) {
     return next(new AppError('Workspace not found or you do not have permission to add a task to it.', 404));
   }
-
-  // --- Recurring Task Logic ---
-  if (req.body.recurring) {
-    req.body.isRecurringTemplate = true;
-    req.body.dueDate = req.body.recurring.nextDueDate;
-  }
-
-  const newTask = await Task.create(req.body);
-
-  // Add creation history entry
-  addHistoryEntry(
-    newTask,
-    'created',
-    `Task "${newTask.title}" was created`,
-    req.user.id,
-    {
-      priority: newTask.priority,
-      status: newTask.status,
-      dueDate: newTask.dueDate,
-    }
-  );
-
-  // --- Google Calendar Integration ---
-  if (!newTask.isRecurringTemplate && newTask.dueDate) {
-    const user = await User.findById(req.user.id).select('+googleRefreshToken');
-    if (user && user.googleRefreshToken) {
-      try {
-        const oauth2Client = new google.auth.OAuth2(
-          process.env.GOOGLE_CLIENT_ID,
-          process.env.GOOGLE_CLIENT_SECRET,
-          process.env.GOOGLE_REDIRECT_URI
-        );
-        oauth2Client.setCredentials({ refresh_token: user.googleRefreshToken });
-        const event = await googleService.createCalendarEvent(oauth2Client, {
-          title: newTask.title,
-          description: newTask.description,
-          dueDate: newTask.dueDate.toISOString(),
-        });
-        newTask.googleEventId = event.id;
-        
-        // Add history entry for calendar integration
-        addHistoryEntry(
-          newTask,
-          'updated',
-          'Google Calendar event created',
-          req.user.id,
-          { googleEventId: event.id }
-        );
-        
-        await newTask.save();
-      } catch (error) {
-        console.error('Failed to create Google Calendar event:', error.message);
-      }
-    }
+  if (workspace.archivedAt) {
+    return next(new AppError(`The "${workspace.name}" workspace is archived. Unarchive it to add tasks.`, 400));
   }
 
-  await newTask.save();
+  const newTask = await createTaskRecord(req.body, req.user.id);
 
   res.status(201).json({
     status: 'success',
@@ -89,8 +98,16 @@ exports.createTask = catchAsync(async (req, res, next) => {
 });
 
 /**
- * Fetches all tasks, with filtering capabilities.
+ * Fetches all tasks, with filtering, sorting, sparse fieldsets and cursor pagination.
  * Hides recurring templates from the main view.
+ *
+ * Query parameters:
+ * - Filters: `field=value` or `field[op]=value` with op one of
+ *   eq, ne, gt, gte, lt, lte, in, nin, all, exists (lists are comma-separated)
+ * - sort: comma-separated fields, prefix with '-' for descending
+ * - fields: comma-separated fields to include (or '-field' to exclude)
+ * - limit: page size (default 50, max 200)
+ * - cursor: the `pagination.next` value from the previous page
  */
 exports.getAllTasks = catchAsync(async (req, res, next) => {
   let filter = {
@@ -113,22 +130,40 @@ exports.getAllTasks = catchAsync(async (req, res, next) => {
   }
 
   const queryObj = { ...req.query };
-  const excludedFields = ['page', 'sort', 'limit', 'fields'];
+  const excludedFields = ['page', 'sort', 'limit', 'fields', 'cursor'];
   excludedFields.forEach(el => delete queryObj[el]);
-  
-  let query = Task.find({ ...filter, ...queryObj });
 
-  if (req.query.sort) {
-    const sortBy = req.query.sort.split(',').join(' ');
-    query = query.sort(sortBy);
-  } else {
-    query = query.sort('-createdAt');
-  }
+  const userFilter = queryFeatures.buildFilter(queryObj, TASK_QUERY_FIELDS);
+  const sortSpec = queryFeatures.parseSort(req.query.sort, TASK_QUERY_FIELDS);
+  const limit = queryFeatures.parseLimit(req.query.limit);
+  const select = queryFeatures.parseFields(
+    req.query.fields,
+    ['googleEventId'],
+    sortSpec.map(([field]) => field)
+  );
+
+  const { docs: tasks, total, nextCursor } = await queryFeatures.paginate(
+    Task,
+    { ...userFilter, ...filter },
+    {
+      sortSpec,
+      fieldTypes: TASK_QUERY_FIELDS,
+      cursor: req.query.cursor,
+      page: parseInt(req.query.page, 10) || undefined,
+      limit,
+      select,
+    }
+  );
 
-  const tasks = await query;
   res.status(200).json({
     status: 'success',
     results: tasks.length,
+    total,
+    pagination: {
+      limit,
+      next: nextCursor,
+      hasMore: nextCursor !== null,
+    },
     data: {
       tasks,
     },
@@ -150,6 +185,7 @@ exports.getTask = catchAsync(async (req, res, next) => {
   if (!workspace) {
     return next(new AppError('You do not have permission to view this task.', 403));
   }
+  setVersionHeader(res, task.__v);
   res.status(200).json({
     status: 'success',
     data: {
@@ -159,7 +195,12 @@ exports.getTask = catchAsync(async (req, res, next) => {
 });
 
 /**
- * Update an existing task
+ * Update an existing task.
+ *
+ * Clients may guard against overwriting concurrent edits by sending the
+ * version they last read, either as an `If-Match` header (the ETag returned
+ * by GET) or as a `version` field in the body. A stale write is rejected
+ * with 409 and the current task.
  */
 exports.updateTask = catchAsync(async (req, res, next) => {
   const taskToUpdate = await Task.findById(req.params.id).select('+googleEventId');
@@ -171,6 +212,67 @@ exports.updateTask = catchAsync(async (req, res, next) => {
     return next(new AppError('You do not have permission to update this task.', 403));
   }
 
+  // Only the allowed fields are written; everything else is managed through
+  // its own route or by the task model.
+  const expectedVersion = getExpectedVersion(req);
+  req.body = UPDATABLE_FIELDS.reduce((fields, field) => {
+    if (req.body[field] !== undefined) fields[field] = req.body[field];
+    return fields;
+  }, {});
+
+  // Moving to another workspace goes through save(), which remaps the status
+  // and carries the attachments' storage over; the target must have room.
+  let targetWorkspace = null;
+  if (req.body.workspace !== undefined && String(req.body.workspace) !== taskToUpdate.workspace.toString()) {
+    targetWorkspace = await Workspace.findOne({ _id: req.body.workspace, owner: req.user.id });
+    if (!targetWorkspace) {
+      return next(new AppError('Target workspace not found or you do not have permission to move tasks into it.', 404));
+    }
+    if (targetWorkspace.archivedAt) {
+      return next(new AppError(`The "${targetWorkspace.name}" workspace is archived. Unarchive it to add tasks.`, 400));
+    }
+    await workspaceService.assertStorageForMove(targetWorkspace, [taskToUpdate]);
+  }
+  delete req.body.workspace;
+
+  if (req.body.recurring !== undefined) {
+    if (!taskToUpdate.isRecurringTemplate) {
+      return next(new AppError('Only recurring templates have a recurrence rule.', 400));
+    }
+    req.body.recurring = recurringTaskService.buildUpdatedRecurrence(taskToUpdate, req.body.recurring);
+    req.body.dueDate = req.body.recurring.nextDueDate;
+  }
+
+  // Status changes must follow the workflow of the task's (new) workspace.
+  // A task moving to another workspace has no transition to check.
+  // Fields derived from the change are kept apart from the client's fields,
+  // which are the only ones recorded in the history below.
+  const statusWorkspace = targetWorkspace || workspace;
+  const derivedFields = {};
+  if (req.body.status !== undefined && req.body.status !== taskToUpdate.status) {
+    const category = statusWorkspace.getStatusCategory(req.body.status);
+    if (!category) {
+      return next(new AppError(`"${req.body.status}" is not a status in the "${statusWorkspace.name}" workspace.`, 400));
+    }
+    if (!targetWorkspace && !workspace.canTransition(taskToUpdate.status, req.body.status)) {
+      return next(new AppError(`Cannot move a task from "${taskToUpdate.status}" to "${req.body.status}".`, 400));
+    }
+    if (taskToUpdate.isDone() && category !== 'done') {
+      await recurringTaskService.assertCanReopen(taskToUpdate);
+    }
+    derivedFields.statusCategory = category;
+    // Moving between two "done" statuses keeps the original completion date
+    derivedFields.completedAt = category === 'done'
+      ? (taskToUpdate.isDone() && taskToUpdate.completedAt) || new Date()
+      : null;
+    derivedFields.rank = await Task.getEndRank(statusWorkspace._id, req.body.status, taskToUpdate._id);
+  }
+
+  // Optimistic concurrency: reject writes based on a stale version
+  if (expectedVersion !== undefined && expectedVersion !== taskToUpdate.__v) {
+    return next(await buildConflictError(taskToUpdate, expectedVersion, Object.keys(req.body)));
+  }
+
   // Store original values for history tracking
   const originalTask = taskToUpdate.toObject();
   
@@ -189,10 +291,26 @@ exports.updateTask = catchAsync(async (req, res, next) => {
     }
   });
 
-  const updatedTask = await Task.findByIdAndUpdate(req.params.id, req.body, {
-    new: true,
-    runValidators: true,
-  });
+  // The version check is repeated atomically in the update itself so that a
+  // write landing between our read and this update is still detected.
+  const updateFilter = { _id: req.params.id };
+  if (expectedVersion !== undefined) updateFilter.__v = expectedVersion;
+
+  const updatedTask = await Task.findOneAndUpdate(
+    updateFilter,
+    { ...req.body, ...derivedFields, $inc: { __v: 1 } },
+    {
+      new: true,
+      runValidators: true,
+    }
+  );
+  if (!updatedTask) {
+    const currentTask = await Task.findById(req.params.id);
+    if (!currentTask) {
+      return next(new AppError('No task found with that ID', 404));
+    }
+    return next(await buildConflictError(currentTask, expectedVersion, Object.keys(req.body)));
+  }
 
   // Add history entries for each change
   changes.forEach(change => {
@@ -213,21 +331,15 @@ exports.updateTask = catchAsync(async (req, res, next) => {
 
   // Update Google Calendar event if it exists
   if (taskToUpdate.googleEventId) {
-    const user = await User.findById(req.user.id).select('+googleRefreshToken');
-    if (user && user.googleRefreshToken) {
-      try {
-        const oauth2Client = new google.auth.OAuth2(
-          process.env.GOOGLE_CLIENT_ID,
-          process.env.GOOGLE_CLIENT_SECRET,
-          process.env.GOOGLE_REDIRECT_URI
-        );
-        oauth2Client.setCredentials({ refresh_token: user.googleRefreshToken });
+    try {
+      const oauth2Client = await googleService.getCalendarClient(req.user.id);
+      if (oauth2Client) {
         await googleService.updateCalendarEvent(oauth2Client, taskToUpdate.googleEventId, {
           title: updatedTask.title,
           description: updatedTask.description,
           dueDate: updatedTask.dueDate ? updatedTask.dueDate.toISOString() : null,
         });
-        
+
         // Add history entry for calendar update
         addHistoryEntry(
           updatedTask,
@@ -236,24 +348,36 @@ exports.updateTask = catchAsync(async (req, res, next) => {
           req.user.id,
           { googleEventId: taskToUpdate.googleEventId }
         );
-      } catch (error) {
-        console.error('Failed to update Google Calendar event:', error.message);
       }
+    } catch (error) {
+      logger.error(`Failed to update Google Calendar event for task ${taskToUpdate._id}: ${error.message}`);
     }
   }
 
+  // The task model records the move in the task's history
+  if (targetWorkspace) updatedTask.workspace = targetWorkspace._id;
   await updatedTask.save();
 
+  // Release any tasks that were waiting on this one
+  let completion = { task: updatedTask, unblockedTasks: [], nextInstance: null, stoppedTimers: [] };
+  if (!taskToUpdate.isDone() && updatedTask.isDone()) {
+    completion = await handleTaskCompleted(updatedTask, req.user.id);
+  }
+
+  setVersionHeader(res, completion.task.__v);
   res.status(200).json({
     status: 'success',
     data: {
-      task: updatedTask,
+      task: completion.task,
+      unblockedTasks: completion.unblockedTasks.map(t => t._id),
+      nextInstance: completion.nextInstance,
+      stoppedTimers: completion.stoppedTimers,
     },
   });
 });
 
 /**
- * Delete a task
+ * Delete a task by moving it to the trash
  */
 exports.deleteTask = catchAsync(async (req, res, next) => {
   const taskToDelete = await Task.findById(req.params.id).select('+googleEventId');
@@ -265,57 +389,226 @@ exports.deleteTask = catchAsync(async (req, res, next) => {
     return next(new AppError('You do not have permission to delete this task.', 403));
   }
 
-  // Delete Google Calendar event if it exists
-  if (taskToDelete.googleEventId) {
-    const user = await User.findById(req.user.id).select('+googleRefreshToken');
-    if (user && user.googleRefreshToken) {
-      try {
-        const oauth2Client = new google.auth.OAuth2(
-          process.env.GOOGLE_CLIENT_ID,
-          process.env.GOOGLE_CLIENT_SECRET,
-          process.env.GOOGLE_REDIRECT_URI
-        );
-        oauth2Client.setCredentials({ refresh_token: user.googleRefreshToken });
-        await googleService.deleteCalendarEvent(oauth2Client, taskToDelete.googleEventId);
-      } catch (error) {
-        console.error('Failed to delete Google Calendar event:', error.message);
-      }
+  await trashService.moveToTrash(taskToDelete, req.user.id);
+
+  res.status(204).json({
+    status: 'success',
+    data: null,
+  });
+});
+
+/**
+ * Apply one operation to many tasks at once.
+ *
+ * Body: { taskIds: [...], operation, value }
+ * Supported operations:
+ * - setStatus (value: status), setPriority (value: priority)
+ * - addTags / removeTags (value: array of tags)
+ * - moveWorkspace (value: target workspace ID)
+ * - setKeyTask (value: boolean)
+ * - delete
+ *
+ * Each task is checked for ownership individually and the response reports
+ * success or failure per task.
+ */
+exports.bulkUpdateTasks = catchAsync(async (req, res, next) => {
+  const { taskIds, operation, value } = req.body;
+
+  if (!Array.isArray(taskIds) || taskIds.length === 0) {
+    return next(new AppError('Please provide a non-empty array of task IDs.', 400));
+  }
+  if (taskIds.length > BULK_MAX_TASKS) {
+    return next(new AppError(`A bulk operation can affect at most ${BULK_MAX_TASKS} tasks.`, 400));
+  }
+  if (!BULK_OPERATIONS.includes(operation)) {
+    return next(new AppError(`Operation must be one of: ${BULK_OPERATIONS.join(', ')}.`, 400));
+  }
+
+  // 1) Validate the operation value up front
+  if (operation === 'setStatus' && (typeof value !== 'string' || value.trim() === '')) {
+    return next(new AppError('Please provide a status.', 400));
+  }
+  if (operation === 'setPriority' && !Task.schema.path('priority').enumValues.includes(value)) {
+    return next(new AppError(`Invalid priority: ${value}`, 400));
+  }
+  if (['addTags', 'removeTags'].includes(operation) &&
+    (!Array.isArray(value) || value.length === 0 || value.some(tag => typeof tag !== 'string'))) {
+    return next(new AppError('Please provide a non-empty array of tags.', 400));
+  }
+  if (operation === 'setKeyTask' && typeof value !== 'boolean') {
+    return next(new AppError('isKeyTask value must be a boolean.', 400));
+  }
+
+  // 2) Resolve the workspaces the user owns (and the move target, if any)
+  const userWorkspaces = await Workspace.find({ owner: req.user.id });
+  const workspacesById = new Map(userWorkspaces.map(ws => [ws._id.toString(), ws]));
+
+  let targetWorkspace;
+  if (operation === 'moveWorkspace') {
+    targetWorkspace = userWorkspaces.find(ws => ws._id.toString() === String(value));
+    if (!targetWorkspace) {
+      return next(new AppError('Target workspace not found or you do not have permission to move tasks into it.', 404));
+    }
+    if (targetWorkspace.archivedAt) {
+      return next(new AppError(`The "${targetWorkspace.name}" workspace is archived. Unarchive it to add tasks.`, 400));
     }
   }
 
-  await Task.findByIdAndDelete(req.params.id);
+  // 3) Apply the operation to each task
+  const uniqueIds = [...new Set(taskIds.map(String))];
+  const tasks = await Task.find({ _id: { $in: uniqueIds.filter(id => mongoose.isValidObjectId(id)) } })
+    .select('+googleEventId');
+  const tasksById = new Map(tasks.map(task => [task._id.toString(), task]));
+
+  const results = [];
+  for (const id of uniqueIds) {
+    const task = tasksById.get(id);
+    if (!task) {
+      results.push({ id, success: false, error: 'No task found with that ID' });
+      continue;
+    }
+    const taskWorkspace = workspacesById.get(task.workspace.toString());
+    if (!taskWorkspace) {
+      results.push({ id, success: false, error: 'You do not have permission to modify this task.' });
+      continue;
+    }
 
-  res.status(204).json({
+    try {
+      const changed = await applyBulkOperation(task, operation, value, {
+        taskWorkspace,
+        targetWorkspace,
+        userId: req.user.id,
+      });
+      results.push({ id, success: true, changed });
+    } catch (error) {
+      results.push({ id, success: false, error: error.message });
+    }
+  }
+
+  const succeeded = results.filter(result => result.success).length;
+
+  res.status(200).json({
     status: 'success',
-    data: null,
+    data: {
+      operation,
+      succeeded,
+      failed: results.length - succeeded,
+      results,
+    },
   });
 });
 
 /**
- * Parse natural language text to extract task details
+ * Parse natural language task input without creating anything.
+ *
+ * Recognizes priority markers (!high, !!), #tags, an @workspace, the key-task
+ * flag (!key or *), recurrence phrases ("every other Friday"), a due date and
+ * a description after "//". `spans` lists which part of the input matched
+ * which field.
+ *
+ * Body: { text, referenceDate }
  */
 exports.parseTask = catchAsync(async (req, res, next) => {
   const { text } = req.body;
   if (!text) {
     return next(new AppError('Please provide text to parse.', 400));
   }
-  
-  const parsedResults = chrono.parse(text);
-  let title = text;
-  let dueDate = null;
-  
-  if (parsedResults.length > 0) {
-    const parsedResult = parsedResults[0];
-    title = text.substring(0, parsedResult.index).trim();
-    dueDate = parsedResult.start.date();
+
+  const parsed = parseQuickAddInput(text, req.body.referenceDate);
+  const warnings = [];
+
+  let workspace = null;
+  if (parsed.workspace) {
+    workspace = await findWorkspaceByName(parsed.workspace, req.user.id);
+    if (!workspace) warnings.push(`No workspace named "${parsed.workspace}" was found.`);
   }
-  
+
+  let recurring = null;
+  if (parsed.recurring) {
+    try {
+      const rule = recurrenceService.normalizeRecurrence(parsed.recurring);
+      recurring = { ...parsed.recurring, rrule: rule.rrule, nextDueDate: rule.nextDueDate };
+    } catch (error) {
+      warnings.push(error.message);
+    }
+  }
+
   res.status(200).json({
     status: 'success',
     data: {
-      title,
-      dueDate,
-      description: `Original input: ${text}`,
+      title: parsed.title,
+      description: parsed.description,
+      priority: parsed.priority,
+      tags: parsed.tags,
+      workspace: workspace ? { _id: workspace._id, name: workspace.name } : null,
+      isKeyTask: parsed.isKeyTask,
+      dueDate: recurring ? recurring.nextDueDate : parsed.dueDate || null,
+      recurring,
+      spans: parsed.spans,
+      warnings,
+    },
+  });
+});
+
+/**
+ * Parse natural language task input and create the task in one call.
+ *
+ * The workspace is taken from an @workspace marker in the text, then the
+ * `workspace` body field, then the nested route's workspace.
+ *
+ * Body: { text, workspace, referenceDate }
+ */
+exports.quickAddTask = catchAsync(async (req, res, next) => {
+  const { text } = req.body;
+  if (!text) {
+    return next(new AppError('Please provide text to parse.', 400));
+  }
+
+  const parsed = parseQuickAddInput(text, req.body.referenceDate);
+  if (!parsed.title) {
+    return next(new AppError('Could not find a task title in the text.', 400, { spans: parsed.spans }));
+  }
+
+  let workspace;
+  if (parsed.workspace) {
+    workspace = await findWorkspaceByName(parsed.workspace, req.user.id);
+    if (!workspace) {
+      return next(new AppError(`No workspace named "${parsed.workspace}" was found.`, 404, { spans: parsed.spans }));
+    }
+  } else {
+    const workspaceId = req.body.workspace || req.params.workspaceId;
+    if (!workspaceId) {
+      return next(new AppError('Please mention a workspace with @name or provide a workspace ID.', 400));
+    }
+    workspace = await Workspace.findOne({ _id: workspaceId, owner: req.user.id });
+    if (!workspace) {
+      return next(new AppError('Workspace not found or you do not have permission to add a task to it.', 404));
+    }
+  }
+  if (workspace.archivedAt) {
+    return next(new AppError(`The "${workspace.name}" workspace is archived. Unarchive it to add tasks.`, 400));
+  }
+
+  const taskData = {
+    title: parsed.title,
+    description: parsed.description,
+    priority: parsed.priority,
+    tags: parsed.tags,
+    isKeyTask: parsed.isKeyTask,
+    dueDate: parsed.dueDate,
+    recurring: parsed.recurring,
+    workspace: workspace._id,
+    user: req.user.id,
+  };
+  Object.keys(taskData).forEach(key => taskData[key] === undefined && delete taskData[key]);
+
+  const newTask = await createTaskRecord(taskData, req.user.id);
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      task: newTask,
+      spans: parsed.spans,
     },
   });
 });
@@ -343,38 +636,24 @@ exports.addAttachmentToTask = catchAsync(async (req, res, next) => {
     return next(new AppError('You do not have permission to modify this task.', 403));
   }
 
+  // Space is reserved up front, so concurrent uploads cannot exceed a quota
+  const owners = { userId: req.user.id, workspaceId: task.workspace };
+  await storageQuotaService.reserveStorage(owners, req.file.size);
+
+  let stored;
   try {
-    const uploadResult = await uploadToS3(req.file, req.user.id, req.params.id);
+    stored = await storageService.storeAttachment(req.file, req.user.id, req.params.id);
     
-    const newAttachment = {
+    const newAttachment = attachFileToTask(task, {
       fileName: req.file.originalname,
-      fileUrl: uploadResult.Location,
-      fileKey: uploadResult.Key,
+      fileKey: stored.fileKey,
+      storageDriver: stored.storageDriver,
       fileSize: req.file.size,
       contentType: req.file.mimetype,
-      uploadedAt: new Date(),
-    };
-    
-    if (!task.attachments) {
-      task.attachments = [];
-    }
-    
-    task.attachments.push(newAttachment);
-
-    // Add history entry
-    addHistoryEntry(
-      task,
-      'attachment_added',
-      `File "${req.file.originalname}" was attached`,
-      req.user.id,
-      {
-        fileName: req.file.originalname,
-        fileSize: req.file.size,
-        contentType: req.file.mimetype,
-      }
-    );
+    }, req.user.id);
 
     await task.save();
+    attachmentProcessingService.queueAttachmentProcessing(task._id, newAttachment._id);
     
     res.status(200).json({
       status: 'success',
@@ -385,16 +664,19 @@ exports.addAttachmentToTask = catchAsync(async (req, res, next) => {
       },
     });
   } catch (error) {
-    console.error('S3 upload error:', error);
-    return next(new AppError('Failed to upload file to S3. Please try again.', 500));
+    logger.error(`Failed to upload attachment "${req.file.originalname}" to task ${task._id}: ${error.message}`);
+    await abandonStoredFile(stored, owners, req.file.size);
+    return next(new AppError('Failed to store the file. Please try again.', 500));
   }
 });
 
 /**
- * Remove attachment from a task
+ * Upload a new version of an existing attachment
  */
-exports.removeAttachmentFromTask = catchAsync(async (req, res, next) => {
-  const { attachmentId } = req.params;
+exports.addAttachmentVersion = catchAsync(async (req, res, next) => {
+  if (!req.file) {
+    return next(new AppError('Please upload a file.', 400));
+  }
   
   const task = await Task.findById(req.params.id);
   if (!task) {
@@ -406,56 +688,50 @@ exports.removeAttachmentFromTask = catchAsync(async (req, res, next) => {
     return next(new AppError('You do not have permission to modify this task.', 403));
   }
 
-  const attachmentIndex = task.attachments.findIndex(
-    attachment => attachment._id.toString() === attachmentId
-  );
-  
-  if (attachmentIndex === -1) {
+  const attachment = task.attachments.id(req.params.attachmentId);
+  if (!attachment) {
     return next(new AppError('Attachment not found', 404));
   }
 
-  const removedAttachment = task.attachments[attachmentIndex];
-  task.attachments.splice(attachmentIndex, 1);
+  // Space is reserved up front, so concurrent uploads cannot exceed a quota
+  const owners = { userId: req.user.id, workspaceId: task.workspace };
+  await storageQuotaService.reserveStorage(owners, req.file.size);
 
-  // Add history entry
-  addHistoryEntry(
-    task,
-    'attachment_removed',
-    `File "${removedAttachment.fileName}" was removed`,
-    req.user.id,
-    {
-      fileName: removedAttachment.fileName,
-      fileSize: removedAttachment.fileSize,
-      contentType: removedAttachment.contentType,
-    }
-  );
-  
-  await task.save();
-  
-  res.status(200).json({
-    status: 'success',
-    message: 'Attachment removed successfully',
-    data: {
-      task,
-      removedAttachment,
-    },
-  });
-});
+  let stored;
+  try {
+    stored = await storageService.storeAttachment(req.file, req.user.id, req.params.id);
 
-/**
- * Middleware to set workspace and user IDs from params/auth
- */
-exports.setWorkspaceUserIds = (req, res, next) => {
-  if (!req.body.workspace) req.body.workspace = req.params.workspaceId;
-  if (!req.body.user) req.body.user = req.user.id;
-  next();
-};
+    addVersionToAttachment(task, attachment, {
+      fileName: req.file.originalname,
+      fileKey: stored.fileKey,
+      storageDriver: stored.storageDriver,
+      fileSize: req.file.size,
+      contentType: req.file.mimetype,
+    }, req.user.id);
+
+    await task.save();
+    attachmentProcessingService.queueAttachmentProcessing(task._id, attachment._id);
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'New version uploaded successfully',
+      data: {
+        task,
+        attachment,
+      },
+    });
+  } catch (error) {
+    logger.error(`Failed to upload a new version of attachment ${attachment._id} of task ${task._id}: ${error.message}`);
+    await abandonStoredFile(stored, owners, req.file.size);
+    return next(new AppError('Failed to store the file. Please try again.', 500));
+  }
+});
 
 /**
- * Get all attachments for a task
+ * Get the version history of an attachment, newest first
  */
-exports.getTaskAttachments = catchAsync(async (req, res, next) => {
-  const task = await Task.findById(req.params.id).select('attachments');
+exports.getAttachmentVersions = catchAsync(async (req, res, next) => {
+  const task = await Task.findById(req.params.id).select('attachments workspace');
   if (!task) {
     return next(new AppError('No task found with that ID', 404));
   }
@@ -464,20 +740,35 @@ exports.getTaskAttachments = catchAsync(async (req, res, next) => {
   if (!workspace) {
     return next(new AppError('You do not have permission to view this task.', 403));
   }
-  
+
+  const attachment = task.attachments.id(req.params.attachmentId);
+  if (!attachment) {
+    return next(new AppError('Attachment not found', 404));
+  }
+
+  await task.populate({ path: 'attachments.uploadedBy attachments.versions.uploadedBy', select: 'name email' });
+  const versions = attachment.listVersions().map(version => ({
+    ...version,
+    current: version.version === attachment.version,
+    downloadUrl: `/api/v1/tasks/${task._id}/attachments/${attachment._id}/versions/${version.version}/download`,
+  }));
+
   res.status(200).json({
     status: 'success',
-    results: task.attachments ? task.attachments.length : 0,
+    results: versions.length,
     data: {
-      attachments: task.attachments || [],
+      attachment: attachment._id,
+      currentVersion: attachment.version,
+      versions,
     },
   });
 });
 
 /**
- * Mark task as completed
+ * Restore an earlier version of an attachment. The restored file becomes a
+ * new version, so the versions in between stay in the history.
  */
-exports.markTaskCompleted = catchAsync(async (req, res, next) => {
+exports.restoreAttachmentVersion = catchAsync(async (req, res, next) => {
   const task = await Task.findById(req.params.id);
   if (!task) {
     return next(new AppError('No task found with that ID', 404));
@@ -488,80 +779,1068 @@ exports.markTaskCompleted = catchAsync(async (req, res, next) => {
     return next(new AppError('You do not have permission to modify this task.', 403));
   }
 
-  const previousStatus = task.status;
-  task.status = 'Done';
-  task.completedAt = new Date();
+  const attachment = task.attachments.id(req.params.attachmentId);
+  if (!attachment) {
+    return next(new AppError('Attachment not found', 404));
+  }
 
-  // Add history entry
-  addHistoryEntry(
-    task,
-    'completed',
-    `Task completed (changed from "${previousStatus}")`,
-    req.user.id,
-    {
-      previousStatus,
-      completedAt: task.completedAt,
-    }
-  );
+  const restored = attachment.findVersion(req.params.version);
+  if (!restored) {
+    return next(new AppError('Attachment version not found', 404));
+  }
+  if (restored.version === attachment.version) {
+    return next(new AppError('This is already the current version of the attachment.', 400));
+  }
+
+  addVersionToAttachment(task, attachment, {
+    fileName: restored.fileName,
+    fileKey: restored.fileKey,
+    storageDriver: restored.storageDriver,
+    fileSize: restored.fileSize,
+    contentType: restored.contentType,
+    thumbnailKey: restored.thumbnailKey,
+    restoredFrom: restored.version,
+  }, req.user.id);
 
   await task.save();
+  attachmentProcessingService.queueAttachmentProcessing(task._id, attachment._id);
 
   res.status(200).json({
     status: 'success',
+    message: `Version ${restored.version} restored as version ${attachment.version}`,
     data: {
       task,
+      attachment,
     },
   });
 });
 
 /**
- * Mark task as pending/incomplete
+ * Start a direct upload: registers the file the client is about to upload
+ * and returns where to send it. With storage drivers that can sign URLs the
+ * file goes straight to storage; otherwise it is sent to the API.
+ * The attachment (or, with `attachmentId`, its new version) is only added
+ * once the upload is confirmed.
  */
-exports.markTaskPending = catchAsync(async (req, res, next) => {
-  const task = await Task.findById(req.params.id);
-  if (!task) {
-    return next(new AppError('No task found with that ID', 404));
+exports.createAttachmentUpload = catchAsync(async (req, res, next) => {
+  const { fileName, contentType } = req.body;
+  const fileSize = Number(req.body.fileSize);
+
+  if (!fileName || typeof fileName !== 'string' || !fileName.trim()) {
+    return next(new AppError('Please provide the name of the file.', 400));
   }
-  
+  if (!ALLOWED_TYPES.includes(contentType)) {
+    return next(new AppError('Invalid file type. Only images, PDFs, and documents are allowed.', 400));
+  }
+  if (!Number.isInteger(fileSize) || fileSize < 1) {
+    return next(new AppError('Please provide the size of the file in bytes.', 400));
+  }
+  if (fileSize > MAX_FILE_SIZE) {
+    return next(new AppError(`Files cannot be larger than ${MAX_FILE_SIZE} bytes.`, 413));
+  }
+
+  const task = await Task.findById(req.params.id).select('attachments workspace');
+  if (!task) {
+    return next(new AppError('No task found with that ID', 404));
+  }
+  
+  const workspace = await Workspace.findOne({ _id: task.workspace, owner: req.user.id });
+  if (!workspace) {
+    return next(new AppError('You do not have permission to modify this task.', 403));
+  }
+
+  const { attachmentId } = req.body;
+  if (attachmentId && !task.attachments.id(attachmentId)) {
+    return next(new AppError('Attachment not found', 404));
+  }
+
+  await storageQuotaService.assertStorageAvailable({ userId: req.user.id, workspaceId: task.workspace }, fileSize);
+
+  const { upload: pendingUpload, target } = await storageService.createUpload(task, req.user.id, {
+    fileName: fileName.trim(),
+    contentType,
+    fileSize,
+    attachment: attachmentId,
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      upload: pendingUpload,
+      uploadUrl: target.url,
+      method: target.method,
+      headers: target.headers,
+      expiresAt: target.expiresAt,
+      confirmUrl: `/api/v1/tasks/${task._id}/attachments/uploads/${pendingUpload._id}/confirm`,
+    },
+  });
+});
+
+/**
+ * Receive the file of a direct upload, for storage drivers that cannot sign
+ * upload URLs. The body is the raw file and may not exceed the declared size.
+ */
+exports.receiveAttachmentUpload = catchAsync(async (req, res, next) => {
+  const pendingUpload = await AttachmentUpload.findOne({
+    _id: req.params.uploadId,
+    task: req.params.id,
+    user: req.user.id,
+  });
+  if (!pendingUpload) {
+    return next(new AppError('No upload found with that ID', 404));
+  }
+  if (pendingUpload.expiresAt <= new Date()) {
+    return next(new AppError('This upload has expired. Please start a new one.', 410));
+  }
+  if (storageService.getDriver(pendingUpload.storageDriver).canSignUrls) {
+    return next(new AppError('Upload this file to the URL returned when the upload was created.', 400));
+  }
+
+  const declaredLength = Number(req.get('Content-Length'));
+  if (declaredLength > pendingUpload.fileSize) {
+    return next(new AppError('The file is larger than the size declared for this upload.', 413));
+  }
+
+  let received = 0;
+  const limit = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > pendingUpload.fileSize) {
+        const error = new Error('Upload exceeds the declared size.');
+        error.code = 'UPLOAD_TOO_LARGE';
+        return callback(error);
+      }
+      callback(null, chunk);
+    },
+  });
+
+  try {
+    await storageService.writeUpload(pendingUpload, req.pipe(limit));
+  } catch (error) {
+    await storageService.discardUpload(pendingUpload).catch(() => {});
+    if (error.code === 'UPLOAD_TOO_LARGE') {
+      return next(new AppError('The file is larger than the size declared for this upload.', 413));
+    }
+    throw error;
+  }
+
+  res.status(204).send();
+});
+
+/**
+ * Confirm a direct upload: checks the stored file against what was declared
+ * and attaches it to the task.
+ */
+exports.confirmAttachmentUpload = catchAsync(async (req, res, next) => {
+  const task = await Task.findById(req.params.id);
+  if (!task) {
+    return next(new AppError('No task found with that ID', 404));
+  }
+  
+  const workspace = await Workspace.findOne({ _id: task.workspace, owner: req.user.id });
+  if (!workspace) {
+    return next(new AppError('You do not have permission to modify this task.', 403));
+  }
+
+  const pendingUpload = await AttachmentUpload.findOne({
+    _id: req.params.uploadId,
+    task: task._id,
+    user: req.user.id,
+  });
+  if (!pendingUpload) {
+    return next(new AppError('No upload found with that ID', 404));
+  }
+
+  // Claiming the upload makes a repeated confirmation fail instead of
+  // attaching the same file twice. Until it is claimed, the upload can be
+  // confirmed again and its file is deleted when it expires.
+  const claim = () => AttachmentUpload.findOneAndDelete({ _id: pendingUpload._id });
+  const discard = () => storageService.discardUpload(pendingUpload).catch((error) => {
+    logger.error(`Failed to delete uploaded file ${pendingUpload.fileKey} of upload ${pendingUpload._id}: ${error.message}`);
+  });
+
+  if (pendingUpload.expiresAt <= new Date()) {
+    if (await claim()) await discard();
+    return next(new AppError('This upload has expired. Please start a new one.', 410));
+  }
+
+  const stored = await storageService.statUpload(pendingUpload);
+  if (!stored) {
+    return next(new AppError('The file has not been uploaded yet.', 400));
+  }
+  if (stored.size !== pendingUpload.fileSize) {
+    if (await claim()) await discard();
+    return next(new AppError('The uploaded file does not match the size declared for this upload.', 400));
+  }
+
+  const file = {
+    fileName: pendingUpload.fileName,
+    fileKey: pendingUpload.fileKey,
+    storageDriver: pendingUpload.storageDriver,
+    fileSize: pendingUpload.fileSize,
+    contentType: pendingUpload.contentType,
+  };
+
+  let attachment;
+  if (pendingUpload.attachment) {
+    attachment = task.attachments.id(pendingUpload.attachment);
+    if (!attachment) {
+      if (await claim()) await discard();
+      return next(new AppError('The attachment this upload was a new version of no longer exists.', 404));
+    }
+  }
+
+  // The space is reserved before claiming the upload, so a confirmation
+  // refused for lack of space can be repeated once space has been freed.
+  const owners = { userId: req.user.id, workspaceId: task.workspace };
+  await storageQuotaService.reserveStorage(owners, file.fileSize);
+
+  if (!await claim()) {
+    await storageQuotaService.releaseStorage(owners, file.fileSize);
+    return next(new AppError('No upload found with that ID', 404));
+  }
+
+  if (attachment) {
+    addVersionToAttachment(task, attachment, file, req.user.id);
+  } else {
+    attachment = attachFileToTask(task, file, req.user.id);
+  }
+
+  try {
+    await task.save();
+  } catch (error) {
+    await abandonStoredFile(file, owners, file.fileSize);
+    throw error;
+  }
+  attachmentProcessingService.queueAttachmentProcessing(task._id, attachment._id);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'File uploaded successfully',
+    data: {
+      task,
+      attachment,
+    },
+  });
+});
+
+/**
+ * Remove an attachment from a task, with all its versions, or only one of
+ * its versions (`/versions/:version` or `?version=`). Removing the current
+ * version makes the previous one current; removing the only version removes
+ * the attachment.
+ */
+exports.removeAttachmentFromTask = catchAsync(async (req, res, next) => {
+  const { attachmentId } = req.params;
+  const version = req.params.version || req.query.version;
+  
+  const task = await Task.findById(req.params.id);
+  if (!task) {
+    return next(new AppError('No task found with that ID', 404));
+  }
+  
+  const workspace = await Workspace.findOne({ _id: task.workspace, owner: req.user.id });
+  if (!workspace) {
+    return next(new AppError('You do not have permission to modify this task.', 403));
+  }
+
+  const attachmentIndex = task.attachments.findIndex(
+    attachment => attachment._id.toString() === attachmentId
+  );
+  
+  if (attachmentIndex === -1) {
+    return next(new AppError('Attachment not found', 404));
+  }
+
+  const attachment = task.attachments[attachmentIndex];
+  if (version !== undefined && !attachment.findVersion(version)) {
+    return next(new AppError('Attachment version not found', 404));
+  }
+
+  if (version !== undefined && attachment.versions.length > 0) {
+    const wasCurrent = Number(version) === attachment.version;
+    const removedVersion = attachment.removeVersion(version);
+
+    addHistoryEntry(
+      task,
+      'attachment_version_removed',
+      `Version ${removedVersion.version} of "${removedVersion.fileName}" was removed`,
+      req.user.id,
+      {
+        attachmentId: attachment._id,
+        version: removedVersion.version,
+        fileName: removedVersion.fileName,
+        fileSize: removedVersion.fileSize,
+        contentType: removedVersion.contentType,
+      }
+    );
+
+    await task.save();
+    // The previous version is current again, and its text is what is searched
+    if (wasCurrent) attachmentProcessingService.queueAttachmentProcessing(task._id, attachment._id);
+
+    // Restored versions share their file, which is kept while still in use
+    await storageQuotaService.deleteStoredFiles([removedVersion], task);
+
+    return res.status(200).json({
+      status: 'success',
+      message: `Version ${removedVersion.version} removed successfully`,
+      data: {
+        task,
+        attachment,
+        removedVersion,
+      },
+    });
+  }
+
+  const removedAttachment = attachment;
+  const removedFiles = removedAttachment.listVersions();
+  task.attachments.splice(attachmentIndex, 1);
+
+  // Add history entry
+  addHistoryEntry(
+    task,
+    'attachment_removed',
+    `File "${removedAttachment.fileName}" was removed`,
+    req.user.id,
+    {
+      attachmentId: removedAttachment._id,
+      fileName: removedAttachment.fileName,
+      fileSize: removedAttachment.fileSize,
+      contentType: removedAttachment.contentType,
+      versionCount: removedFiles.length,
+    }
+  );
+  
+  await task.save();
+  await attachmentProcessingService.removeAttachmentContent({ attachment: removedAttachment._id });
+
+  // The attachment is gone from the task even if its files cannot be deleted.
+  // Their space is released as they are.
+  await storageQuotaService.deleteStoredFiles(removedFiles, task);
+  
+  res.status(200).json({
+    status: 'success',
+    message: 'Attachment removed successfully',
+    data: {
+      task,
+      removedAttachment,
+    },
+  });
+});
+
+/**
+ * Middleware to set workspace and user IDs from params/auth
+ */
+exports.setWorkspaceUserIds = (req, res, next) => {
+  if (!req.body.workspace) req.body.workspace = req.params.workspaceId;
+  if (!req.body.user) req.body.user = req.user.id;
+  next();
+};
+
+/**
+ * Get all attachments for a task
+ */
+exports.getTaskAttachments = catchAsync(async (req, res, next) => {
+  const task = await Task.findById(req.params.id).select('attachments workspace');
+  if (!task) {
+    return next(new AppError('No task found with that ID', 404));
+  }
+  
+  const workspace = await Workspace.findOne({ _id: task.workspace, owner: req.user.id });
+  if (!workspace) {
+    return next(new AppError('You do not have permission to view this task.', 403));
+  }
+  
+  res.status(200).json({
+    status: 'success',
+    results: task.attachments ? task.attachments.length : 0,
+    data: {
+      attachments: task.attachments || [],
+    },
+  });
+});
+
+/**
+ * Download an attachment (its current version, or the one in
+ * `/versions/:version`). Drivers that can sign URLs redirect to a
+ * short-lived signed URL, generated for each request (with `?redirect=false`
+ * the URL is returned as JSON instead); otherwise the API streams the file.
+ */
+exports.downloadAttachment = catchAsync(async (req, res, next) => {
+  const task = await Task.findById(req.params.id).select('attachments workspace');
+  if (!task) {
+    return next(new AppError('No task found with that ID', 404));
+  }
+  
+  const workspace = await Workspace.findOne({ _id: task.workspace, owner: req.user.id });
+  if (!workspace) {
+    return next(new AppError('You do not have permission to view this task.', 403));
+  }
+
+  const attachment = task.attachments.id(req.params.attachmentId);
+  if (!attachment) {
+    return next(new AppError('Attachment not found', 404));
+  }
+
+  const file = req.params.version ? attachment.findVersion(req.params.version) : attachment;
+  if (!file) {
+    return next(new AppError('Attachment version not found', 404));
+  }
+
+  return sendStoredFile(req, res, next, file);
+});
+
+/**
+ * Get the thumbnail of an image attachment (made in the background after
+ * each upload). Signed URLs are used when the storage driver supports them.
+ */
+exports.getAttachmentThumbnail = catchAsync(async (req, res, next) => {
+  const task = await Task.findById(req.params.id).select('attachments workspace');
+  if (!task) {
+    return next(new AppError('No task found with that ID', 404));
+  }
+  
+  const workspace = await Workspace.findOne({ _id: task.workspace, owner: req.user.id });
+  if (!workspace) {
+    return next(new AppError('You do not have permission to view this task.', 403));
+  }
+
+  const attachment = task.attachments.id(req.params.attachmentId);
+  if (!attachment) {
+    return next(new AppError('Attachment not found', 404));
+  }
+  if (!attachment.thumbnailKey) {
+    return next(new AppError('This attachment has no thumbnail.', 404));
+  }
+
+  return sendStoredFile(req, res, next, {
+    fileKey: attachment.thumbnailKey,
+    storageDriver: attachment.storageDriver,
+    contentType: attachmentProcessingService.THUMBNAIL_TYPE,
+  }, { inline: true });
+});
+
+/**
+ * Mark task as completed
+ */
+exports.markTaskCompleted = catchAsync(async (req, res, next) => {
+  const task = await Task.findById(req.params.id);
+  if (!task) {
+    return next(new AppError('No task found with that ID', 404));
+  }
+  
+  const workspace = await Workspace.findOne({ _id: task.workspace, owner: req.user.id });
+  if (!workspace) {
+    return next(new AppError('You do not have permission to modify this task.', 403));
+  }
+
+  const previousStatus = task.status;
+  const wasDone = task.isDone();
+  task.status = workspace.getDoneStatus();
+  task.completedAt = wasDone && task.completedAt ? task.completedAt : new Date();
+
+  // Add history entry
+  addHistoryEntry(
+    task,
+    'completed',
+    `Task completed (changed from "${previousStatus}")`,
+    req.user.id,
+    {
+      previousStatus,
+      completedAt: task.completedAt,
+    }
+  );
+
+  await task.save();
+
+  // Release any tasks that were waiting on this one, schedule the next
+  // instance of a completion-based recurring series and stop its timers
+  const completion = !wasDone
+    ? await handleTaskCompleted(task, req.user.id)
+    : { task, unblockedTasks: [], nextInstance: null, stoppedTimers: [] };
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      task: completion.task,
+      unblockedTasks: completion.unblockedTasks.map(t => t._id),
+      nextInstance: completion.nextInstance,
+      stoppedTimers: completion.stoppedTimers,
+    },
+  });
+});
+
+/**
+ * Move a task on the board: into a (possibly different) status column and
+ * between two neighbouring cards.
+ *
+ * Body: { status, beforeId, afterId }
+ * - status: the target column (defaults to the current status)
+ * - beforeId: the task that should end up directly above this one
+ * - afterId: the task that should end up directly below this one
+ * With no neighbours the task goes to the bottom of the column.
+ */
+exports.moveTask = catchAsync(async (req, res, next) => {
+  const task = await Task.findById(req.params.id);
+  if (!task) {
+    return next(new AppError('No task found with that ID', 404));
+  }
+
+  const workspace = await Workspace.findOne({ _id: task.workspace, owner: req.user.id });
+  if (!workspace) {
+    return next(new AppError('You do not have permission to modify this task.', 403));
+  }
+  if (task.isRecurringTemplate) {
+    return next(new AppError('Recurring templates are not shown on the board.', 400));
+  }
+
+  const { beforeId, afterId } = req.body;
+  const status = req.body.status || task.status;
+  if (!workspace.findStatus(status)) {
+    return next(new AppError(`"${status}" is not a status in the "${workspace.name}" workspace.`, 400));
+  }
+  if (!workspace.canTransition(task.status, status)) {
+    return next(new AppError(`Cannot move a task from "${task.status}" to "${status}".`, 400));
+  }
+
+  const wasDone = task.isDone();
+  if (wasDone && workspace.getStatusCategory(status) !== 'done') {
+    await recurringTaskService.assertCanReopen(task);
+  }
+  task.rank = await boardService.computeMoveRank(task, status, beforeId, afterId);
+  // The task model records the status change in the task's history
+  task.status = status;
+
+  await task.save();
+
+  // Release any tasks that were waiting on this one
+  const completion = !wasDone && task.isDone()
+    ? await handleTaskCompleted(task, req.user.id)
+    : { task, unblockedTasks: [], nextInstance: null, stoppedTimers: [] };
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      task: completion.task,
+      unblockedTasks: completion.unblockedTasks.map(t => t._id),
+      nextInstance: completion.nextInstance,
+      stoppedTimers: completion.stoppedTimers,
+    },
+  });
+});
+
+/**
+ * Mark task as pending/incomplete
+ */
+exports.markTaskPending = catchAsync(async (req, res, next) => {
+  const task = await Task.findById(req.params.id);
+  if (!task) {
+    return next(new AppError('No task found with that ID', 404));
+  }
+  
+  const workspace = await Workspace.findOne({ _id: task.workspace, owner: req.user.id });
+  if (!workspace) {
+    return next(new AppError('You do not have permission to modify this task.', 403));
+  }
+
+  if (task.isDone()) {
+    await recurringTaskService.assertCanReopen(task);
+  }
+
+  const previousStatus = task.status;
+  const wasCompleted = task.completedAt ? true : false;
+  
+  task.status = workspace.getDefaultStatus();
+  task.completedAt = undefined;
+
+  // Add history entry
+  addHistoryEntry(
+    task,
+    'reopened',
+    `Task reopened (changed from "${previousStatus}")`,
+    req.user.id,
+    {
+      previousStatus,
+      wasCompleted,
+    }
+  );
+
+  await task.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      task,
+    },
+  });
+});
+
+
+// --- Trash Handlers ---
+
+/**
+ * List the tasks in the trash, most recently deleted first
+ */
+exports.getTrash = catchAsync(async (req, res, next) => {
+  let workspaceFilter;
+  if (req.params.workspaceId) {
+    const workspace = await Workspace.findOne({ _id: req.params.workspaceId, owner: req.user.id });
+    if (!workspace) {
+      return next(new AppError('Cannot access tasks in this workspace.', 403));
+    }
+    workspaceFilter = workspace._id;
+  } else {
+    const userWorkspaces = await Workspace.find({ owner: req.user.id }).select('_id');
+    workspaceFilter = { $in: userWorkspaces.map(ws => ws._id) };
+  }
+
+  const trashFields = { deletedAt: 'date' };
+  const sortSpec = queryFeatures.parseSort('-deletedAt', trashFields);
+  const limit = queryFeatures.parseLimit(req.query.limit);
+
+  const { docs: tasks, total, nextCursor } = await queryFeatures.paginate(
+    Task,
+    { workspace: workspaceFilter, deletedAt: { $ne: null } },
+    {
+      sortSpec,
+      fieldTypes: trashFields,
+      cursor: req.query.cursor,
+      limit,
+    }
+  );
+
+  res.status(200).json({
+    status: 'success',
+    results: tasks.length,
+    total,
+    retentionDays: trashService.TRASH_RETENTION_DAYS,
+    pagination: {
+      limit,
+      next: nextCursor,
+      hasMore: nextCursor !== null,
+    },
+    data: {
+      tasks: tasks.map(task => ({
+        ...task.toObject(),
+        purgeAt: trashService.getPurgeDate(task.deletedAt),
+      })),
+    },
+  });
+});
+
+/**
+ * Restore a task from the trash
+ */
+exports.restoreTask = catchAsync(async (req, res, next) => {
+  const task = await Task.findOne({ _id: req.params.id, deletedAt: { $ne: null } }).select('+googleEventId');
+  if (!task) {
+    return next(new AppError('No trashed task found with that ID', 404));
+  }
+
+  const workspace = await Workspace.findOne({ _id: task.workspace, owner: req.user.id });
+  if (!workspace) {
+    return next(new AppError('You do not have permission to restore this task.', 403));
+  }
+
+  await trashService.restoreFromTrash(task, req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      task,
+    },
+  });
+});
+
+/**
+ * Permanently delete a task from the trash without waiting for the retention
+ * period, deleting its attachment files and releasing their storage.
+ */
+exports.purgeTask = catchAsync(async (req, res, next) => {
+  const task = await Task.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+  if (!task) {
+    return next(new AppError('No trashed task found with that ID', 404));
+  }
+
+  const workspace = await Workspace.findOne({ _id: task.workspace, owner: req.user.id });
+  if (!workspace) {
+    return next(new AppError('You do not have permission to delete this task.', 403));
+  }
+
+  await trashService.purgeTask(task);
+
+  res.status(204).json({
+    status: 'success',
+    data: null,
+  });
+});
+
+// --- Sub-task Handlers ---
+
+/**
+ * Add a sub-task to a task
+ */
+exports.addSubTask = catchAsync(async (req, res, next) => {
+  const { title, isCompleted = false } = req.body;
+
+  if (!title || title.trim() === '') {
+    return next(new AppError('Sub-task title is required', 400));
+  }
+
+  const task = await Task.findById(req.params.id);
+  if (!task) {
+    return next(new AppError('No task found with that ID', 404));
+  }
+
   const workspace = await Workspace.findOne({ _id: task.workspace, owner: req.user.id });
   if (!workspace) {
     return next(new AppError('You do not have permission to modify this task.', 403));
   }
 
-  const previousStatus = task.status;
-  const wasCompleted = task.completedAt ? true : false;
-  
-  task.status = 'To Do';
-  task.completedAt = undefined;
+  task.subTasks.push({ title: title.trim(), isCompleted: !!isCompleted });
+  const subTask = task.subTasks[task.subTasks.length - 1];
 
-  // Add history entry
   addHistoryEntry(
     task,
-    'reopened',
-    `Task reopened (changed from "${previousStatus}")`,
+    'subtask_added',
+    `Sub-task "${subTask.title}" was added`,
+    req.user.id,
+    { subTaskId: subTask._id, title: subTask.title }
+  );
+
+  const autoCompleted = completeIfSubTasksDone(task, workspace, req.user.id);
+  await task.save();
+  const completion = autoCompleted ? await handleTaskCompleted(task, req.user.id) : { task };
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      subTask,
+      progress: task.progress,
+      task: completion.task,
+    },
+  });
+});
+
+/**
+ * Update a sub-task's title or completion state
+ */
+exports.updateSubTask = catchAsync(async (req, res, next) => {
+  const { title, isCompleted } = req.body;
+
+  if (title === undefined && isCompleted === undefined) {
+    return next(new AppError('Please provide a title or completion state to update.', 400));
+  }
+  if (title !== undefined && (typeof title !== 'string' || title.trim() === '')) {
+    return next(new AppError('Sub-task title cannot be empty', 400));
+  }
+
+  const task = await Task.findById(req.params.id);
+  if (!task) {
+    return next(new AppError('No task found with that ID', 404));
+  }
+
+  const workspace = await Workspace.findOne({ _id: task.workspace, owner: req.user.id });
+  if (!workspace) {
+    return next(new AppError('You do not have permission to modify this task.', 403));
+  }
+
+  const subTask = task.subTasks.id(req.params.subtaskId);
+  if (!subTask) {
+    return next(new AppError('Sub-task not found', 404));
+  }
+
+  const oldValue = { title: subTask.title, isCompleted: subTask.isCompleted };
+  if (title !== undefined) subTask.title = title.trim();
+  if (isCompleted !== undefined) subTask.isCompleted = !!isCompleted;
+
+  let description = `Sub-task "${subTask.title}" was updated`;
+  if (oldValue.isCompleted !== subTask.isCompleted) {
+    description = subTask.isCompleted
+      ? `Sub-task "${subTask.title}" was completed`
+      : `Sub-task "${subTask.title}" was reopened`;
+  }
+
+  addHistoryEntry(
+    task,
+    'subtask_updated',
+    description,
     req.user.id,
     {
-      previousStatus,
-      wasCompleted,
+      subTaskId: subTask._id,
+      oldValue,
+      newValue: { title: subTask.title, isCompleted: subTask.isCompleted },
     }
   );
 
+  const autoCompleted = completeIfSubTasksDone(task, workspace, req.user.id);
+  await task.save();
+  const completion = autoCompleted ? await handleTaskCompleted(task, req.user.id) : { task };
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      subTask,
+      progress: task.progress,
+      task: completion.task,
+    },
+  });
+});
+
+/**
+ * Delete a sub-task
+ */
+exports.deleteSubTask = catchAsync(async (req, res, next) => {
+  const task = await Task.findById(req.params.id);
+  if (!task) {
+    return next(new AppError('No task found with that ID', 404));
+  }
+
+  const workspace = await Workspace.findOne({ _id: task.workspace, owner: req.user.id });
+  if (!workspace) {
+    return next(new AppError('You do not have permission to modify this task.', 403));
+  }
+
+  const subTask = task.subTasks.id(req.params.subtaskId);
+  if (!subTask) {
+    return next(new AppError('Sub-task not found', 404));
+  }
+
+  const deletedSubTask = subTask.toObject();
+  task.subTasks.pull(subTask._id);
+
+  addHistoryEntry(
+    task,
+    'subtask_deleted',
+    `Sub-task "${deletedSubTask.title}" was deleted`,
+    req.user.id,
+    { subTaskId: deletedSubTask._id, title: deletedSubTask.title, isCompleted: deletedSubTask.isCompleted }
+  );
+
+  const autoCompleted = completeIfSubTasksDone(task, workspace, req.user.id);
+  await task.save();
+  const completion = autoCompleted ? await handleTaskCompleted(task, req.user.id) : { task };
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      deletedSubTask,
+      progress: task.progress,
+      task: completion.task,
+    },
+  });
+});
+
+/**
+ * Reorder the sub-tasks of a task.
+ * Body: { order: [subTaskId, ...] } listing every sub-task exactly once.
+ */
+exports.reorderSubTasks = catchAsync(async (req, res, next) => {
+  const { order } = req.body;
+
+  if (!Array.isArray(order)) {
+    return next(new AppError('Please provide the new order as an array of sub-task IDs.', 400));
+  }
+
+  const task = await Task.findById(req.params.id);
+  if (!task) {
+    return next(new AppError('No task found with that ID', 404));
+  }
+
+  const workspace = await Workspace.findOne({ _id: task.workspace, owner: req.user.id });
+  if (!workspace) {
+    return next(new AppError('You do not have permission to modify this task.', 403));
+  }
+
+  const currentIds = task.subTasks.map(subTask => subTask._id.toString());
+  const requestedIds = order.map(String);
+  if (
+    requestedIds.length !== currentIds.length ||
+    new Set(requestedIds).size !== requestedIds.length ||
+    requestedIds.some(id => !currentIds.includes(id))
+  ) {
+    return next(new AppError('The order must list every sub-task of this task exactly once.', 400));
+  }
+
+  const reordered = requestedIds.map(id => task.subTasks.id(id).toObject());
+  task.subTasks = reordered;
+
+  addHistoryEntry(
+    task,
+    'subtask_updated',
+    'Sub-tasks were reordered',
+    req.user.id,
+    { oldOrder: currentIds, newOrder: requestedIds }
+  );
+
   await task.save();
 
   res.status(200).json({
     status: 'success',
     data: {
+      subTasks: task.subTasks,
       task,
     },
   });
 });
 
+// --- Dependency Handlers ---
+
+/**
+ * Get the dependencies of a task: the tasks blocking it and the tasks it blocks
+ */
+exports.getTaskDependencies = catchAsync(async (req, res, next) => {
+  const task = await Task.findById(req.params.id)
+    .populate('blockedBy', 'title status priority dueDate workspace')
+    .populate('blocks', 'title status priority dueDate workspace');
+  if (!task) {
+    return next(new AppError('No task found with that ID', 404));
+  }
+
+  const workspace = await Workspace.findOne({ _id: task.workspace, owner: req.user.id });
+  if (!workspace) {
+    return next(new AppError('You do not have permission to view this task.', 403));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      blockedBy: task.blockedBy,
+      blocks: task.blocks,
+    },
+  });
+});
+
+/**
+ * Add a dependency edge to a task.
+ * Body: { taskId, type } where type is 'blockedBy' (default) or 'blocks'.
+ */
+exports.addTaskDependency = catchAsync(async (req, res, next) => {
+  const { taskId, type = 'blockedBy' } = req.body;
+
+  if (!taskId) {
+    return next(new AppError('Please provide the ID of the related task.', 400));
+  }
+  if (!['blockedBy', 'blocks'].includes(type)) {
+    return next(new AppError('Dependency type must be either "blockedBy" or "blocks".', 400));
+  }
+
+  const task = await Task.findById(req.params.id);
+  if (!task) {
+    return next(new AppError('No task found with that ID', 404));
+  }
+  const relatedTask = await Task.findById(taskId);
+  if (!relatedTask) {
+    return next(new AppError('No related task found with that ID', 404));
+  }
+
+  const userWorkspaces = await Workspace.find({
+    _id: { $in: [task.workspace, relatedTask.workspace] },
+    owner: req.user.id,
+  }).select('_id');
+  const ownedIds = userWorkspaces.map(ws => ws._id.toString());
+  if (!ownedIds.includes(task.workspace.toString()) || !ownedIds.includes(relatedTask.workspace.toString())) {
+    return next(new AppError('You do not have permission to modify these tasks.', 403));
+  }
+
+  // Normalise the edge so that 'dependent' is blocked by 'blocker'
+  const dependent = type === 'blockedBy' ? task : relatedTask;
+  const blocker = type === 'blockedBy' ? relatedTask : task;
+
+  if (dependent.blockedBy.some(id => id.toString() === blocker._id.toString())) {
+    return next(new AppError('This dependency already exists.', 400));
+  }
+  if (await dependencyService.wouldCreateCycle(dependent._id, blocker._id)) {
+    return next(new AppError('This dependency would create a circular chain of blocked tasks.', 400));
+  }
+
+  dependent.blockedBy.push(blocker._id);
+  addHistoryEntry(
+    dependent,
+    'dependency_added',
+    `Now blocked by "${blocker.title}"`,
+    req.user.id,
+    { blockedBy: blocker._id }
+  );
+  await dependencyService.blockIfNeeded(dependent, req.user.id);
+  await dependent.save();
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      task: dependent,
+      blockedBy: blocker._id,
+    },
+  });
+});
+
+/**
+ * Remove a dependency edge between a task and another task, in either direction
+ */
+exports.removeTaskDependency = catchAsync(async (req, res, next) => {
+  const { dependencyId } = req.params;
+
+  const task = await Task.findById(req.params.id);
+  if (!task) {
+    return next(new AppError('No task found with that ID', 404));
+  }
+
+  const workspace = await Workspace.findOne({ _id: task.workspace, owner: req.user.id });
+  if (!workspace) {
+    return next(new AppError('You do not have permission to modify this task.', 403));
+  }
+
+  // The edge may be stored on this task (it is blocked by the other one) or on
+  // the other task (this one blocks it).
+  let dependent = task;
+  let blockerId = dependencyId;
+  if (!task.blockedBy.some(id => id.toString() === dependencyId)) {
+    dependent = await Task.findOne({ _id: dependencyId, blockedBy: task._id });
+    blockerId = task._id.toString();
+    if (!dependent) {
+      return next(new AppError('Dependency not found', 404));
+    }
+    const dependentWorkspace = await Workspace.findOne({ _id: dependent.workspace, owner: req.user.id });
+    if (!dependentWorkspace) {
+      return next(new AppError('You do not have permission to modify this task.', 403));
+    }
+  }
+
+  dependent.blockedBy.pull(blockerId);
+  addHistoryEntry(
+    dependent,
+    'dependency_removed',
+    'A blocking dependency was removed',
+    req.user.id,
+    { blockedBy: blockerId }
+  );
+
+  // Removing the last unfinished blocker unblocks the task
+  if (dependent.status === dependencyService.BLOCKED_STATUS &&
+    !(await dependencyService.hasOpenBlockers(dependent.blockedBy))) {
+    await dependencyService.unblock(
+      dependent,
+      req.user.id,
+      'Task unblocked: no remaining unfinished dependencies'
+    );
+  }
+  await dependent.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      task: dependent,
+    },
+  });
+});
 
 /**
  * Add a note to a task
  */
 exports.addNoteToTask = catchAsync(async (req, res, next) => {
   const { content } = req.body;
+  const parentId = req.params.noteId || req.body.parent;
   
   if (!content || content.trim() === '') {
     return next(new AppError('Note content is required', 400));
@@ -577,29 +1856,42 @@ exports.addNoteToTask = catchAsync(async (req, res, next) => {
     return next(new AppError('You do not have permission to add notes to this task.', 403));
   }
 
-  const newNote = {
+  // Replies join the thread of the note they answer
+  let thread = null;
+  if (parentId) {
+    const parentNote = mongoose.Types.ObjectId.isValid(parentId)
+      ? await TaskNote.findOne({ _id: parentId, task: task._id })
+      : null;
+    if (!parentNote) {
+      return next(new AppError('The note to reply to was not found on this task.', 404));
+    }
+    thread = parentNote.parent || parentNote._id;
+  }
+
+  const mentionedUsers = await mentionService.resolveMentions(content, req.user.id, workspace);
+  const addedNote = await TaskNote.create({
+    task: task._id,
+    parent: thread,
     content: content.trim(),
     author: req.user.id,
+    mentions: mentionedUsers.map(user => user._id),
     createdAt: new Date(),
-  };
-
-  task.notes.push(newNote);
+  });
+  await mentionService.syncMentionRecords(addedNote, task, req.user.id);
   
   // Add history entry for note addition
-  task.history.push({
+  await TaskHistory.record(task, {
     action: 'note_added',
-    description: `Added a note`,
+    description: thread ? `Replied to a note` : `Added a note`,
     user: req.user.id,
-    timestamp: new Date(),
     metadata: {
+      noteId: addedNote._id,
+      parent: thread,
+      mentions: addedNote.mentions,
       notePreview: content.trim().substring(0, 100) + (content.length > 100 ? '...' : '')
     }
   });
-
-  await task.save();
-
-  // Get the newly added note with its generated ID
-  const addedNote = task.notes[task.notes.length - 1];
+  await addedNote.populate('mentions', 'name email');
 
   res.status(201).json({
     status: 'success',
@@ -631,42 +1923,76 @@ exports.updateNoteInTask = catchAsync(async (req, res, next) => {
     return next(new AppError('You do not have permission to update notes in this task.', 403));
   }
 
-  const noteIndex = task.notes.findIndex(note => note._id.toString() === noteId);
-  if (noteIndex === -1) {
+  if (!mongoose.Types.ObjectId.isValid(noteId)) {
+    return next(new AppError('Note not found', 404));
+  }
+  const note = await TaskNote.findOne({ _id: noteId, task: task._id });
+  if (!note) {
     return next(new AppError('Note not found', 404));
   }
-
-  const note = task.notes[noteIndex];
   
   // Check if user is the author of the note (optional: you might want to allow workspace owners to edit any note)
   if (note.author.toString() !== req.user.id) {
     return next(new AppError('You can only edit your own notes', 403));
   }
 
+  // Optimistic concurrency: the version refers to the note, not the task
+  const expectedVersion = getExpectedVersion(req);
+  const currentVersion = note.version || 0;
+  if (expectedVersion !== undefined && expectedVersion !== currentVersion) {
+    return next(new AppError('This note was modified since you last loaded it.', 409, {
+      note,
+      currentVersion,
+      conflictingFields: ['content'],
+    }));
+  }
+
+  // Mentions are resolved again from the new content. The version check is
+  // repeated atomically in the update itself.
   const oldContent = note.content;
-  note.content = content.trim();
-  note.updatedAt = new Date();
-  note.isEdited = true;
+  const mentionedUsers = await mentionService.resolveMentions(content, req.user.id, workspace);
+  const updatedNote = await TaskNote.findOneAndUpdate(
+    { _id: note._id, ...TaskNote.versionCondition(note.version) },
+    {
+      content: content.trim(),
+      mentions: mentionedUsers.map(user => user._id),
+      updatedAt: new Date(),
+      isEdited: true,
+      $inc: { version: 1 },
+    },
+    { new: true, runValidators: true }
+  );
+  if (!updatedNote) {
+    const currentNote = await TaskNote.findById(note._id);
+    return next(new AppError('This note was modified since you last loaded it.', 409, {
+      note: currentNote,
+      currentVersion: currentNote ? currentNote.version || 0 : undefined,
+      conflictingFields: ['content'],
+    }));
+  }
+
+  await mentionService.syncMentionRecords(updatedNote, task, req.user.id);
 
   // Add history entry for note update
-  task.history.push({
+  await TaskHistory.record(task, {
     action: 'note_updated',
     description: `Updated a note`,
     user: req.user.id,
-    timestamp: new Date(),
     metadata: {
       noteId: noteId,
+      mentions: updatedNote.mentions,
       oldPreview: oldContent.substring(0, 50) + (oldContent.length > 50 ? '...' : ''),
       newPreview: content.trim().substring(0, 50) + (content.length > 50 ? '...' : '')
     }
   });
 
-  await task.save();
+  await updatedNote.populate('mentions', 'name email');
 
+  setVersionHeader(res, updatedNote.version);
   res.status(200).json({
     status: 'success',
     data: {
-      note: note,
+      note: updatedNote,
       task: task,
     },
   });
@@ -688,35 +2014,41 @@ exports.deleteNoteFromTask = catchAsync(async (req, res, next) => {
     return next(new AppError('You do not have permission to delete notes from this task.', 403));
   }
 
-  const noteIndex = task.notes.findIndex(note => note._id.toString() === noteId);
-  if (noteIndex === -1) {
+  if (!mongoose.Types.ObjectId.isValid(noteId)) {
+    return next(new AppError('Note not found', 404));
+  }
+  const note = await TaskNote.findOne({ _id: noteId, task: task._id });
+  if (!note) {
     return next(new AppError('Note not found', 404));
   }
-
-  const note = task.notes[noteIndex];
   
   // Check if user is the author of the note (optional: you might want to allow workspace owners to delete any note)
   if (note.author.toString() !== req.user.id) {
     return next(new AppError('You can only delete your own notes', 403));
   }
 
-  const deletedNote = task.notes.splice(noteIndex, 1)[0];
+  // Deleting a thread's first note deletes its replies with it
+  const replies = note.parent ? [] : await TaskNote.find({ parent: note._id }).select('_id');
+  const deletedIds = [note._id, ...replies.map(reply => reply._id)];
+  await TaskNote.deleteMany({ _id: { $in: deletedIds } });
+  await mentionService.removeMentions(deletedIds);
+  const deletedNote = note;
 
   // Add history entry for note deletion
-  task.history.push({
+  await TaskHistory.record(task, {
     action: 'note_deleted',
     description: `Deleted a note`,
     user: req.user.id,
-    timestamp: new Date(),
     metadata: {
+      noteId: deletedNote._id,
+      deletedReplies: replies.length,
       deletedContent: deletedNote.content.substring(0, 100) + (deletedNote.content.length > 100 ? '...' : '')
     }
   });
 
-  await task.save();
-
   res.status(200).json({
     status: 'success',
+    deletedReplies: replies.length,
     data: {
       deletedNote,
       task: task,
@@ -725,15 +2057,15 @@ exports.deleteNoteFromTask = catchAsync(async (req, res, next) => {
 });
 
 /**
- * Get all notes for a task
+ * Get the note threads of a task: top-level notes (paginated), each with its
+ * replies in the order they were written.
  */
 exports.getTaskNotes = catchAsync(async (req, res, next) => {
-  const { page = 1, limit = 10, sortBy = '-createdAt' } = req.query;
+  const { sortBy = '-createdAt' } = req.query;
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 100);
 
-  const task = await Task.findById(req.params.id)
-    .populate('notes.author', 'name email')
-    .select('notes workspace');
-    
+  const task = await Task.findById(req.params.id).select('workspace');
   if (!task) {
     return next(new AppError('No task found with that ID', 404));
   }
@@ -743,33 +2075,50 @@ exports.getTaskNotes = catchAsync(async (req, res, next) => {
     return next(new AppError('You do not have permission to view notes for this task.', 403));
   }
 
-  // Sort notes
+  // Sort threads
   const sortField = sortBy.startsWith('-') ? sortBy.substring(1) : sortBy;
+  if (!['createdAt', 'updatedAt'].includes(sortField)) {
+    return next(new AppError('Notes can only be sorted by createdAt or updatedAt.', 400));
+  }
   const sortOrder = sortBy.startsWith('-') ? -1 : 1;
-  
-  const sortedNotes = task.notes.sort((a, b) => {
-    if (sortField === 'createdAt') {
-      return sortOrder * (new Date(b.createdAt) - new Date(a.createdAt));
-    }
-    if (sortField === 'updatedAt') {
-      return sortOrder * (new Date(b.updatedAt) - new Date(a.updatedAt));
-    }
-    return 0;
-  });
 
-  // Pagination
-  const startIndex = (page - 1) * limit;
-  const endIndex = page * limit;
-  const paginatedNotes = sortedNotes.slice(startIndex, endIndex);
+  const threadFilter = { task: task._id, parent: null };
+  const [threads, totalThreads, totalNotes] = await Promise.all([
+    TaskNote.find(threadFilter)
+      .sort({ [sortField]: sortOrder, _id: sortOrder })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('author', 'name email')
+      .populate('mentions', 'name email'),
+    TaskNote.countDocuments(threadFilter),
+    TaskNote.countDocuments({ task: task._id }),
+  ]);
+
+  const replies = threads.length > 0
+    ? await TaskNote.find({ parent: { $in: threads.map(thread => thread._id) } })
+      .sort({ createdAt: 1, _id: 1 })
+      .populate('author', 'name email')
+      .populate('mentions', 'name email')
+    : [];
+  const repliesByThread = new Map();
+  replies.forEach(reply => {
+    const key = reply.parent.toString();
+    if (!repliesByThread.has(key)) repliesByThread.set(key, []);
+    repliesByThread.get(key).push(reply);
+  });
 
   res.status(200).json({
     status: 'success',
-    results: paginatedNotes.length,
-    totalNotes: task.notes.length,
-    currentPage: parseInt(page),
-    totalPages: Math.ceil(task.notes.length / limit),
+    results: threads.length,
+    totalThreads,
+    totalNotes,
+    currentPage: page,
+    totalPages: Math.ceil(totalThreads / limit),
     data: {
-      notes: paginatedNotes,
+      notes: threads.map(thread => {
+        const threadReplies = repliesByThread.get(thread._id.toString()) || [];
+        return { ...thread.toObject(), replyCount: threadReplies.length, replies: threadReplies };
+      }),
     },
   });
 });
@@ -778,12 +2127,11 @@ exports.getTaskNotes = catchAsync(async (req, res, next) => {
  * Get task history/activity log
  */
 exports.getTaskHistory = catchAsync(async (req, res, next) => {
-  const { page = 1, limit = 20, action, user: userId } = req.query;
+  const { action, user: userId } = req.query;
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
 
-  const task = await Task.findById(req.params.id)
-    .populate('history.user', 'name email')
-    .select('history workspace');
-    
+  const task = await Task.findById(req.params.id).select('workspace');
   if (!task) {
     return next(new AppError('No task found with that ID', 404));
   }
@@ -793,34 +2141,200 @@ exports.getTaskHistory = catchAsync(async (req, res, next) => {
     return next(new AppError('You do not have permission to view history for this task.', 403));
   }
 
-  let filteredHistory = task.history;
+  const filter = { task: task._id };
 
   // Filter by action type if specified
   if (action) {
-    filteredHistory = filteredHistory.filter(entry => entry.action === action);
+    filter.action = action;
   }
 
   // Filter by user if specified
   if (userId) {
-    filteredHistory = filteredHistory.filter(entry => entry.user.toString() === userId);
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return next(new AppError('Invalid user ID.', 400));
+    }
+    filter.user = userId;
+  }
+
+  // Newest first
+  const [history, totalEntries] = await Promise.all([
+    TaskHistory.find(filter)
+      .sort({ timestamp: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('user', 'name email'),
+    TaskHistory.countDocuments(filter),
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: history.length,
+    totalEntries,
+    currentPage: page,
+    totalPages: Math.ceil(totalEntries / limit),
+    data: {
+      history,
+    },
+  });
+});
+
+/**
+ * Revert the field change recorded by a history entry.
+ *
+ * The field is set back to the value it had before the change. If the field
+ * has changed again since, the request is refused with 409 unless `force` is
+ * given (as a query parameter or in the body). The revert is itself
+ * recorded in the history, so it can be reverted in turn.
+ */
+exports.revertHistoryEntry = catchAsync(async (req, res, next) => {
+  const task = await Task.findById(req.params.id).select('+googleEventId');
+  if (!task) {
+    return next(new AppError('No task found with that ID', 404));
+  }
+
+  const workspace = await Workspace.findOne({ _id: task.workspace, owner: req.user.id });
+  if (!workspace) {
+    return next(new AppError('You do not have permission to modify this task.', 403));
+  }
+
+  const entry = mongoose.Types.ObjectId.isValid(req.params.historyId)
+    ? await TaskHistory.findOne({ _id: req.params.historyId, task: task._id })
+    : null;
+  if (!entry) {
+    return next(new AppError('History entry not found', 404));
+  }
+  const change = historyService.getFieldChange(entry);
+  if (!change) {
+    return next(new AppError('This history entry does not record a field change that can be reverted.', 400));
+  }
+  const { field } = change;
+  if (!historyService.REVERTIBLE_FIELDS.includes(field)) {
+    return next(new AppError(`Changes to "${field}" cannot be reverted from the history.`, 400));
+  }
+
+  const expectedVersion = getExpectedVersion(req);
+  if (expectedVersion !== undefined && expectedVersion !== task.__v) {
+    return next(await buildConflictError(task, expectedVersion, [field]));
+  }
+
+  const currentValue = task.get(field);
+  const force = req.query.force === 'true' || req.body.force === true;
+  if (!force && !historyService.isSameValue(field, currentValue, change.newValue)) {
+    return next(new AppError(`"${field}" has changed since this entry was recorded. Use force to revert anyway.`, 409, {
+      field,
+      currentValue,
+      recordedValue: change.newValue,
+    }));
+  }
+
+  const restoredValue = change.oldValue === undefined ? null : change.oldValue;
+  const update = { $set: { [field]: restoredValue }, $inc: { __v: 1 } };
+
+  // Status changes follow the workspace workflow, as in updateTask
+  if (field === 'status') {
+    const category = workspace.getStatusCategory(restoredValue);
+    if (!category) {
+      return next(new AppError(`"${restoredValue}" is no longer a status in the "${workspace.name}" workspace.`, 400));
+    }
+    if (!workspace.canTransition(task.status, restoredValue)) {
+      return next(new AppError(`Cannot move a task from "${task.status}" to "${restoredValue}".`, 400));
+    }
+    if (task.isDone() && category !== 'done') {
+      await recurringTaskService.assertCanReopen(task);
+    }
+    update.$set.statusCategory = category;
+    // A task that was already done keeps its completion date
+    update.$set.completedAt = category === 'done'
+      ? (task.isDone() && task.completedAt) || new Date()
+      : null;
+    update.$set.rank = await Task.getEndRank(task.workspace, restoredValue, task._id);
+  }
+
+  const updatedTask = await Task.findOneAndUpdate(
+    { _id: task._id, __v: task.__v },
+    update,
+    { new: true, runValidators: true }
+  );
+  if (!updatedTask) {
+    const currentTask = await Task.findById(task._id);
+    return next(await buildConflictError(currentTask, task.__v, [field]));
+  }
+
+  await TaskHistory.record(task, {
+    action: 'reverted',
+    field,
+    oldValue: currentValue,
+    newValue: restoredValue,
+    description: `Reverted ${getChangeDescription(field, currentValue, restoredValue).toLowerCase()}`,
+    user: req.user.id,
+    metadata: { revertedEntry: entry._id, revertedAt: entry.timestamp, forced: force },
+  });
+
+  // Keep the Google Calendar event in line with the reverted fields
+  if (task.googleEventId && ['title', 'description', 'dueDate'].includes(field)) {
+    try {
+      const oauth2Client = await googleService.getCalendarClient(req.user.id);
+      if (oauth2Client) {
+        await googleService.updateCalendarEvent(oauth2Client, task.googleEventId, {
+          title: updatedTask.title,
+          description: updatedTask.description,
+          dueDate: updatedTask.dueDate ? updatedTask.dueDate.toISOString() : null,
+        });
+      }
+    } catch (error) {
+      logger.error(`Failed to update Google Calendar event for task ${task._id}: ${error.message}`);
+    }
+  }
+
+  let completion = { task: updatedTask, unblockedTasks: [], nextInstance: null, stoppedTimers: [] };
+  if (!task.isDone() && updatedTask.isDone()) {
+    completion = await handleTaskCompleted(updatedTask, req.user.id);
+  }
+
+  setVersionHeader(res, completion.task.__v);
+  res.status(200).json({
+    status: 'success',
+    data: {
+      task: completion.task,
+      reverted: { field, from: currentValue, to: restoredValue },
+      unblockedTasks: completion.unblockedTasks.map(t => t._id),
+    },
+  });
+});
+
+/**
+ * Reconstruct a task as it was at a point in time by replaying its history.
+ * Query: timestamp (any date string understood by `new Date()`)
+ */
+exports.getTaskAsOf = catchAsync(async (req, res, next) => {
+  const timestamp = new Date(req.query.timestamp);
+  if (!req.query.timestamp || Number.isNaN(timestamp.getTime())) {
+    return next(new AppError('Please provide a valid timestamp.', 400));
+  }
+
+  const task = await Task.findById(req.params.id);
+  if (!task) {
+    return next(new AppError('No task found with that ID', 404));
+  }
+
+  const workspace = await Workspace.findOne({ _id: task.workspace, owner: req.user.id });
+  if (!workspace) {
+    return next(new AppError('You do not have permission to view history for this task.', 403));
   }
 
-  // Sort by timestamp (newest first)
-  const sortedHistory = filteredHistory.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  if (timestamp < task.createdAt) {
+    return next(new AppError('The task did not exist at that time.', 404));
+  }
 
-  // Pagination
-  const startIndex = (page - 1) * limit;
-  const endIndex = page * limit;
-  const paginatedHistory = sortedHistory.slice(startIndex, endIndex);
+  const { task: state, replayed, unreplayable } = await historyService.reconstructAsOf(task, timestamp);
 
   res.status(200).json({
     status: 'success',
-    results: paginatedHistory.length,
-    totalEntries: filteredHistory.length,
-    currentPage: parseInt(page),
-    totalPages: Math.ceil(filteredHistory.length / limit),
     data: {
-      history: paginatedHistory,
+      asOf: timestamp,
+      task: state,
+      replayedEntries: replayed,
+      unreplayableEntries: unreplayable,
     },
   });
 });
@@ -829,11 +2343,7 @@ exports.getTaskHistory = catchAsync(async (req, res, next) => {
  * Get task activity summary
  */
 exports.getTaskActivitySummary = catchAsync(async (req, res, next) => {
-  const task = await Task.findById(req.params.id)
-    .populate('notes.author', 'name email')
-    .populate('history.user', 'name email')
-    .select('notes history workspace');
-    
+  const task = await Task.findById(req.params.id).select('workspace');
   if (!task) {
     return next(new AppError('No task found with that ID', 404));
   }
@@ -843,29 +2353,35 @@ exports.getTaskActivitySummary = catchAsync(async (req, res, next) => {
     return next(new AppError('You do not have permission to view activity for this task.', 403));
   }
 
-  // Get recent notes (last 3)
-  const recentNotes = task.notes
-    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
-    .slice(0, 3);
-
-  // Get recent history (last 5)
-  const recentHistory = task.history
-    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-    .slice(0, 5);
+  const [recentNotes, recentHistory, totalNotes, totalHistoryEntries, actionCounts] = await Promise.all([
+    // Get recent notes (last 3)
+    TaskNote.find({ task: task._id })
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(3)
+      .populate('author', 'name email'),
+    // Get recent history (last 5)
+    TaskHistory.find({ task: task._id })
+      .sort({ timestamp: -1, _id: -1 })
+      .limit(5)
+      .populate('user', 'name email'),
+    TaskNote.countDocuments({ task: task._id }),
+    TaskHistory.countDocuments({ task: task._id }),
+    // Count different types of actions
+    TaskHistory.aggregate([
+      { $match: { task: task._id } },
+      { $group: { _id: '$action', count: { $sum: 1 } } },
+    ]),
+  ]);
 
   // Activity statistics
   const stats = {
-    totalNotes: task.notes.length,
-    totalHistoryEntries: task.history.length,
-    lastActivity: task.history.length > 0 
-      ? task.history.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0].timestamp
-      : null,
+    totalNotes,
+    totalHistoryEntries,
+    lastActivity: recentHistory.length > 0 ? recentHistory[0].timestamp : null,
     actionCounts: {},
   };
-
-  // Count different types of actions
-  task.history.forEach(entry => {
-    stats.actionCounts[entry.action] = (stats.actionCounts[entry.action] || 0) + 1;
+  actionCounts.forEach(({ _id: action, count }) => {
+    stats.actionCounts[action] = count;
   });
 
   res.status(200).json({
@@ -898,31 +2414,141 @@ exports.addHistoryEntry = catchAsync(async (req, res, next) => {
     return next(new AppError('You do not have permission to add history to this task.', 403));
   }
 
-  const historyEntry = {
+  const historyEntry = await TaskHistory.record(task, {
     action,
     description,
     user: req.user.id,
-    timestamp: new Date(),
     metadata: metadata || {},
-  };
-
-  task.history.push(historyEntry);
-  await task.save();
+  });
 
   res.status(201).json({
     status: 'success',
     data: {
-      historyEntry: task.history[task.history.length - 1],
+      historyEntry,
     },
   });
 });
 
 
+/**
+ * Helper function to add a stored file to a task's attachments, with its
+ * history entry. The task still has to be saved.
+ */
+const attachFileToTask = (task, file, userId) => {
+  const newAttachment = task.attachments.create({
+    ...file,
+    uploadedBy: userId,
+    uploadedAt: new Date(),
+    processing: { status: 'pending' },
+  });
+  task.attachments.push(newAttachment);
+
+  addHistoryEntry(
+    task,
+    'attachment_added',
+    `File "${file.fileName}" was attached`,
+    userId,
+    {
+      attachmentId: newAttachment._id,
+      version: newAttachment.version,
+      fileName: file.fileName,
+      fileSize: file.fileSize,
+      contentType: file.contentType,
+    }
+  );
+
+  return newAttachment;
+};
+
+/**
+ * Helper function to make a stored file the current version of an
+ * attachment (a new upload, or an earlier version being restored), with its
+ * history entry. The task still has to be saved.
+ */
+const addVersionToAttachment = (task, attachment, file, userId) => {
+  const version = attachment.addVersion({ ...file, uploadedBy: userId, uploadedAt: new Date() });
+
+  addHistoryEntry(
+    task,
+    file.restoredFrom ? 'attachment_version_restored' : 'attachment_version_added',
+    file.restoredFrom
+      ? `Version ${file.restoredFrom} of "${file.fileName}" was restored as version ${version}`
+      : `Version ${version} of "${file.fileName}" was uploaded`,
+    userId,
+    {
+      attachmentId: attachment._id,
+      version,
+      restoredFrom: file.restoredFrom,
+      fileName: file.fileName,
+      fileSize: file.fileSize,
+      contentType: file.contentType,
+    }
+  );
+};
+
+/**
+ * Helper function to send a stored file: a redirect to a short-lived signed
+ * URL when its driver supports them (or, with `?redirect=false`, the URL as
+ * JSON), otherwise the file streamed by the API.
+ */
+const sendStoredFile = async (req, res, next, file, { inline = false } = {}) => {
+  let download;
+  try {
+    download = await storageService.getAttachmentDownload(inline ? { ...file, fileName: undefined } : file);
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.name === 'NoSuchKey') {
+      return next(new AppError('The stored file for this attachment no longer exists.', 404));
+    }
+    throw error;
+  }
+
+  if (download.url) {
+    res.set('Cache-Control', 'private, no-store');
+    if (req.query.redirect === 'false') {
+      return res.status(200).json({
+        status: 'success',
+        data: {
+          url: download.url,
+          expiresAt: download.expiresAt,
+        },
+      });
+    }
+    return res.redirect(302, download.url);
+  }
+
+  res.set({
+    'Content-Type': download.contentType || 'application/octet-stream',
+    'Content-Disposition': inline
+      ? 'inline'
+      : `attachment; filename*=UTF-8''${encodeURIComponent(file.fileName)}`,
+    'Cache-Control': 'private, no-store',
+  });
+  if (download.size) res.set('Content-Length', String(download.size));
+  pipeline(download.stream, res, (error) => {
+    if (error) logger.error(`Failed to stream stored file ${file.fileKey}: ${error.message}`);
+  });
+};
+
+/**
+ * Helper function to undo the storage of a file that could not be attached:
+ * deletes the file (if it was stored) and gives its reserved space back.
+ */
+const abandonStoredFile = async (stored, owners, bytes) => {
+  if (stored) {
+    try {
+      await storageService.deleteAttachmentFile(stored);
+    } catch (error) {
+      logger.error(`Failed to delete stored file ${stored.fileKey}: ${error.message}`);
+    }
+  }
+  await storageQuotaService.releaseStorage(owners, bytes);
+};
+
 /**
  * Helper function to add history entry to a task
  */
 const addHistoryEntry = (task, action, description, user, metadata = {}) => {
-  task.history.push({
+  task.recordHistory({
     action,
     description,
     user,
@@ -931,6 +2557,244 @@ const addHistoryEntry = (task, action, description, user, metadata = {}) => {
   });
 };
 
+/**
+ * Helper function to read the version a client expects to be modifying, from
+ * either the `If-Match` header or a `version` field in the body.
+ * Returns undefined when the client did not ask for a version check.
+ */
+const getExpectedVersion = (req) => {
+  const ifMatch = req.get('If-Match');
+  if (ifMatch && ifMatch.trim() !== '*') {
+    const version = parseInt(ifMatch.trim().replace(/^W\//, '').replace(/"/g, ''), 10);
+    if (!Number.isNaN(version)) return version;
+  }
+  if (req.body && req.body.version !== undefined && req.body.version !== null) {
+    const version = parseInt(req.body.version, 10);
+    if (!Number.isNaN(version)) return version;
+  }
+  return undefined;
+};
+
+/**
+ * Helper function to expose a document version as an ETag header
+ */
+const setVersionHeader = (res, version) => {
+  res.set('ETag', `"${version || 0}"`);
+};
+
+/**
+ * Helper function to build the 409 error for a stale task write. The
+ * conflicting fields are the requested fields that were changed by someone
+ * else since the client's version, according to the task history.
+ */
+const buildConflictError = async (task, expectedVersion, requestedFields) => {
+  const filter = { task: task._id };
+  if (expectedVersion !== undefined) filter.version = { $gte: expectedVersion };
+  const entries = await TaskHistory.find(filter).select('field metadata.field');
+
+  const changedFields = new Set();
+  entries.forEach(entry => {
+    const field = entry.field || (entry.metadata && entry.metadata.field);
+    if (field) changedFields.add(field);
+  });
+
+  return new AppError('This task was modified since you last loaded it.', 409, {
+    task,
+    currentVersion: task.__v,
+    conflictingFields: requestedFields.filter(field => changedFields.has(field)),
+  });
+};
+
+/**
+ * Helper function to apply a single bulk operation to a task. The task model
+ * records each change in the task's history. Returns false if the task was
+ * already in the requested state.
+ */
+const applyBulkOperation = async (task, operation, value, { taskWorkspace, targetWorkspace, userId }) => {
+  switch (operation) {
+    case 'setStatus': {
+      if (task.status === value) return false;
+      if (!taskWorkspace.findStatus(value)) {
+        throw new Error(`"${value}" is not a status in the "${taskWorkspace.name}" workspace.`);
+      }
+      if (!taskWorkspace.canTransition(task.status, value)) {
+        throw new Error(`Cannot move a task from "${task.status}" to "${value}".`);
+      }
+      const wasDone = task.isDone();
+      if (wasDone && taskWorkspace.getStatusCategory(value) !== 'done') {
+        await recurringTaskService.assertCanReopen(task);
+      }
+      task.status = value;
+      await task.save();
+      if (!wasDone && task.isDone()) {
+        await handleTaskCompleted(task, userId);
+      }
+      return true;
+    }
+    case 'setPriority': {
+      if (task.priority === value) return false;
+      task.priority = value;
+      break;
+    }
+    case 'addTags':
+    case 'removeTags': {
+      const oldTags = [...task.tags];
+      const newTags = operation === 'addTags'
+        ? [...new Set([...oldTags, ...value])]
+        : oldTags.filter(tag => !value.includes(tag));
+      if (newTags.length === oldTags.length && newTags.every((tag, i) => tag === oldTags[i])) return false;
+      task.tags = newTags;
+      break;
+    }
+    case 'moveWorkspace': {
+      if (task.workspace.toString() === targetWorkspace._id.toString()) return false;
+      // Checked per task, as the target's usage grows with each moved task
+      await workspaceService.assertStorageForMove(targetWorkspace, [task]);
+      task.workspace = targetWorkspace._id;
+      break;
+    }
+    case 'setKeyTask': {
+      if (task.isKeyTask === value) return false;
+      task.isKeyTask = value;
+      break;
+    }
+    case 'delete':
+      await trashService.moveToTrash(task, userId);
+      return true;
+    default:
+      throw new Error(`Unsupported operation: ${operation}`);
+  }
+
+  await task.save();
+  return true;
+};
+
+/**
+ * Helper function to run the quick-add parser, validating the optional
+ * reference date relative expressions are resolved against.
+ */
+const parseQuickAddInput = (text, referenceDate) => {
+  const reference = referenceDate ? new Date(referenceDate) : new Date();
+  if (Number.isNaN(reference.getTime())) {
+    throw new AppError('Invalid referenceDate.', 400);
+  }
+  return parseQuickAdd(text, { referenceDate: reference });
+};
+
+/**
+ * Helper function to find one of the user's workspaces by name, ignoring case.
+ */
+const findWorkspaceByName = async (name, userId) => {
+  const workspaces = await Workspace.find({ owner: userId }).select('name');
+  const wanted = name.toLowerCase();
+  return workspaces.find(ws => ws.name.toLowerCase() === wanted) || null;
+};
+
+/**
+ * Helper function to create a task (or recurring template) from validated
+ * data, record its creation and add its Google Calendar event.
+ * The caller checks access to the target workspace.
+ */
+const createTaskRecord = async (data, userId) => {
+  // --- Recurring Task Logic ---
+  // The rule may be an RRULE or the structured form; the first occurrence
+  // becomes the template's due date.
+  if (data.recurring) {
+    data.isRecurringTemplate = true;
+    data.recurring = recurrenceService.normalizeRecurrence(data.recurring);
+    data.dueDate = data.recurring.nextDueDate;
+  }
+
+  // The task is validated first (which also settles its status) so that no
+  // calendar event is created for a task that cannot be saved, and saved once
+  // with its history.
+  const newTask = new Task(data);
+  await newTask.validate();
+
+  // Add creation history entry
+  addHistoryEntry(
+    newTask,
+    'created',
+    `Task "${newTask.title}" was created`,
+    userId,
+    {
+      priority: newTask.priority,
+      status: newTask.status,
+      dueDate: newTask.dueDate,
+    }
+  );
+
+  // --- Google Calendar Integration ---
+  if (!newTask.isRecurringTemplate && newTask.dueDate) {
+    try {
+      const oauth2Client = await googleService.getCalendarClient(userId);
+      if (oauth2Client) {
+        const event = await googleService.createCalendarEvent(oauth2Client, {
+          title: newTask.title,
+          description: newTask.description,
+          dueDate: newTask.dueDate.toISOString(),
+        });
+        newTask.googleEventId = event.id;
+
+        // Add history entry for calendar integration
+        addHistoryEntry(
+          newTask,
+          'updated',
+          'Google Calendar event created',
+          userId,
+          { googleEventId: event.id }
+        );
+      }
+    } catch (error) {
+      logger.error(`Failed to create Google Calendar event for task ${newTask._id}: ${error.message}`);
+    }
+  }
+
+  await newTask.save();
+  return newTask;
+};
+
+/**
+ * Helper function for the follow-ups of a task entering a "done" status:
+ * releases the tasks waiting on it, creates the next instance of a
+ * completion-based recurring series and stops the timers still running on
+ * it. Stopping a timer logs its time on the task, so the returned `task` is
+ * reloaded when any were stopped. Call this after the task has been saved.
+ */
+const handleTaskCompleted = async (task, userId) => {
+  const unblockedTasks = await dependencyService.releaseDependents(task, userId);
+  const nextInstance = await recurringTaskService.scheduleNextAfterCompletion(task, userId);
+  const stoppedTimers = await timeTrackingService.stopTimersForTask(task._id);
+  return {
+    task: stoppedTimers.length > 0 ? await Task.findById(task._id) : task,
+    unblockedTasks,
+    nextInstance,
+    stoppedTimers,
+  };
+};
+
+/**
+ * Helper function to complete a task whose sub-tasks are all done, if the
+ * task has opted in to auto-completion. The caller saves the task.
+ * Returns true if the task was completed.
+ */
+const completeIfSubTasksDone = (task, workspace, userId) => {
+  if (!task.autoCompleteOnSubTasks || task.isDone()) return false;
+  if (task.subTasks.length === 0 || task.subTasks.some(subTask => !subTask.isCompleted)) return false;
+
+  const previousStatus = task.status;
+  task.status = workspace.getDoneStatus();
+  task.completedAt = new Date();
+  addHistoryEntry(
+    task,
+    'completed',
+    `Task completed automatically: all sub-tasks are done (changed from "${previousStatus}")`,
+    userId,
+    { previousStatus, completedAt: task.completedAt, automatic: true }
+  );
+  return true;
+};
+
 /**
  * Helper function to get change description for field updates
  */
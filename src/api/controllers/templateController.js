@@ -0,0 +1,205 @@
+// src/api/controllers/templateController.js
+
+const { format } = require('date-fns');
+const Template = require('../models/templateModel');
+const Task = require('../models/taskModel');
+const Workspace = require('../models/workspaceModel');
+const catchAsync = require('../../utils/catchAsync');
+const AppError = require('../../utils/appError');
+const logger = require('../../utils/logger');
+const googleService = require('../../services/googleCalendarService');
+const templateService = require('../../services/templateService');
+
+// Fields a client may set on a template.
+const TEMPLATE_FIELDS = [
+  'name',
+  'title',
+  'description',
+  'priority',
+  'tags',
+  'isKeyTask',
+  'subTasks',
+  'dueOffset',
+  'variables',
+];
+
+// Variables filled in automatically on instantiation.
+const BUILT_IN_VARIABLES = ['today', 'workspace'];
+
+/**
+ * Copies the whitelisted template fields from the request body.
+ */
+const pickTemplateFields = (body) =>
+  TEMPLATE_FIELDS.reduce((acc, field) => {
+    if (body[field] !== undefined) acc[field] = body[field];
+    return acc;
+  }, {});
+
+/**
+ * Get all templates of the logged-in user.
+ */
+exports.getAllTemplates = catchAsync(async (req, res, next) => {
+  const templates = await Template.find({ owner: req.user.id }).sort('name');
+
+  res.status(200).json({
+    status: 'success',
+    results: templates.length,
+    data: {
+      templates,
+    },
+  });
+});
+
+/**
+ * Get a single template.
+ */
+exports.getTemplate = catchAsync(async (req, res, next) => {
+  const template = await Template.findOne({ _id: req.params.id, owner: req.user.id });
+  if (!template) {
+    return next(new AppError('No template found with that ID', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      template,
+    },
+  });
+});
+
+/**
+ * Create a new template.
+ */
+exports.createTemplate = catchAsync(async (req, res, next) => {
+  const data = pickTemplateFields(req.body);
+  templateService.validateTemplate(data, BUILT_IN_VARIABLES);
+
+  const template = await Template.create({ ...data, owner: req.user.id });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      template,
+    },
+  });
+});
+
+/**
+ * Update a template.
+ */
+exports.updateTemplate = catchAsync(async (req, res, next) => {
+  const template = await Template.findOne({ _id: req.params.id, owner: req.user.id });
+  if (!template) {
+    return next(new AppError('No template found with that ID', 404));
+  }
+
+  template.set(pickTemplateFields(req.body));
+  templateService.validateTemplate(template, BUILT_IN_VARIABLES);
+  await template.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      template,
+    },
+  });
+});
+
+/**
+ * Delete a template. Tasks created from it are not affected.
+ */
+exports.deleteTemplate = catchAsync(async (req, res, next) => {
+  const template = await Template.findOneAndDelete({ _id: req.params.id, owner: req.user.id });
+  if (!template) {
+    return next(new AppError('No template found with that ID', 404));
+  }
+
+  res.status(204).json({
+    status: 'success',
+    data: null,
+  });
+});
+
+/**
+ * Create a task from a template in one of the user's workspaces.
+ *
+ * Body:
+ * - workspace: the target workspace ID (required)
+ * - variables: values for the template's {{placeholders}}
+ * - startDate: the date the due offset is counted from (defaults to now)
+ */
+exports.instantiateTemplate = catchAsync(async (req, res, next) => {
+  const template = await Template.findOne({ _id: req.params.id, owner: req.user.id });
+  if (!template) {
+    return next(new AppError('No template found with that ID', 404));
+  }
+
+  const workspace = await Workspace.findOne({ _id: req.body.workspace, owner: req.user.id });
+  if (!workspace) {
+    return next(new AppError('Workspace not found or you do not have permission to add a task to it.', 404));
+  }
+  if (workspace.archivedAt) {
+    return next(new AppError(`The "${workspace.name}" workspace is archived. Unarchive it to add tasks.`, 400));
+  }
+
+  const baseDate = req.body.startDate ? new Date(req.body.startDate) : new Date();
+  if (Number.isNaN(baseDate.getTime())) {
+    return next(new AppError('Invalid startDate.', 400));
+  }
+
+  const fields = templateService.renderTemplate(
+    template,
+    req.body.variables || {},
+    { today: format(new Date(), 'yyyy-MM-dd'), workspace: workspace.name },
+    baseDate
+  );
+  if (!fields.title) {
+    return next(new AppError('The template produced an empty task title.', 400));
+  }
+
+  const newTask = new Task({
+    ...fields,
+    workspace: workspace._id,
+    user: req.user.id,
+  });
+  newTask.recordHistory({
+    action: 'created',
+    description: `Task "${newTask.title}" was created from template "${template.name}"`,
+    user: req.user.id,
+    timestamp: new Date(),
+    metadata: {
+      templateId: template._id,
+      priority: newTask.priority,
+      dueDate: newTask.dueDate,
+    },
+  });
+
+  // Settle the status and check the task before creating its calendar event
+  await newTask.validate();
+
+  // --- Google Calendar Integration ---
+  if (newTask.dueDate) {
+    try {
+      const oauth2Client = await googleService.getCalendarClient(req.user.id);
+      if (oauth2Client) {
+        const event = await googleService.createCalendarEvent(oauth2Client, {
+          title: newTask.title,
+          description: newTask.description,
+          dueDate: newTask.dueDate.toISOString(),
+        });
+        newTask.googleEventId = event.id;
+      }
+    } catch (error) {
+      logger.error(`Failed to create Google Calendar event for task ${newTask._id}: ${error.message}`);
+    }
+  }
+
+  await newTask.save();
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      task: newTask,
+    },
+  });
+});
@@ -0,0 +1,233 @@
+// src/api/controllers/timeTrackingController.js
+
+const Task = require('../models/taskModel');
+const TimeEntry = require('../models/timeEntryModel');
+const Workspace = require('../models/workspaceModel');
+const catchAsync = require('../../utils/catchAsync');
+const AppError = require('../../utils/appError');
+const timeTrackingService = require('../../services/timeTrackingService');
+
+/**
+ * Loads a task and verifies that the current user owns its workspace.
+ * Returns the task, or an AppError describing why it cannot be used.
+ */
+const findOwnedTask = async (taskId, userId) => {
+  const task = await Task.findById(taskId);
+  if (!task) {
+    return { error: new AppError('No task found with that ID', 404) };
+  }
+  const workspace = await Workspace.findOne({ _id: task.workspace, owner: userId });
+  if (!workspace) {
+    return { error: new AppError('You do not have permission to track time on this task.', 403) };
+  }
+  return { task };
+};
+
+/**
+ * Get the current user's running timer, if any.
+ */
+exports.getRunningTimer = catchAsync(async (req, res, next) => {
+  const entry = await TimeEntry.findOne({ user: req.user.id, isRunning: true })
+    .populate('task', 'title status workspace');
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      timer: entry,
+    },
+  });
+});
+
+/**
+ * Start a timer on a task. A timer already running for the user is stopped.
+ */
+exports.startTimer = catchAsync(async (req, res, next) => {
+  const { task, error } = await findOwnedTask(req.params.id, req.user.id);
+  if (error) return next(error);
+
+  const { entry, stoppedEntry } = await timeTrackingService.startTimer(task, req.user.id, req.body.note);
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      timer: entry,
+      stoppedTimer: stoppedEntry,
+    },
+  });
+});
+
+/**
+ * Stop the current user's running timer on a task.
+ */
+exports.stopTimer = catchAsync(async (req, res, next) => {
+  const { task, error } = await findOwnedTask(req.params.id, req.user.id);
+  if (error) return next(error);
+
+  const entry = await timeTrackingService.stopRunningTimer(req.user.id, { task: task._id });
+  if (!entry) {
+    return next(new AppError('There is no running timer on this task.', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      timeEntry: entry,
+    },
+  });
+});
+
+/**
+ * Get the time entries of a task, newest first, with totals.
+ */
+exports.getTimeEntries = catchAsync(async (req, res, next) => {
+  const { task, error } = await findOwnedTask(req.params.id, req.user.id);
+  if (error) return next(error);
+
+  const entries = await TimeEntry.find({ task: task._id })
+    .populate('user', 'name email')
+    .sort('-startedAt');
+
+  const totalMinutes = entries
+    .filter(entry => !entry.isRunning)
+    .reduce((sum, entry) => sum + entry.durationMinutes, 0);
+
+  res.status(200).json({
+    status: 'success',
+    results: entries.length,
+    data: {
+      timeEntries: entries,
+      totalMinutes: Math.round(totalMinutes * 100) / 100,
+      estimateMinutes: task.estimateMinutes,
+    },
+  });
+});
+
+/**
+ * Log a manual time entry on a task.
+ * Body: { durationMinutes, startedAt, note }
+ */
+exports.createTimeEntry = catchAsync(async (req, res, next) => {
+  const { durationMinutes, startedAt, note } = req.body;
+
+  const minutes = Number(durationMinutes);
+  if (!Number.isFinite(minutes) || minutes <= 0) {
+    return next(new AppError('Please provide a positive duration in minutes.', 400));
+  }
+  const start = startedAt ? new Date(startedAt) : new Date(Date.now() - minutes * 60000);
+  if (Number.isNaN(start.getTime())) {
+    return next(new AppError('Invalid start time.', 400));
+  }
+
+  const { task, error } = await findOwnedTask(req.params.id, req.user.id);
+  if (error) return next(error);
+
+  const entry = await TimeEntry.create({
+    task: task._id,
+    workspace: task.workspace,
+    user: req.user.id,
+    startedAt: start,
+    endedAt: new Date(start.getTime() + minutes * 60000),
+    durationMinutes: minutes,
+    note,
+    source: 'manual',
+  });
+
+  await timeTrackingService.recordTimeOnTask(
+    task._id,
+    minutes,
+    req.user.id,
+    `Logged ${timeTrackingService.formatMinutes(minutes)} manually`,
+    { timeEntryId: entry._id, source: 'manual' }
+  );
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      timeEntry: entry,
+    },
+  });
+});
+
+/**
+ * Update a completed time entry's duration, start time or note.
+ */
+exports.updateTimeEntry = catchAsync(async (req, res, next) => {
+  const { task, error } = await findOwnedTask(req.params.id, req.user.id);
+  if (error) return next(error);
+
+  const entry = await TimeEntry.findOne({ _id: req.params.entryId, task: task._id });
+  if (!entry) {
+    return next(new AppError('Time entry not found', 404));
+  }
+  if (entry.isRunning) {
+    return next(new AppError('Stop the timer before editing this entry.', 400));
+  }
+
+  const previousMinutes = entry.durationMinutes;
+  if (req.body.durationMinutes !== undefined) {
+    const minutes = Number(req.body.durationMinutes);
+    if (!Number.isFinite(minutes) || minutes <= 0) {
+      return next(new AppError('Please provide a positive duration in minutes.', 400));
+    }
+    entry.durationMinutes = minutes;
+  }
+  if (req.body.startedAt !== undefined) {
+    const start = new Date(req.body.startedAt);
+    if (Number.isNaN(start.getTime())) {
+      return next(new AppError('Invalid start time.', 400));
+    }
+    entry.startedAt = start;
+  }
+  if (req.body.note !== undefined) entry.note = req.body.note;
+  entry.endedAt = new Date(entry.startedAt.getTime() + entry.durationMinutes * 60000);
+
+  await entry.save();
+
+  const delta = entry.durationMinutes - previousMinutes;
+  if (delta !== 0) {
+    await timeTrackingService.recordTimeOnTask(
+      task._id,
+      delta,
+      req.user.id,
+      `Time entry changed from ${timeTrackingService.formatMinutes(previousMinutes)} to ${timeTrackingService.formatMinutes(entry.durationMinutes)}`,
+      { timeEntryId: entry._id }
+    );
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      timeEntry: entry,
+    },
+  });
+});
+
+/**
+ * Delete a time entry. Deleting a running entry discards the timer.
+ */
+exports.deleteTimeEntry = catchAsync(async (req, res, next) => {
+  const { task, error } = await findOwnedTask(req.params.id, req.user.id);
+  if (error) return next(error);
+
+  const entry = await TimeEntry.findOneAndDelete({ _id: req.params.entryId, task: task._id });
+  if (!entry) {
+    return next(new AppError('Time entry not found', 404));
+  }
+
+  if (!entry.isRunning && entry.durationMinutes > 0) {
+    await timeTrackingService.recordTimeOnTask(
+      task._id,
+      -entry.durationMinutes,
+      req.user.id,
+      `Removed a time entry of ${timeTrackingService.formatMinutes(entry.durationMinutes)}`,
+      { timeEntryId: entry._id }
+    );
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      deletedTimeEntry: entry,
+    },
+  });
+});
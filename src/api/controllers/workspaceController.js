@@ -1,21 +1,74 @@
 // src/api/controllers/workspaceController.js
 
 const Workspace = require('../models/workspaceModel');
+const Task = require('../models/taskModel');
+const boardService = require('../../services/boardService');
+const workspaceService = require('../../services/workspaceService');
 const catchAsync = require('../../utils/catchAsync');
 const AppError = require('../../utils/appError');
 
+// The fields a user may set when creating or editing a workspace. The
+// workflow is changed through its own route.
+const EDITABLE_FIELDS = ['name', 'type', 'color', 'icon'];
+
+/**
+ * Helper function to pick the editable fields present in a request body.
+ */
+const pickEditableFields = (body) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+/**
+ * Helper function to check that none of the user's other workspaces already
+ * uses a name, ignoring case. Quick-add finds workspaces by name, so names
+ * must be unambiguous.
+ */
+const assertNameAvailable = async (name, userId, workspaceId) => {
+  if (typeof name !== 'string' || !name.trim()) return; // The schema reports this
+  const workspaces = await Workspace.find({ owner: userId, _id: { $ne: workspaceId } }).select('name');
+  const wanted = name.trim().toLowerCase();
+  if (workspaces.some(ws => ws.name.toLowerCase() === wanted)) {
+    throw new AppError(`You already have a workspace named "${name.trim()}".`, 400);
+  }
+};
+
+/**
+ * Helper function to build the update (an aggregation pipeline) that puts
+ * tasks in a workflow status. Like saving a task, it keeps 'statusCategory'
+ * in sync and sets 'completedAt' on entering a "done" status (keeping an
+ * earlier completion date) or clears it on leaving one.
+ */
+const setStatusUpdate = (status) => [{
+  $set: {
+    status: { $literal: status.name },
+    statusCategory: status.category,
+    completedAt: status.category === 'done' ? { $ifNull: ['$completedAt', new Date()] } : '$$REMOVE',
+    __v: { $add: [{ $ifNull: ['$__v', 0] }, 1] },
+  },
+}];
+
 /**
  * Fetches all workspaces belonging to the currently authenticated user.
  *
  * This controller retrieves the user ID from the request object (which is
  * attached by the 'protect' middleware) and queries the database for all
  * workspaces owned by that user.
+ *
+ * Query parameters:
+ * - includeArchived: 'true' to list archived workspaces as well
  */
 exports.getAllWorkspaces = catchAsync(async (req, res, next) => {
   // The 'protect' middleware has already attached the user object to the request.
   const userId = req.user.id;
 
-  const workspaces = await Workspace.find({ owner: userId });
+  const filter = { owner: userId };
+  if (req.query.includeArchived !== 'true') filter.archivedAt = null;
+
+  const workspaces = await Workspace.find(filter).sort('createdAt');
 
   // Send the response
   res.status(200).json({
@@ -50,3 +103,265 @@ exports.getWorkspace = catchAsync(async (req, res, next) => {
     },
   });
 });
+
+/**
+ * Creates a new workspace for the authenticated user, with the default workflow.
+ *
+ * Body: { name, type, color, icon }
+ */
+exports.createWorkspace = catchAsync(async (req, res, next) => {
+  const fields = pickEditableFields(req.body);
+  await assertNameAvailable(fields.name, req.user.id);
+
+  const workspace = await Workspace.create({
+    ...fields,
+    owner: req.user.id,
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      workspace,
+    },
+  });
+});
+
+/**
+ * Renames a workspace or changes its type, color or icon.
+ *
+ * Body: any of { name, type, color, icon }. Send null to clear the color or icon.
+ */
+exports.updateWorkspace = catchAsync(async (req, res, next) => {
+  const fields = pickEditableFields(req.body);
+  if (Object.keys(fields).length === 0) {
+    return next(new AppError(`Please provide at least one of: ${EDITABLE_FIELDS.join(', ')}.`, 400));
+  }
+
+  const workspace = await Workspace.findOne({
+    _id: req.params.id,
+    owner: req.user.id,
+  });
+
+  if (!workspace) {
+    return next(new AppError('No workspace found with that ID for this user.', 404));
+  }
+
+  if (fields.name !== undefined) {
+    await assertNameAvailable(fields.name, req.user.id, workspace._id);
+  }
+
+  workspace.set(fields);
+  await workspace.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      workspace,
+    },
+  });
+});
+
+/**
+ * Archives or unarchives a workspace. Archived workspaces are hidden from the
+ * workspace list and cannot receive new tasks; their tasks stay readable.
+ */
+const setArchived = (archived) => catchAsync(async (req, res, next) => {
+  const workspace = await Workspace.findOne({
+    _id: req.params.id,
+    owner: req.user.id,
+  });
+
+  if (!workspace) {
+    return next(new AppError('No workspace found with that ID for this user.', 404));
+  }
+
+  if (Boolean(workspace.archivedAt) !== archived) {
+    workspace.archivedAt = archived ? new Date() : null;
+    await workspace.save();
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      workspace,
+    },
+  });
+});
+
+exports.archiveWorkspace = setArchived(true);
+exports.unarchiveWorkspace = setArchived(false);
+
+/**
+ * Deletes a workspace. A workspace that still has tasks (including tasks in
+ * the trash) or meetings needs to be told what to do with them; its meetings
+ * go the same way as its tasks.
+ *
+ * Query parameters:
+ * - tasks: 'move' to move the tasks, their history and the workspace's
+ *   meetings to another workspace, or 'delete' to delete them permanently
+ * - targetWorkspace: the workspace the tasks are moved to (with tasks=move)
+ */
+exports.deleteWorkspace = catchAsync(async (req, res, next) => {
+  const { tasks: mode, targetWorkspace } = req.query;
+
+  const workspace = await Workspace.findOne({
+    _id: req.params.id,
+    owner: req.user.id,
+  });
+
+  if (!workspace) {
+    return next(new AppError('No workspace found with that ID for this user.', 404));
+  }
+
+  const [taskCount, meetingCount] = await Promise.all([
+    workspaceService.countTasks(workspace._id),
+    workspaceService.countMeetings(workspace._id),
+  ]);
+  if (mode !== undefined && !['move', 'delete'].includes(mode)) {
+    return next(new AppError('The "tasks" parameter must be either move or delete.', 400));
+  }
+  if ((taskCount > 0 || meetingCount > 0) && !mode) {
+    return next(new AppError(
+      `This workspace still has ${taskCount} task(s) and ${meetingCount} meeting(s). ` +
+      'Set "tasks" to "move" (with a "targetWorkspace") or "delete".',
+      400,
+      { taskCount, meetingCount }
+    ));
+  }
+
+  if (mode === 'move') {
+    if (!targetWorkspace) {
+      return next(new AppError('Please provide the "targetWorkspace" to move the tasks to.', 400));
+    }
+    if (String(targetWorkspace) === workspace._id.toString()) {
+      return next(new AppError('Tasks cannot be moved to the workspace being deleted.', 400));
+    }
+    const target = await Workspace.findOne({ _id: targetWorkspace, owner: req.user.id });
+    if (!target) {
+      return next(new AppError('Target workspace not found or you do not have permission to move tasks into it.', 404));
+    }
+    if (target.archivedAt) {
+      return next(new AppError(`The "${target.name}" workspace is archived. Unarchive it to add tasks.`, 400));
+    }
+    await workspaceService.moveTasks(workspace, target);
+  } else if (mode === 'delete') {
+    await workspaceService.deleteTasks(workspace, req.user.id);
+  }
+
+  await Workspace.deleteOne({ _id: workspace._id });
+
+  res.status(204).json({
+    status: 'success',
+    data: null,
+  });
+});
+
+/**
+ * Replaces the workflow statuses of a workspace.
+ *
+ * Body: { statuses: [{ name, category, allowedTransitions }], remap: { oldName: newName } }
+ *
+ * Tasks whose status is removed from the workflow must be remapped to one of
+ * the new statuses; the request is rejected otherwise. Every task's
+ * 'statusCategory' is updated to match the new workflow.
+ */
+exports.updateWorkspaceStatuses = catchAsync(async (req, res, next) => {
+  const { statuses, remap = {} } = req.body;
+
+  if (!Array.isArray(statuses)) {
+    return next(new AppError('Please provide the list of statuses.', 400));
+  }
+
+  const workspace = await Workspace.findOne({
+    _id: req.params.id,
+    owner: req.user.id,
+  });
+
+  if (!workspace) {
+    return next(new AppError('No workspace found with that ID for this user.', 404));
+  }
+
+  // 1) Validate the new workflow (the schema validator reports problems)
+  const previousNames = workspace.getStatuses().map(status => status.name);
+  workspace.statuses = statuses.map(status => ({
+    name: status.name,
+    category: status.category,
+    allowedTransitions: status.allowedTransitions || [],
+  }));
+  await workspace.validate();
+
+  // 2) Make sure every task in a removed status has somewhere to go
+  const newNames = workspace.statuses.map(status => status.name);
+  const removedNames = previousNames.filter(name => !newNames.includes(name));
+  // distinct() and updateMany() are not subject to the trash filter, so
+  // trashed tasks are remapped too and stay valid if restored.
+  const taskFilter = { workspace: workspace._id };
+
+  const orphaned = await Task.distinct('status', {
+    ...taskFilter,
+    status: { $in: removedNames },
+  });
+  const unmapped = orphaned.filter(name => !remap[name] || !newNames.includes(remap[name]));
+  if (unmapped.length > 0) {
+    return next(new AppError(
+      `Tasks still use the removed status(es): ${unmapped.join(', ')}. Provide a "remap" to one of the new statuses.`,
+      400
+    ));
+  }
+
+  await workspace.save();
+
+  // 3) Move tasks out of removed statuses and resync every category
+  for (const name of orphaned) {
+    const target = workspace.findStatus(remap[name]);
+    await Task.updateMany(
+      { ...taskFilter, status: name },
+      setStatusUpdate(target)
+    );
+  }
+  for (const status of workspace.statuses) {
+    await Task.updateMany(
+      { ...taskFilter, status: status.name, statusCategory: { $ne: status.category } },
+      setStatusUpdate(status)
+    );
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      workspace,
+    },
+  });
+});
+
+/**
+ * Fetches the Kanban board of a workspace: its tasks grouped by status, with
+ * columns in workflow order and cards in their manual order.
+ *
+ * Query parameters:
+ * - limit: the maximum number of cards returned per column (default 100)
+ */
+exports.getBoard = catchAsync(async (req, res, next) => {
+  const workspace = await Workspace.findOne({
+    _id: req.params.id,
+    owner: req.user.id,
+  });
+
+  if (!workspace) {
+    return next(new AppError('No workspace found with that ID for this user.', 404));
+  }
+
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+  const columns = await boardService.getBoardColumns(workspace, limit);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      workspace: {
+        _id: workspace._id,
+        name: workspace.name,
+      },
+      columns,
+    },
+  });
+});
@@ -0,0 +1,61 @@
+// src/api/models/attachmentContentModel.js
+
+const mongoose = require('mongoose');
+
+/**
+ * Attachment Content Schema Definition
+ *
+ * The plain text extracted from the current version of an attachment (see
+ * services/attachmentProcessingService.js). It lives in its own collection,
+ * with its own text index, so tasks do not carry the text of their files
+ * around and search can report which file matched.
+ */
+const attachmentContentSchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Task',
+    required: [true, 'Attachment content must belong to a task.'],
+  },
+  // Denormalized from the task so search can be scoped to workspaces; kept in
+  // sync when the task moves to another workspace.
+  workspace: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Workspace',
+    required: [true, 'Attachment content must belong to a workspace.'],
+  },
+  attachment: {
+    type: mongoose.Schema.ObjectId,
+    required: [true, 'Attachment content must belong to an attachment.'],
+  },
+  // The version and stored file the text was extracted from
+  version: {
+    type: Number,
+  },
+  fileKey: {
+    type: String,
+    required: true,
+  },
+  fileName: {
+    type: String,
+  },
+  text: {
+    type: String,
+    default: '',
+  },
+}, {
+  timestamps: true,
+});
+
+// --- Indexes ---
+attachmentContentSchema.index({ attachment: 1 }, { unique: true });
+attachmentContentSchema.index({ task: 1 });
+// Index for searching inside attachments
+attachmentContentSchema.index(
+  { fileName: 'text', text: 'text' },
+  { weights: { fileName: 5, text: 1 }, name: 'attachment_content_text' }
+);
+
+// --- Model Creation ---
+const AttachmentContent = mongoose.model('AttachmentContent', attachmentContentSchema);
+
+module.exports = AttachmentContent;
@@ -0,0 +1,69 @@
+// src/api/models/attachmentUploadModel.js
+
+const mongoose = require('mongoose');
+
+/**
+ * Attachment Upload Schema Definition
+ *
+ * A pending direct-to-storage upload. The client asks for an upload URL,
+ * sends the file straight to storage, then confirms the upload, which turns
+ * it into an attachment of the task. Uploads that are never confirmed expire
+ * and are removed, with whatever was uploaded, by the trash purge job.
+ */
+const attachmentUploadSchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Task',
+    required: [true, 'An upload must belong to a task.'],
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'An upload must belong to a user.'],
+  },
+  // The attachment the upload is a new version of, if any
+  attachment: {
+    type: mongoose.Schema.ObjectId,
+  },
+  fileName: {
+    type: String,
+    required: [true, 'An upload must have a file name.'],
+    trim: true,
+  },
+  // The storage key the file is uploaded to.
+  fileKey: {
+    type: String,
+    required: true,
+  },
+  // The storage driver the file is uploaded to (see services/storageService.js).
+  storageDriver: {
+    type: String,
+    required: true,
+  },
+  contentType: {
+    type: String,
+    required: true,
+  },
+  // The size the client declared; the stored file is checked against it.
+  fileSize: {
+    type: Number,
+    required: true,
+    min: [1, 'A file cannot be empty.'],
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+// --- Indexes ---
+// Index for the job removing expired uploads and their files
+attachmentUploadSchema.index({ expiresAt: 1 });
+attachmentUploadSchema.index({ task: 1, user: 1 });
+
+// --- Model Creation ---
+const AttachmentUpload = mongoose.model('AttachmentUpload', attachmentUploadSchema);
+
+module.exports = AttachmentUpload;
@@ -0,0 +1,61 @@
+// src/api/models/mentionModel.js
+
+const mongoose = require('mongoose');
+
+/**
+ * Mention Schema Definition
+ *
+ * Records that a user was @mentioned in a task note, so the mentioned user
+ * can list their mentions and mark them as read. Mentions are kept in sync
+ * with the note: editing the note re-resolves them and deleting it removes
+ * them.
+ */
+const mentionSchema = new mongoose.Schema({
+  // The mentioned user
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'A mention must have a mentioned user.'],
+  },
+  mentionedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'A mention must have an author.'],
+  },
+  note: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'TaskNote',
+    required: [true, 'A mention must belong to a note.'],
+  },
+  task: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Task',
+    required: [true, 'A mention must belong to a task.'],
+  },
+  // Denormalized from the task so mentions can be filtered per workspace.
+  workspace: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Workspace',
+    required: [true, 'A mention must belong to a workspace.'],
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  readAt: {
+    type: Date,
+    default: null,
+  },
+});
+
+// --- Indexes ---
+// Index for listing a user's mentions, newest (or unread) first
+mentionSchema.index({ user: 1, createdAt: -1 });
+mentionSchema.index({ user: 1, readAt: 1, createdAt: -1 });
+// A user is mentioned at most once per note
+mentionSchema.index({ note: 1, user: 1 }, { unique: true });
+
+// --- Model Creation ---
+const Mention = mongoose.model('Mention', mentionSchema);
+
+module.exports = Mention;
@@ -0,0 +1,118 @@
+// src/api/models/taskHistoryModel.js
+
+const mongoose = require('mongoose');
+
+/**
+ * Task History Schema Definition
+ *
+ * One entry of a task's activity log. Entries live in their own collection,
+ * keyed by task, so long-lived tasks do not grow without bound and the log
+ * can be paged straight from the database.
+ */
+const taskHistorySchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Task',
+    required: [true, 'A history entry must belong to a task.'],
+  },
+  // Denormalized from the task so activity can be read per workspace.
+  workspace: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Workspace',
+    required: [true, 'A history entry must belong to a workspace.'],
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: [
+      'created',
+      'updated',
+      'status_changed',
+      'priority_changed',
+      'due_date_changed',
+      'note_added',
+      'note_updated',
+      'note_deleted',
+      'attachment_added',
+      'attachment_removed',
+      'attachment_version_added',
+      'attachment_version_restored',
+      'attachment_version_removed',
+      'subtask_added',
+      'subtask_updated',
+      'subtask_deleted',
+      'completed',
+      'reopened',
+      'assigned',
+      'unassigned',
+      'dependency_added',
+      'dependency_removed',
+      'blocked',
+      'unblocked',
+      'deleted',
+      'restored',
+      'time_logged',
+      'reverted'
+    ],
+  },
+  field: {
+    type: String, // The field that was changed (e.g., 'title', 'status', 'priority')
+  },
+  oldValue: {
+    type: mongoose.Schema.Types.Mixed, // Can store any type of data
+  },
+  newValue: {
+    type: mongoose.Schema.Types.Mixed, // Can store any type of data
+  },
+  description: {
+    type: String, // Human-readable description of the change
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'History entry must have a user'],
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now,
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed, // Additional data for specific actions
+  },
+  version: {
+    type: Number, // The task version (__v) this change was made on top of
+  },
+});
+
+// --- Indexes ---
+// Index for paging a task's history, optionally by action or user
+taskHistorySchema.index({ task: 1, timestamp: -1 });
+taskHistorySchema.index({ task: 1, action: 1, timestamp: -1 });
+taskHistorySchema.index({ task: 1, user: 1, timestamp: -1 });
+// Index for finding the changes made since a given task version
+taskHistorySchema.index({ task: 1, version: 1 });
+// Index for workspace activity
+taskHistorySchema.index({ workspace: 1, timestamp: -1 });
+
+// --- Statics ---
+
+/**
+ * Records a history entry for a task straight away, for changes that do not
+ * go through a save of the task itself.
+ * @param {object} task The task document.
+ * @param {object} entry The entry (action, description, user, ...).
+ */
+taskHistorySchema.statics.record = function(task, entry) {
+  return this.create({
+    timestamp: new Date(),
+    version: task.__v || 0,
+    ...entry,
+    task: task._id,
+    workspace: task.workspace,
+  });
+};
+
+// --- Model Creation ---
+const TaskHistory = mongoose.model('TaskHistory', taskHistorySchema);
+
+module.exports = TaskHistory;
@@ -1,6 +1,11 @@
 // src/api/models/taskModel.js
 
 const mongoose = require('mongoose');
+const TaskHistory = require('./taskHistoryModel');
+const AttachmentContent = require('./attachmentContentModel');
+const Mention = require('./mentionModel');
+const TimeEntry = require('./timeEntryModel');
+const { rankBetween } = require('../../utils/rank');
 
 /**
  * Sub-task Schema Definition
@@ -17,106 +22,201 @@ const subTaskSchema = new mongoose.Schema({
   },
 });
 
+// Files are only reachable through short-lived signed URLs, handed out by the
+// download route. Attachments created before that may still store a
+// permanent `fileUrl`, which is never exposed.
+const hideStoredFileUrl = (doc, ret) => {
+  delete ret.fileUrl;
+  return ret;
+};
+
+// The fields describing one stored file of an attachment.
+const ATTACHMENT_FILE_FIELDS = [
+  'fileName',
+  'fileKey',
+  'storageDriver',
+  'fileSize',
+  'contentType',
+  'uploadedAt',
+  'uploadedBy',
+  'restoredFrom',
+  'thumbnailKey',
+];
+
+/**
+ * Attachment Processing Schema Definition
+ *
+ * The state of the background step that makes thumbnails and extracts text
+ * from the current version of an attachment.
+ */
+const attachmentProcessingSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'done', 'skipped', 'failed'],
+    default: 'pending',
+  },
+  startedAt: { type: Date },
+  processedAt: { type: Date },
+  error: { type: String },
+}, { _id: false });
+
+/**
+ * Attachment Version Schema Definition
+ *
+ * An earlier version of an attachment. Restored versions share the stored
+ * file of the version they were restored from.
+ */
+const attachmentVersionSchema = new mongoose.Schema({
+  version: { type: Number, required: true },
+  fileName: { type: String, required: true },
+  fileKey: { type: String, required: true },
+  storageDriver: { type: String, default: 's3' },
+  fileSize: { type: Number },
+  contentType: { type: String },
+  uploadedAt: { type: Date },
+  uploadedBy: { type: mongoose.Schema.ObjectId, ref: 'User' },
+  restoredFrom: { type: Number },
+  thumbnailKey: { type: String },
+}, { _id: false });
+
 /**
  * Attachment Schema Definition
+ *
+ * The top-level fields describe the current version of the file; earlier
+ * versions are kept in `versions`, oldest first.
  */
 const attachmentSchema = new mongoose.Schema({
   fileName: { type: String, required: true },
-  fileUrl: { type: String, required: true },
   fileKey: { type: String, required: true },
+  // The storage driver holding the file (see services/storageService.js).
+  // Attachments created before drivers existed are in S3.
+  storageDriver: { type: String, default: 's3' },
   fileSize: { type: Number },
   contentType: { type: String },
   uploadedAt: { type: Date, default: Date.now },
+  uploadedBy: { type: mongoose.Schema.ObjectId, ref: 'User' },
+  // The number of the current version, and of the version it restores (if any)
+  version: { type: Number, default: 1 },
+  restoredFrom: { type: Number },
+  // The highest version number handed out, so the numbers of deleted
+  // versions are not reused.
+  lastVersion: { type: Number, default: 1 },
+  versions: [attachmentVersionSchema],
+  // A small preview of image files, stored next to the file
+  thumbnailKey: { type: String },
+  processing: { type: attachmentProcessingSchema },
+}, {
+  toJSON: { virtuals: true, transform: hideStoredFileUrl },
+  toObject: { virtuals: true, transform: hideStoredFileUrl },
+});
+
+attachmentSchema.virtual('downloadUrl').get(function () {
+  const task = typeof this.parent === 'function' ? this.parent() : null;
+  if (!task || !task._id) return undefined;
+  return `/api/v1/tasks/${task._id}/attachments/${this._id}/download`;
+});
+
+attachmentSchema.virtual('thumbnailUrl').get(function () {
+  const task = typeof this.parent === 'function' ? this.parent() : null;
+  if (!this.thumbnailKey || !task || !task._id) return undefined;
+  return `/api/v1/tasks/${task._id}/attachments/${this._id}/thumbnail`;
+});
+
+attachmentSchema.virtual('versionCount').get(function () {
+  return (this.versions ? this.versions.length : 0) + 1;
 });
 
 /**
- * Note Schema Definition
+ * Returns the file of the current version as a plain version entry.
  */
-const noteSchema = new mongoose.Schema({
-  content: {
-    type: String,
-    required: [true, 'Note content is required'],
-    trim: true,
-  },
-  author: {
-    type: mongoose.Schema.ObjectId,
-    ref: 'User',
-    required: [true, 'Note must have an author'],
-  },
-  createdAt: {
-    type: Date,
-    default: Date.now,
-  },
-  updatedAt: {
-    type: Date,
-    default: Date.now,
-  },
-  isEdited: {
-    type: Boolean,
-    default: false,
-  },
-});
+attachmentSchema.methods.getCurrentVersion = function () {
+  const current = { version: this.version || 1 };
+  ATTACHMENT_FILE_FIELDS.forEach((field) => {
+    if (this[field] !== undefined) current[field] = this[field];
+  });
+  return current;
+};
 
 /**
- * History/Activity Log Schema Definition
+ * Returns every version of the attachment, newest first.
  */
-const historySchema = new mongoose.Schema({
-  action: {
-    type: String,
-    required: true,
-    enum: [
-      'created',
-      'updated',
-      'status_changed',
-      'priority_changed',
-      'due_date_changed',
-      'note_added',
-      'note_updated',
-      'note_deleted',
-      'attachment_added',
-      'attachment_removed',
-      'subtask_added',
-      'subtask_updated',
-      'subtask_deleted',
-      'completed',
-      'reopened',
-      'assigned',
-      'unassigned'
-    ],
-  },
-  field: {
-    type: String, // The field that was changed (e.g., 'title', 'status', 'priority')
-  },
-  oldValue: {
-    type: mongoose.Schema.Types.Mixed, // Can store any type of data
-  },
-  newValue: {
-    type: mongoose.Schema.Types.Mixed, // Can store any type of data
-  },
-  description: {
-    type: String, // Human-readable description of the change
-  },
-  user: {
-    type: mongoose.Schema.ObjectId,
-    ref: 'User',
-    required: [true, 'History entry must have a user'],
-  },
-  timestamp: {
-    type: Date,
-    default: Date.now,
-  },
-  metadata: {
-    type: mongoose.Schema.Types.Mixed, // Additional data for specific actions
-  },
-});
+attachmentSchema.methods.listVersions = function () {
+  const earlier = (this.versions || []).map(entry => entry.toObject());
+  return [this.getCurrentVersion(), ...earlier.reverse()];
+};
+
+/**
+ * Returns the version with the given number, or undefined.
+ */
+attachmentSchema.methods.findVersion = function (version) {
+  return this.listVersions().find(entry => entry.version === Number(version));
+};
+
+/**
+ * Makes a file the current version, keeping the previous one in `versions`.
+ * @param {object} file The stored file (see ATTACHMENT_FILE_FIELDS).
+ * @returns {number} The number of the new version.
+ */
+attachmentSchema.methods.addVersion = function (file) {
+  this.versions.push(this.getCurrentVersion());
+
+  const version = Math.max(this.lastVersion || 1, this.version || 1, ...this.versions.map(v => v.version)) + 1;
+  ATTACHMENT_FILE_FIELDS.forEach((field) => {
+    this[field] = file[field];
+  });
+  this.uploadedAt = file.uploadedAt || new Date();
+  this.version = version;
+  this.lastVersion = version;
+  this.processing = { status: 'pending' };
+  return version;
+};
+
+/**
+ * Removes one version. When it is the current version, the newest earlier
+ * version takes its place. The attachment must have another version.
+ * @returns {object|undefined} The removed version, if it existed.
+ */
+attachmentSchema.methods.removeVersion = function (version) {
+  const number = Number(version);
+  if (number === this.version) {
+    const removed = this.getCurrentVersion();
+    const previous = this.versions.pop().toObject();
+    ATTACHMENT_FILE_FIELDS.forEach((field) => {
+      this[field] = previous[field];
+    });
+    this.version = previous.version;
+    this.processing = { status: 'pending' };
+    return removed;
+  }
+
+  const index = this.versions.findIndex(entry => entry.version === number);
+  if (index === -1) return undefined;
+  const removed = this.versions[index].toObject();
+  this.versions.splice(index, 1);
+  return removed;
+};
 
 /**
  * Recurring Rule Schema Definition
  */
 const recurringSchema = new mongoose.Schema({
+  // RFC 5545 recurrence rule without the "RRULE:" prefix,
+  // e.g. "FREQ=WEEKLY;BYDAY=MO,WE,FR" (see services/recurrenceService.js).
+  rrule: {
+    type: String,
+    trim: true,
+  },
+  // The start of the series (the RRULE DTSTART). Occurrences keep its time of day.
+  dtStart: {
+    type: Date,
+  },
+  // Occurrences excluded from the series (RRULE EXDATE).
+  exDates: [Date],
+  // Summary of the rule, kept for display and for templates created before
+  // RRULE support (which have no 'rrule').
   frequency: {
     type: String,
-    enum: ['daily', 'weekly', 'monthly'],
+    enum: ['daily', 'weekly', 'monthly', 'yearly'],
     required: true,
   },
   interval: {
@@ -124,11 +224,50 @@ const recurringSchema = new mongoose.Schema({
     default: 1,
     min: 1,
   },
+  // 'schedule' creates instances on the rule's dates. 'completion' keeps a
+  // single open instance and schedules the next one from the date the
+  // previous one was completed (e.g. "3 days after done").
+  mode: {
+    type: String,
+    enum: ['schedule', 'completion'],
+    default: 'schedule',
+  },
+  // In 'completion' mode, the series' current open instance. It is swapped
+  // atomically when an instance is completed so that only one exists.
+  openInstance: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Task',
+    default: null,
+  },
   nextDueDate: {
     type: Date,
     required: true,
   },
   endDate: Date,
+  // How occurrences missed while the recurring job was not running are
+  // handled: 'all' creates each of them, 'latest' only the most recent one.
+  catchUp: {
+    type: String,
+    enum: ['all', 'latest'],
+    default: 'all',
+  },
+  // Summary of the last time the recurring job created instances.
+  lastRun: {
+    at: Date,
+    created: Number,
+    skipped: Number,
+  },
+  // A paused series creates no instances until it is resumed.
+  pausedAt: {
+    type: Date,
+    default: null,
+  },
+  // Set when the rule has no further occurrences. The template is kept so
+  // the series and its instances can still be looked up.
+  endedAt: {
+    type: Date,
+    default: null,
+  },
 }, { _id: false }); // _id is not needed for this sub-document
 
 /**
@@ -144,11 +283,26 @@ const taskSchema = new mongoose.Schema({
     type: String,
     trim: true,
   },
+  // The status must be one of the statuses defined by the task's workspace.
+  // When omitted, the workspace's first "todo" status is used.
   status: {
     type: String,
     required: true,
-    enum: ['To Do', 'In Progress', 'Blocked', 'For Review', 'Done'],
-    default: 'To Do',
+    trim: true,
+  },
+  // The category ('todo', 'in-progress' or 'done') of the current status,
+  // kept in sync with the workspace workflow so queries need no lookup.
+  statusCategory: {
+    type: String,
+    enum: ['todo', 'in-progress', 'done'],
+  },
+  // When the task entered a "done" status; cleared when it is reopened.
+  completedAt: {
+    type: Date,
+  },
+  // Manual position within its status column on the board (ascending).
+  rank: {
+    type: Number,
   },
   priority: {
     type: String,
@@ -159,19 +313,41 @@ const taskSchema = new mongoose.Schema({
   dueDate: {
     type: Date,
   },
+  // --- Time Tracking Fields ---
+  estimateMinutes: {
+    type: Number,
+    min: [0, 'An estimate cannot be negative.'],
+  },
+  // Total of the task's completed time entries, kept in sync by the time tracking service.
+  timeSpentMinutes: {
+    type: Number,
+    default: 0,
+  },
   isKeyTask: {
     type: Boolean,
     default: false,
   },
   tags: [String],
   subTasks: [subTaskSchema],
+  // When true, the task is completed automatically once every sub-task is done.
+  autoCompleteOnSubTasks: {
+    type: Boolean,
+    default: false,
+  },
   attachments: [attachmentSchema],
   links: [String],
-  
-  // --- Notes and History Fields ---
-  notes: [noteSchema],
-  history: [historySchema],
-  
+
+  // --- Dependency Fields ---
+  // Tasks that must be finished before this one can proceed. The inverse
+  // relation ("tasks this one blocks") is exposed through the 'blocks' virtual.
+  blockedBy: [{
+    type: mongoose.Schema.ObjectId,
+    ref: 'Task',
+  }],
+
+  // Notes and history live in their own collections (see taskNoteModel.js
+  // and taskHistoryModel.js).
+
   workspace: {
     type: mongoose.Schema.ObjectId,
     ref: 'Workspace',
@@ -195,70 +371,290 @@ const taskSchema = new mongoose.Schema({
     type: recurringSchema,
     required: false, // This field will only exist on recurring templates
   },
+  // On instances, the recurring template they were created from.
+  series: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Task',
+  },
+  // On instances, the occurrence of the series they were created for.
+  // Together with 'series' it identifies an instance, so re-running the
+  // recurring job never creates the same occurrence twice.
+  occurrenceDate: {
+    type: Date,
+  },
+  // --- Trash Fields ---
+  // A task with 'deletedAt' set is in the trash. It is hidden from every query
+  // unless the query filters on 'deletedAt' explicitly, and is purged for good
+  // after the retention period.
+  deletedAt: {
+    type: Date,
+    default: null,
+  },
+  deletedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+  },
 }, {
   timestamps: true,
+  // Every save increments __v and fails with a VersionError if the document
+  // changed since it was loaded.
+  optimisticConcurrency: true,
   toJSON: { virtuals: true },
   toObject: { virtuals: true },
 });
 
 // --- Indexes ---
 taskSchema.index({ workspace: 1, status: 1 });
+taskSchema.index({ workspace: 1, statusCategory: 1 });
+// Index for reading board columns in order
+taskSchema.index({ workspace: 1, status: 1, rank: 1 });
 taskSchema.index({ workspace: 1, dueDate: 1 });
 taskSchema.index({ title: 'text', description: 'text' });
 // Index for the cron job to efficiently find templates
 taskSchema.index({ isRecurringTemplate: 1, 'recurring.nextDueDate': 1 });
-// Index for notes and history queries
-taskSchema.index({ 'notes.createdAt': -1 });
-taskSchema.index({ 'history.timestamp': -1 });
+taskSchema.index({ series: 1 });
+taskSchema.index(
+  { series: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { occurrenceDate: { $type: 'date' } } }
+);
+// Index for resolving the tasks that depend on a given task
+taskSchema.index({ blockedBy: 1 });
+// Index for the trash listing and the purge job
+taskSchema.index({ deletedAt: 1 });
+// Index for the job processing new attachments
+taskSchema.index({ 'attachments.processing.status': 1 });
+// Indexes for finding the tasks that still use a stored file
+taskSchema.index({ 'attachments.fileKey': 1 });
+taskSchema.index({ 'attachments.versions.fileKey': 1 });
 
 // --- Virtuals ---
 
-// Virtual for getting recent notes (last 5)
-taskSchema.virtual('recentNotes').get(function() {
-  if (!this.notes || this.notes.length === 0) return [];
-  return this.notes
-    .sort((a, b) => b.createdAt - a.createdAt)
-    .slice(0, 5);
+// Virtual for the percentage of completed sub-tasks (null without sub-tasks)
+taskSchema.virtual('progress').get(function() {
+  if (!this.subTasks || this.subTasks.length === 0) return null;
+  const completed = this.subTasks.filter(subTask => subTask.isCompleted).length;
+  return Math.round((completed / this.subTasks.length) * 100);
 });
 
-// Virtual for getting recent history (last 10)
-taskSchema.virtual('recentHistory').get(function() {
-  if (!this.history || this.history.length === 0) return [];
-  return this.history
-    .sort((a, b) => b.timestamp - a.timestamp)
-    .slice(0, 10);
+// Virtual populate for the tasks that are blocked by this one
+taskSchema.virtual('blocks', {
+  ref: 'Task',
+  localField: '_id',
+  foreignField: 'blockedBy',
 });
 
+// Virtual exposing the document version used for optimistic concurrency
+taskSchema.virtual('version').get(function() {
+  return this.__v;
+});
+
+// --- Statics & Methods ---
+
+/**
+ * Query condition matching tasks whose status is in the "done" category.
+ * Tasks saved before custom workflows existed have no statusCategory, so
+ * they fall back to the original 'Done' status name.
+ */
+taskSchema.statics.doneCondition = function() {
+  return {
+    $or: [
+      { statusCategory: 'done' },
+      { statusCategory: null, status: 'Done' },
+    ],
+  };
+};
+
+/**
+ * Query condition matching tasks that are not finished.
+ */
+taskSchema.statics.openCondition = function() {
+  return { $nor: [this.doneCondition()] };
+};
+
+/**
+ * Returns a rank that places a task at the bottom of a board column.
+ * @param {string} workspaceId The workspace of the column.
+ * @param {string} status The status of the column.
+ * @param {string} [excludeId] A task to ignore (e.g. the one being moved).
+ */
+taskSchema.statics.getEndRank = async function(workspaceId, status, excludeId) {
+  const filter = { workspace: workspaceId, status, rank: { $ne: null } };
+  if (excludeId) filter._id = { $ne: excludeId };
+  const last = await this.findOne(filter).sort('-rank').select('rank');
+  return rankBetween(last ? last.rank : null, null);
+};
+
+/**
+ * Queues a history entry for this task. Queued entries are written to the
+ * history collection once the task has been saved.
+ * @param {object} entry The entry (action, description, user, ...).
+ */
+taskSchema.methods.recordHistory = function(entry) {
+  if (!this.$locals.pendingHistory) this.$locals.pendingHistory = [];
+  this.$locals.pendingHistory.push({ timestamp: new Date(), ...entry });
+};
+
+/**
+ * Returns the bytes stored for this task's attachments, counting every
+ * version and files shared by several versions once.
+ */
+taskSchema.methods.getStorageSize = function() {
+  const seen = new Set();
+  return (this.attachments || [])
+    .flatMap(attachment => attachment.listVersions())
+    .reduce((sum, file) => {
+      if (seen.has(file.fileKey)) return sum;
+      seen.add(file.fileKey);
+      return sum + (file.fileSize || 0);
+    }, 0);
+};
+
+/**
+ * Returns the bytes of attachment storage that moving `tasks` out of a
+ * workspace takes with them. As in the storage quota service, a file shared
+ * by several tasks (e.g. a recurring template and its instances) is counted
+ * once, and it stays with the workspace while another of its tasks (trashed
+ * ones included) still refers to it.
+ * @param {Array} tasks The task documents leaving the workspace.
+ * @param {string} workspaceId The workspace they leave.
+ */
+taskSchema.statics.getMovedStorageSize = async function(tasks, workspaceId) {
+  const sizes = new Map();
+  tasks
+    .flatMap(task => (task.attachments || []).flatMap(attachment => attachment.listVersions()))
+    .forEach(file => {
+      if (file.fileKey && !sizes.has(file.fileKey)) sizes.set(file.fileKey, file.fileSize || 0);
+    });
+  if (sizes.size === 0) return 0;
+
+  // The raw collection is read so trashed tasks are included
+  const fileKeys = [...sizes.keys()];
+  const remaining = await this.collection.find(
+    {
+      workspace: new mongoose.Types.ObjectId(String(workspaceId)),
+      _id: { $nin: tasks.map(task => task._id) },
+      $or: [
+        { 'attachments.fileKey': { $in: fileKeys } },
+        { 'attachments.versions.fileKey': { $in: fileKeys } },
+      ],
+    },
+    { projection: { 'attachments.fileKey': 1, 'attachments.versions.fileKey': 1 } }
+  ).toArray();
+  remaining.forEach(task => (task.attachments || []).forEach(attachment => {
+    [attachment, ...(attachment.versions || [])].forEach(file => sizes.delete(file.fileKey));
+  }));
+
+  return [...sizes.values()].reduce((sum, bytes) => sum + bytes, 0);
+};
+
+/**
+ * Whether this task's status is in the "done" category.
+ */
+taskSchema.methods.isDone = function() {
+  return this.statusCategory
+    ? this.statusCategory === 'done'
+    : this.status === 'Done';
+};
+
 // --- Middleware ---
 
-// Pre-save middleware to update note's updatedAt when modified
-noteSchema.pre('save', function(next) {
-  if (this.isModified('content')) {
-    this.updatedAt = new Date();
-    this.isEdited = true;
+// Pre-validate middleware to check the status against the workspace workflow
+// and keep 'statusCategory' in sync with it.
+taskSchema.pre('validate', async function(next) {
+  if (!this.isNew && !this.isModified('status') && !this.isModified('workspace') && this.statusCategory) {
+    return next();
+  }
+
+  const workspace = this.workspace
+    ? await mongoose.model('Workspace').findById(this.workspace)
+    : null;
+  if (!workspace) return next(); // The 'workspace' validator reports this
+
+  if (!this.status) {
+    this.status = workspace.getDefaultStatus();
+  }
+
+  let category = workspace.getStatusCategory(this.status);
+  if (!category && !this.isNew && this.isModified('workspace') && !this.isModified('status')) {
+    // Moved to a workspace without this status: keep the task in the same
+    // stage of the workflow.
+    const previousCategory = this.statusCategory || (this.status === 'Done' ? 'done' : 'todo');
+    this.status = workspace.getFirstStatusOfCategory(previousCategory) || workspace.getDefaultStatus();
+    category = workspace.getStatusCategory(this.status);
+  }
+
+  if (!category) {
+    this.invalidate('status', `"${this.status}" is not a status in the "${workspace.name}" workspace.`, this.status);
+    return next();
+  }
+
+  // New tasks and tasks changing column go to the bottom of their column,
+  // unless they were explicitly positioned.
+  if ((this.isNew || this.isModified('status') || this.isModified('workspace')) && !this.isModified('rank')) {
+    this.rank = await this.constructor.getEndRank(this.workspace, this.status, this._id);
+  }
+
+  this.statusCategory = category;
+  if (category === 'done' && !this.completedAt) {
+    this.completedAt = new Date();
+  } else if (category !== 'done' && this.completedAt) {
+    this.completedAt = undefined;
   }
   next();
 });
 
+// Paths that the history middleware leaves alone: derived fields, and fields
+// only changed by code that records its own, more specific entry (trash,
+// dependencies, sub-tasks, attachments and time tracking).
+const UNTRACKED_PATHS = [
+  'updatedAt',
+  '__v',
+  'statusCategory',
+  'completedAt',
+  'rank',
+  'googleEventId',
+  'deletedAt',
+  'deletedBy',
+  'blockedBy',
+  'subTasks',
+  'attachments',
+  'timeSpentMinutes',
+];
+
+// Entries that already describe a status change made along with them
+const STATUS_CHANGE_ACTIONS = ['completed', 'reopened', 'blocked', 'unblocked'];
+
 // Pre-save middleware to track changes and create history entries
 taskSchema.pre('save', function(next) {
   if (this.isNew) {
-    // Task is being created
-    this.history.push({
-      action: 'created',
-      description: `Task "${this.title}" was created`,
-      user: this.user,
-      timestamp: new Date(),
-    });
+    // Task is being created. Code creating a task in a particular way (e.g.
+    // from a template) may queue its own, more specific 'created' entry.
+    const pending = this.$locals.pendingHistory || [];
+    if (!pending.some(entry => entry.action === 'created')) {
+      this.recordHistory({
+        action: 'created',
+        description: `Task "${this.title}" was created`,
+        user: this.user,
+        timestamp: new Date(),
+      });
+    }
   } else if (this.isModified()) {
-    // Task is being updated
-    const modifiedPaths = this.modifiedPaths();
+    if (this.isModified('workspace') && this._original) {
+      this.$locals.previousWorkspace = this._original.workspace;
+    }
+
+    // Task is being updated. Only top-level fields are recorded, so their
+    // entries hold whole values that can be reverted and replayed.
+    const modifiedPaths = this.modifiedPaths().filter(path => !path.includes('.'));
     const user = this.user; // Assuming user context is available
-    
+    const statusRecorded = (this.$locals.pendingHistory || [])
+      .some(entry => STATUS_CHANGE_ACTIONS.includes(entry.action));
+
     modifiedPaths.forEach(path => {
       // Skip certain paths that shouldn't create history entries
-      if (['updatedAt', 'history', '__v'].includes(path)) return;
-      
+      if (UNTRACKED_PATHS.includes(path)) return;
+      if (path === 'status' && statusRecorded) return;
+
       let action = 'updated';
       let description = `Field "${path}" was updated`;
       
@@ -284,7 +680,7 @@ taskSchema.pre('save', function(next) {
           break;
       }
       
-      this.history.push({
+      this.recordHistory({
         action,
         field: path,
         oldValue: this._original?.[path],
@@ -295,6 +691,80 @@ taskSchema.pre('save', function(next) {
       });
     });
   }
+
+  // Stamp new history entries with the version they were made on top of, so
+  // that stale writers can be told which fields changed since they last read.
+  (this.$locals.pendingHistory || []).forEach(entry => {
+    if (entry.version === undefined) {
+      entry.version = this.__v || 0;
+    }
+  });
+  next();
+});
+
+// Post-save middleware to move the history, mentions, time entries, extracted
+// attachment text and the storage used by attachments along with a task that
+// changed workspace
+taskSchema.post('save', async function() {
+  const previousWorkspace = this.$locals.previousWorkspace;
+  if (!previousWorkspace) return;
+  this.$locals.previousWorkspace = undefined;
+
+  const movedRecords = { task: this._id, workspace: previousWorkspace };
+  await Promise.all([
+    TaskHistory.updateMany(movedRecords, { workspace: this.workspace }),
+    Mention.updateMany(movedRecords, { workspace: this.workspace }),
+    TimeEntry.updateMany(movedRecords, { workspace: this.workspace }),
+    AttachmentContent.updateMany({ task: this._id }, { workspace: this.workspace }),
+  ]);
+  const bytes = await this.constructor.getMovedStorageSize([this], previousWorkspace);
+  if (bytes > 0) {
+    const Workspace = mongoose.model('Workspace');
+    await Workspace.updateOne({ _id: previousWorkspace }, { $inc: { storageUsed: -bytes } });
+    await Workspace.updateOne({ _id: this.workspace }, { $inc: { storageUsed: bytes } });
+  }
+});
+
+// Post-save middleware to write the queued history entries
+taskSchema.post('save', async function() {
+  const entries = this.$locals.pendingHistory;
+  if (!entries || entries.length === 0) return;
+  this.$locals.pendingHistory = [];
+  await TaskHistory.insertMany(
+    entries.map(entry => ({ ...entry, task: this._id, workspace: this.workspace }))
+  );
+});
+
+/**
+ * Checks whether a query filter constrains 'deletedAt' anywhere, including
+ * inside $and/$or/$nor (e.g. a paginated query combining the caller's filter
+ * with a cursor condition).
+ */
+function filtersOnDeletedAt(filter) {
+  if (!filter || typeof filter !== 'object') return false;
+  if (filter.deletedAt !== undefined) return true;
+  return ['$and', '$or', '$nor'].some(operator =>
+    Array.isArray(filter[operator]) && filter[operator].some(filtersOnDeletedAt));
+}
+
+// Query middleware to hide trashed tasks. Queries that filter on 'deletedAt'
+// themselves (e.g. the trash listing) are left untouched.
+function excludeTrashed(next) {
+  if (!filtersOnDeletedAt(this.getFilter())) {
+    this.where({ deletedAt: null });
+  }
+  next();
+}
+taskSchema.pre(/^find/, excludeTrashed);
+taskSchema.pre('countDocuments', excludeTrashed);
+
+// Aggregation middleware to hide trashed tasks from reports
+taskSchema.pre('aggregate', function(next) {
+  const pipeline = this.pipeline();
+  const firstStage = pipeline[0];
+  if (!(firstStage && firstStage.$match && firstStage.$match.deletedAt !== undefined)) {
+    pipeline.unshift({ $match: { deletedAt: null } });
+  }
   next();
 });
 
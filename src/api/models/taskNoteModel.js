@@ -0,0 +1,119 @@
+// src/api/models/taskNoteModel.js
+
+const mongoose = require('mongoose');
+const { renderMarkdown } = require('../../utils/markdown');
+
+/**
+ * Task Note Schema Definition
+ *
+ * A note left on a task. Notes live in their own collection, keyed by task,
+ * so they can be paged without loading the task.
+ *
+ * Notes are threaded one level deep: a reply points at the top-level note
+ * that starts its thread. Content is Markdown; the rendered, sanitized HTML
+ * is kept alongside it.
+ */
+const taskNoteSchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Task',
+    required: [true, 'A note must belong to a task.'],
+  },
+  content: {
+    type: String,
+    required: [true, 'Note content is required'],
+    trim: true,
+  },
+  // The Markdown content rendered to sanitized HTML, updated with 'content'.
+  contentHtml: {
+    type: String,
+  },
+  // The top-level note this note replies to (null for a top-level note).
+  parent: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'TaskNote',
+    default: null,
+  },
+  // The users @mentioned in the content (see services/mentionService.js).
+  mentions: [{
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+  }],
+  author: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Note must have an author'],
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  isEdited: {
+    type: Boolean,
+    default: false,
+  },
+  // Incremented on every edit; clients send it back to guard against stale writes.
+  version: {
+    type: Number,
+    default: 0,
+  },
+});
+
+// --- Indexes ---
+// Index for paging a task's notes and threads
+taskNoteSchema.index({ task: 1, createdAt: -1 });
+taskNoteSchema.index({ task: 1, parent: 1, createdAt: -1 });
+taskNoteSchema.index({ task: 1, updatedAt: -1 });
+// Index for loading the replies of a page of threads
+taskNoteSchema.index({ parent: 1, createdAt: 1 });
+
+// --- Middleware ---
+
+// Pre-save middleware to render the content and, on edits, update the note's updatedAt
+taskNoteSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('content')) {
+    this.contentHtml = renderMarkdown(this.content);
+  }
+  if (!this.isNew && this.isModified('content')) {
+    this.updatedAt = new Date();
+    this.isEdited = true;
+  }
+  next();
+});
+
+// Query middleware to re-render the content of notes edited through an update
+taskNoteSchema.pre('findOneAndUpdate', function(next) {
+  const update = this.getUpdate();
+  const content = update.content !== undefined ? update.content : update.$set && update.$set.content;
+  if (content !== undefined) {
+    this.set('contentHtml', renderMarkdown(content));
+  }
+  next();
+});
+
+// Post-init middleware to render notes saved before Markdown support
+taskNoteSchema.post('init', function() {
+  if (this.contentHtml === undefined && this.content) {
+    this.contentHtml = renderMarkdown(this.content);
+  }
+});
+
+// --- Statics ---
+
+/**
+ * Query condition matching a note at the given version. Notes copied over
+ * by migrateTaskActivity.js before it wrote a version have none stored,
+ * which Mongoose reads as the default of 0.
+ */
+taskNoteSchema.statics.versionCondition = function(version) {
+  return { version: version === 0 ? { $in: [0, null] } : version };
+};
+
+// --- Model Creation ---
+const TaskNote = mongoose.model('TaskNote', taskNoteSchema);
+
+module.exports = TaskNote;
@@ -0,0 +1,91 @@
+// src/api/models/templateModel.js
+
+const mongoose = require('mongoose');
+
+/**
+ * Template Variable Schema Definition
+ *
+ * A placeholder that can be used as {{name}} in the template's text fields
+ * and is filled in when the template is instantiated.
+ */
+const templateVariableSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'A template variable must have a name.'],
+    trim: true,
+    match: [/^[A-Za-z_][A-Za-z0-9_]*$/, 'Variable names may only contain letters, digits and underscores.'],
+  },
+  description: {
+    type: String,
+    trim: true,
+  },
+  defaultValue: {
+    type: String,
+  },
+  required: {
+    type: Boolean,
+    default: false,
+  },
+}, { _id: false });
+
+/**
+ * Task Template Schema Definition
+ *
+ * A reusable blueprint for tasks, such as an onboarding or release checklist.
+ * Templates belong to a user and can be instantiated into any of their
+ * workspaces. They are unrelated to recurring task templates, which live in
+ * the tasks collection.
+ */
+const templateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'A template must have a name.'],
+    trim: true,
+  },
+  owner: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'A template must belong to a user.'],
+  },
+  // --- Fields copied into the task (may contain {{variables}}) ---
+  title: {
+    type: String,
+    required: [true, 'A template must have a task title.'],
+    trim: true,
+  },
+  description: {
+    type: String,
+    trim: true,
+  },
+  priority: {
+    type: String,
+    enum: ['Low', 'Medium', 'High', 'Critical'],
+    default: 'Medium',
+  },
+  tags: [String],
+  isKeyTask: {
+    type: Boolean,
+    default: false,
+  },
+  subTasks: [{
+    _id: false,
+    title: { type: String, required: true, trim: true },
+  }],
+  // Due date relative to instantiation, e.g. "+3 days", "+1 week", "+4 hours".
+  dueOffset: {
+    type: String,
+    trim: true,
+  },
+  variables: [templateVariableSchema],
+}, {
+  timestamps: true,
+});
+
+// --- Indexes ---
+templateSchema.index({ owner: 1, name: 1 });
+
+
+// --- Model Creation ---
+const Template = mongoose.model('Template', templateSchema);
+
+module.exports = Template;
@@ -0,0 +1,86 @@
+// src/api/models/timeEntryModel.js
+
+const mongoose = require('mongoose');
+
+/**
+ * Time Entry Schema Definition
+ *
+ * A block of time a user spent on a task. Entries are created either by a
+ * running timer (which is open until stopped) or manually after the fact.
+ * A user can have at most one running timer at a time.
+ */
+const timeEntrySchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Task',
+    required: [true, 'A time entry must belong to a task.'],
+  },
+  // Denormalized from the task so timesheets can be built per workspace.
+  workspace: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Workspace',
+    required: [true, 'A time entry must belong to a workspace.'],
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'A time entry must belong to a user.'],
+  },
+  startedAt: {
+    type: Date,
+    required: [true, 'A time entry must have a start time.'],
+  },
+  endedAt: {
+    type: Date,
+  },
+  durationMinutes: {
+    type: Number,
+    min: [0, 'Duration cannot be negative.'],
+    default: 0,
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'A time entry note cannot exceed 1000 characters.'],
+  },
+  source: {
+    type: String,
+    enum: ['timer', 'manual'],
+    default: 'manual',
+  },
+  isRunning: {
+    type: Boolean,
+    default: false,
+  },
+}, {
+  timestamps: true,
+});
+
+// --- Indexes ---
+timeEntrySchema.index({ task: 1, startedAt: -1 });
+timeEntrySchema.index({ workspace: 1, startedAt: -1 });
+// Enforces a single running timer per user
+timeEntrySchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { isRunning: true } }
+);
+
+// --- Instance Methods ---
+
+/**
+ * Closes a running entry at the given time and computes its duration.
+ * @param {Date} [endedAt] When the timer was stopped (defaults to now).
+ */
+timeEntrySchema.methods.stop = function(endedAt = new Date()) {
+  this.endedAt = endedAt;
+  this.isRunning = false;
+  this.durationMinutes = Math.max(
+    0,
+    Math.round(((endedAt - this.startedAt) / 60000) * 100) / 100
+  );
+};
+
+// --- Model Creation ---
+const TimeEntry = mongoose.model('TimeEntry', timeEntrySchema);
+
+module.exports = TimeEntry;
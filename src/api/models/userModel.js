@@ -57,6 +57,18 @@ const userSchema = new mongoose.Schema({
     type: Date,
     select: false,
   },
+
+  // --- Storage Accounting Fields (see services/storageQuotaService.js) ---
+  // Bytes of attachment files uploaded by the user
+  storageUsed: {
+    type: Number,
+    default: 0,
+  },
+  // Overrides USER_STORAGE_QUOTA_MB for this user (in bytes; 0 means no limit)
+  storageQuota: {
+    type: Number,
+    min: [0, 'A storage quota cannot be negative.'],
+  },
 });
 
 // --- Mongoose Middleware (Hooks) ---
@@ -2,12 +2,54 @@
 
 const mongoose = require('mongoose');
 
+// The categories every workflow status must belong to. Features that need to
+// know whether a task is finished (analytics, notifications, dependencies)
+// reason about the category rather than the status name.
+const STATUS_CATEGORIES = ['todo', 'in-progress', 'done'];
+
+// The workflow used by workspaces that have not defined their own.
+const DEFAULT_STATUSES = [
+  { name: 'To Do', category: 'todo', allowedTransitions: [] },
+  { name: 'In Progress', category: 'in-progress', allowedTransitions: [] },
+  { name: 'Blocked', category: 'in-progress', allowedTransitions: [] },
+  { name: 'For Review', category: 'in-progress', allowedTransitions: [] },
+  { name: 'Done', category: 'done', allowedTransitions: [] },
+];
+
+// Workspace colors are hex codes such as "#3b82f6" or "#38f".
+const COLOR_PATTERN = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * Workflow Status Schema Definition
+ *
+ * A single column of a workspace's workflow. The position of the status in
+ * the workspace's 'statuses' array defines its order on the board.
+ */
+const statusSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'A status must have a name.'],
+    trim: true,
+  },
+  category: {
+    type: String,
+    required: [true, 'A status must have a category.'],
+    enum: {
+      values: STATUS_CATEGORIES,
+      message: 'Status category must be either todo, in-progress, or done.',
+    },
+  },
+  // Names of the statuses a task may move to from this one. Empty means any.
+  allowedTransitions: [String],
+}, { _id: false });
+
 /**
  * Workspace Schema Definition
  *
  * This schema defines the structure for Workspace documents. Workspaces are the
  * top-level containers that segregate tasks into distinct contexts (e.g.,
- * Personal, Business, Company). Each workspace is owned by a single user.
+ * Personal, Business, Company, or one per client). Each workspace is owned by
+ * a single user.
  */
 const workspaceSchema = new mongoose.Schema({
   name: {
@@ -15,15 +57,36 @@ const workspaceSchema = new mongoose.Schema({
     required: [true, 'A workspace must have a name.'],
     trim: true,
   },
-  // The type of the workspace, restricted to the three allowed values.
+  // A free-form label for the kind of workspace. Signup creates a 'Personal',
+  // a 'Business' and a 'Company' workspace; meetings are held in 'Company' ones.
   type: {
     type: String,
-    required: true,
-    enum: {
-      values: ['Personal', 'Business', 'Company'],
-      message: 'Workspace type must be either Personal, Business, or Company.',
+    trim: true,
+    maxlength: [50, 'A workspace type must be at most 50 characters.'],
+  },
+  // --- Appearance ---
+  color: {
+    type: String,
+    trim: true,
+    default: null,
+    validate: {
+      validator: value => value === null || COLOR_PATTERN.test(value),
+      message: 'Workspace color must be a hex code such as #3b82f6.',
     },
   },
+  // An emoji or icon name chosen by the client
+  icon: {
+    type: String,
+    trim: true,
+    default: null,
+    maxlength: [50, 'A workspace icon must be at most 50 characters.'],
+  },
+  // Archived workspaces are hidden from the workspace list and cannot receive
+  // new tasks until they are unarchived. Their tasks are kept as they are.
+  archivedAt: {
+    type: Date,
+    default: null,
+  },
   // A reference to the User who owns this workspace. This creates a parent-child
   // relationship between User and Workspace documents.
   owner: {
@@ -31,6 +94,28 @@ const workspaceSchema = new mongoose.Schema({
     ref: 'User', // This refers to the 'User' model we created.
     required: [true, 'A workspace must belong to a user.'],
   },
+  // The ordered workflow statuses for tasks in this workspace.
+  statuses: {
+    type: [statusSchema],
+    default: () => DEFAULT_STATUSES.map(status => ({ ...status })),
+    validate: {
+      validator: function(statuses) {
+        return validateStatuses(statuses) === null;
+      },
+      message: props => validateStatuses(props.value),
+    },
+  },
+  // --- Storage Accounting (see services/storageQuotaService.js) ---
+  // Bytes of attachment files stored in the workspace's tasks
+  storageUsed: {
+    type: Number,
+    default: 0,
+  },
+  // Overrides WORKSPACE_STORAGE_QUOTA_MB for this workspace (in bytes; 0 means no limit)
+  storageQuota: {
+    type: Number,
+    min: [0, 'A storage quota cannot be negative.'],
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -41,6 +126,101 @@ const workspaceSchema = new mongoose.Schema({
   toObject: { virtuals: true },
 });
 
+// Index for listing a user's workspaces
+workspaceSchema.index({ owner: 1, archivedAt: 1 });
+
+// --- Helper Functions ---
+
+/**
+ * Checks a workflow status list for consistency.
+ * @param {Array} statuses The status list to check.
+ * @returns {string|null} A description of the first problem found, or null.
+ */
+function validateStatuses(statuses) {
+  if (!statuses || statuses.length === 0) {
+    return 'A workspace must define at least one status.';
+  }
+  const names = statuses.map(status => status.name);
+  const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+  if (duplicate) {
+    return `Duplicate status name: ${duplicate}.`;
+  }
+  if (!statuses.some(status => status.category === 'todo')) {
+    return 'A workspace must have at least one status in the "todo" category.';
+  }
+  if (!statuses.some(status => status.category === 'done')) {
+    return 'A workspace must have at least one status in the "done" category.';
+  }
+  for (const status of statuses) {
+    const unknown = (status.allowedTransitions || []).find(name => !names.includes(name));
+    if (unknown) {
+      return `Status "${status.name}" allows a transition to unknown status "${unknown}".`;
+    }
+  }
+  return null;
+}
+
+// --- Instance Methods ---
+
+/**
+ * Returns the workspace's workflow, falling back to the default workflow for
+ * workspaces created before custom statuses existed.
+ */
+workspaceSchema.methods.getStatuses = function() {
+  return this.statuses && this.statuses.length > 0 ? this.statuses : DEFAULT_STATUSES;
+};
+
+/**
+ * Finds a status definition by name.
+ * @param {string} name The status name.
+ * @returns {object|undefined}
+ */
+workspaceSchema.methods.findStatus = function(name) {
+  return this.getStatuses().find(status => status.name === name);
+};
+
+/**
+ * Returns the category of a status, or undefined if the status does not exist.
+ */
+workspaceSchema.methods.getStatusCategory = function(name) {
+  const status = this.findStatus(name);
+  return status ? status.category : undefined;
+};
+
+/**
+ * Returns the first status of the given category, in workflow order.
+ */
+workspaceSchema.methods.getFirstStatusOfCategory = function(category) {
+  const status = this.getStatuses().find(s => s.category === category);
+  return status ? status.name : undefined;
+};
+
+/**
+ * Returns the status new tasks start in (the first "todo" status).
+ */
+workspaceSchema.methods.getDefaultStatus = function() {
+  return this.getFirstStatusOfCategory('todo');
+};
+
+/**
+ * Returns the status tasks are moved to when completed (the first "done" status).
+ */
+workspaceSchema.methods.getDoneStatus = function() {
+  return this.getFirstStatusOfCategory('done');
+};
+
+/**
+ * Checks whether a task may move directly from one status to another.
+ */
+workspaceSchema.methods.canTransition = function(from, to) {
+  if (from === to) return true;
+  const fromStatus = this.findStatus(from);
+  if (!fromStatus || !fromStatus.allowedTransitions || fromStatus.allowedTransitions.length === 0) {
+    return true;
+  }
+  return fromStatus.allowedTransitions.includes(to);
+};
+
 // --- Mongoose Middleware (Hooks) ---
 
 /**
@@ -65,4 +245,7 @@ const workspaceSchema = new mongoose.Schema({
 // --- Model Creation ---
 const Workspace = mongoose.model('Workspace', workspaceSchema);
 
+Workspace.STATUS_CATEGORIES = STATUS_CATEGORIES;
+Workspace.DEFAULT_STATUSES = DEFAULT_STATUSES;
+
 module.exports = Workspace;
@@ -0,0 +1,24 @@
+// src/api/routes/activityRoutes.js
+
+const express = require('express');
+const activityController = require('../controllers/activityController');
+const authMiddleware = require('../middlewares/authMiddleware');
+
+// Merged params give access to ':workspaceId' when nested under workspaces.
+const router = express.Router({ mergeParams: true });
+
+// --- Protected Activity Routes ---
+
+// Apply the 'protect' middleware to all routes in this file.
+router.use(authMiddleware.protect);
+
+/**
+ * @route   GET /api/v1/activity
+ * @route   GET /api/v1/workspaces/:workspaceId/activity
+ * @desc    Get the activity feed (task changes, notes, attachments), newest first.
+ *          Filters: ?action=, ?type=changes|notes|attachments, ?user=, ?from=, ?to=; paged with ?cursor=
+ * @access  Private
+ */
+router.route('/').get(activityController.getActivity);
+
+module.exports = router;
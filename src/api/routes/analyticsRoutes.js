@@ -20,4 +20,13 @@ router
   .route('/reports/weekly/:workspaceId')
   .get(analyticsController.getWeeklyReport);
 
+/**
+ * @route   GET /api/v1/analytics/timesheet/:workspaceId
+ * @desc    Get logged time for a workspace by task and by day (?from=&to=)
+ * @access  Private
+ */
+router
+  .route('/timesheet/:workspaceId')
+  .get(analyticsController.getTimesheet);
+
 module.exports = router;
@@ -0,0 +1,67 @@
+// src/api/routes/recurringRoutes.js
+
+const express = require('express');
+const recurringController = require('../controllers/recurringController');
+const authMiddleware = require('../middlewares/authMiddleware');
+
+const router = express.Router();
+
+// --- Protection Middleware ---
+// Protect all recurring series routes
+router.use(authMiddleware.protect);
+
+/**
+ * @route   GET /api/v1/recurring
+ * @desc    Get all recurring series of the logged-in user
+ * @access  Private
+ */
+router.route('/').get(recurringController.getAllSeries);
+
+/**
+ * @route   GET /api/v1/recurring/:id
+ * @desc    Get or edit a recurring series by its template ID
+ * @access  Private
+ */
+router
+  .route('/:id')
+  .get(recurringController.getSeries)
+  .patch(recurringController.updateSeries);
+
+/**
+ * @route   GET /api/v1/recurring/:id/instances
+ * @desc    Get the tasks created from a recurring series
+ * @access  Private
+ */
+router.route('/:id/instances').get(recurringController.getSeriesInstances);
+
+/**
+ * @route   GET /api/v1/recurring/:id/preview
+ * @desc    Preview the next due dates of a recurring series
+ * @access  Private
+ */
+router.route('/:id/preview').get(recurringController.previewSeries);
+
+// --- Series State Routes ---
+
+/**
+ * @route   POST /api/v1/recurring/:id/pause
+ * @desc    Pause a recurring series
+ * @access  Private
+ */
+router.route('/:id/pause').post(recurringController.pauseSeries);
+
+/**
+ * @route   POST /api/v1/recurring/:id/resume
+ * @desc    Resume a paused recurring series
+ * @access  Private
+ */
+router.route('/:id/resume').post(recurringController.resumeSeries);
+
+/**
+ * @route   POST /api/v1/recurring/:id/skip
+ * @desc    Skip the next occurrence of a recurring series
+ * @access  Private
+ */
+router.route('/:id/skip').post(recurringController.skipNextOccurrence);
+
+module.exports = router;
@@ -13,7 +13,7 @@ router.use(authMiddleware.protect);
 
 /**
  * @route   GET /api/v1/search
- * @desc    Perform a global task search using a query parameter (e.g., ?q=report)
+ * @desc    Perform a global task search, including the text of attachments, using a query parameter (e.g., ?q=report)
  * @access  Private
  */
 router.route('/').get(searchController.globalSearch);
@@ -2,6 +2,7 @@
 
 const express = require('express');
 const taskController = require('../controllers/taskController');
+const timeTrackingController = require('../controllers/timeTrackingController');
 const authMiddleware = require('../middlewares/authMiddleware');
 
 // The 'mergeParams: true' option is essential for nested routes.
@@ -18,6 +19,36 @@ router.use(authMiddleware.protect);
  */
 router.route('/parse').post(taskController.parseTask);
 
+/**
+ * @route   POST /api/v1/tasks/quick-add
+ * @route   POST /api/v1/workspaces/:workspaceId/tasks/quick-add
+ * @desc    Parse a natural language string and create the task
+ * @access  Private
+ */
+router.route('/quick-add').post(taskController.quickAddTask);
+
+/**
+ * @route   POST /api/v1/tasks/bulk
+ * @desc    Apply one operation (status, priority, tags, move, key task, delete) to many tasks
+ * @access  Private
+ */
+router.route('/bulk').post(taskController.bulkUpdateTasks);
+
+/**
+ * @route   GET /api/v1/tasks/trash
+ * @route   GET /api/v1/workspaces/:workspaceId/tasks/trash
+ * @desc    List tasks in the trash (purged after the retention period)
+ * @access  Private
+ */
+router.route('/trash').get(taskController.getTrash);
+
+/**
+ * @route   GET /api/v1/tasks/timer
+ * @desc    Get the current user's running timer, if any
+ * @access  Private
+ */
+router.route('/timer').get(timeTrackingController.getRunningTimer);
+
 // --- Main Task Routes ---
 
 /**
@@ -42,6 +73,20 @@ router
   .patch(taskController.updateTask)
   .delete(taskController.deleteTask);
 
+/**
+ * @route   POST /api/v1/tasks/:id/restore
+ * @desc    Restore a task from the trash
+ * @access  Private
+ */
+router.route('/:id/restore').post(taskController.restoreTask);
+
+/**
+ * @route   DELETE /api/v1/tasks/:id/permanent
+ * @desc    Permanently delete a task from the trash, releasing its attachment storage
+ * @access  Private
+ */
+router.route('/:id/permanent').delete(taskController.purgeTask);
+
 // --- Task Status Routes ---
 
 /**
@@ -58,6 +103,100 @@ router.route('/:id/complete').patch(taskController.markTaskCompleted);
  */
 router.route('/:id/pending').patch(taskController.markTaskPending);
 
+/**
+ * @route   POST /api/v1/tasks/:id/move
+ * @desc    Move a task to a status column and position on the board
+ * @access  Private
+ */
+router.route('/:id/move').post(taskController.moveTask);
+
+// --- Sub-task Routes ---
+
+/**
+ * @route   POST /api/v1/tasks/:id/subtasks
+ * @desc    Add a sub-task to a task
+ * @access  Private
+ */
+router.route('/:id/subtasks').post(taskController.addSubTask);
+
+/**
+ * @route   POST /api/v1/tasks/:id/subtasks/reorder
+ * @desc    Reorder the sub-tasks of a task
+ * @access  Private
+ */
+router.route('/:id/subtasks/reorder').post(taskController.reorderSubTasks);
+
+/**
+ * @route   PATCH /api/v1/tasks/:id/subtasks/:subtaskId
+ * @route   DELETE /api/v1/tasks/:id/subtasks/:subtaskId
+ * @desc    Update or delete a sub-task
+ * @access  Private
+ */
+router
+  .route('/:id/subtasks/:subtaskId')
+  .patch(taskController.updateSubTask)
+  .delete(taskController.deleteSubTask);
+
+// --- Dependency Routes ---
+
+/**
+ * @route   GET /api/v1/tasks/:id/dependencies
+ * @route   POST /api/v1/tasks/:id/dependencies
+ * @desc    Get a task's blocking/blocked tasks or add a dependency edge
+ * @access  Private
+ */
+router
+  .route('/:id/dependencies')
+  .get(taskController.getTaskDependencies)
+  .post(taskController.addTaskDependency);
+
+/**
+ * @route   DELETE /api/v1/tasks/:id/dependencies/:dependencyId
+ * @desc    Remove a dependency edge between two tasks
+ * @access  Private
+ */
+router
+  .route('/:id/dependencies/:dependencyId')
+  .delete(taskController.removeTaskDependency);
+
+// --- Time Tracking Routes ---
+
+/**
+ * @route   POST /api/v1/tasks/:id/timer/start
+ * @desc    Start a timer on a task (stops any other running timer of the user)
+ * @access  Private
+ */
+router.route('/:id/timer/start').post(timeTrackingController.startTimer);
+
+/**
+ * @route   POST /api/v1/tasks/:id/timer/stop
+ * @desc    Stop the running timer on a task
+ * @access  Private
+ */
+router.route('/:id/timer/stop').post(timeTrackingController.stopTimer);
+
+/**
+ * @route   GET /api/v1/tasks/:id/time-entries
+ * @route   POST /api/v1/tasks/:id/time-entries
+ * @desc    Get a task's time entries or log time manually
+ * @access  Private
+ */
+router
+  .route('/:id/time-entries')
+  .get(timeTrackingController.getTimeEntries)
+  .post(timeTrackingController.createTimeEntry);
+
+/**
+ * @route   PATCH /api/v1/tasks/:id/time-entries/:entryId
+ * @route   DELETE /api/v1/tasks/:id/time-entries/:entryId
+ * @desc    Update or delete a time entry
+ * @access  Private
+ */
+router
+  .route('/:id/time-entries/:entryId')
+  .patch(timeTrackingController.updateTimeEntry)
+  .delete(timeTrackingController.deleteTimeEntry);
+
 // --- Attachment Routes ---
 
 /**
@@ -76,27 +215,110 @@ router
   .route('/:id/attachments')
   .post(taskController.uploadTaskFile, taskController.addAttachmentToTask);
 
+/**
+ * @route   POST /api/v1/tasks/:id/attachments/uploads
+ * @desc    Start a direct upload and get the URL to send the file to
+ * @access  Private
+ */
+router
+  .route('/:id/attachments/uploads')
+  .post(taskController.createAttachmentUpload);
+
+/**
+ * @route   PUT /api/v1/tasks/:id/attachments/uploads/:uploadId
+ * @desc    Receive the file of a direct upload (storage drivers that cannot sign URLs)
+ * @access  Private
+ */
+router
+  .route('/:id/attachments/uploads/:uploadId')
+  .put(taskController.receiveAttachmentUpload);
+
+/**
+ * @route   POST /api/v1/tasks/:id/attachments/uploads/:uploadId/confirm
+ * @desc    Confirm a direct upload and attach the file to the task
+ * @access  Private
+ */
+router
+  .route('/:id/attachments/uploads/:uploadId/confirm')
+  .post(taskController.confirmAttachmentUpload);
+
 /**
  * @route   DELETE /api/v1/tasks/:id/attachments/:attachmentId
- * @desc    Remove an attachment from a task
+ * @desc    Remove an attachment with all its versions (or one version with ?version=)
  * @access  Private
  */
 router
   .route('/:id/attachments/:attachmentId')
   .delete(taskController.removeAttachmentFromTask);
 
+/**
+ * @route   GET /api/v1/tasks/:id/attachments/:attachmentId/download
+ * @desc    Download an attachment (redirects to a short-lived signed URL when the storage driver supports it)
+ * @access  Private
+ */
+router
+  .route('/:id/attachments/:attachmentId/download')
+  .get(taskController.downloadAttachment);
+
+/**
+ * @route   GET /api/v1/tasks/:id/attachments/:attachmentId/thumbnail
+ * @desc    Get the thumbnail of an image attachment
+ * @access  Private
+ */
+router
+  .route('/:id/attachments/:attachmentId/thumbnail')
+  .get(taskController.getAttachmentThumbnail);
+
+/**
+ * @route   GET /api/v1/tasks/:id/attachments/:attachmentId/versions
+ * @route   POST /api/v1/tasks/:id/attachments/:attachmentId/versions
+ * @desc    Get the version history of an attachment or upload a new version
+ * @access  Private
+ */
+router
+  .route('/:id/attachments/:attachmentId/versions')
+  .get(taskController.getAttachmentVersions)
+  .post(taskController.uploadTaskFile, taskController.addAttachmentVersion);
+
+/**
+ * @route   DELETE /api/v1/tasks/:id/attachments/:attachmentId/versions/:version
+ * @desc    Remove one version of an attachment
+ * @access  Private
+ */
+router
+  .route('/:id/attachments/:attachmentId/versions/:version')
+  .delete(taskController.removeAttachmentFromTask);
+
+/**
+ * @route   GET /api/v1/tasks/:id/attachments/:attachmentId/versions/:version/download
+ * @desc    Download a version of an attachment
+ * @access  Private
+ */
+router
+  .route('/:id/attachments/:attachmentId/versions/:version/download')
+  .get(taskController.downloadAttachment);
+
+/**
+ * @route   POST /api/v1/tasks/:id/attachments/:attachmentId/versions/:version/restore
+ * @desc    Restore an earlier version of an attachment as its new current version
+ * @access  Private
+ */
+router
+  .route('/:id/attachments/:attachmentId/versions/:version/restore')
+  .post(taskController.restoreAttachmentVersion);
+
 // --- Notes Routes ---
 
 /**
  * @route   GET /api/v1/tasks/:id/notes
- * @desc    Get all notes for a task (with pagination)
+ * @desc    Get the note threads of a task, each with its replies (with pagination)
  * @access  Private
  */
 router.route('/:id/notes').get(taskController.getTaskNotes);
 
 /**
  * @route   POST /api/v1/tasks/:id/notes
- * @desc    Add a note to a task
+ * @desc    Add a note (Markdown, with @mentions) to a task; `parent` in the body makes it a reply
  * @access  Private
  */
 router.route('/:id/notes').post(taskController.addNoteToTask);
@@ -108,6 +330,13 @@ router.route('/:id/notes').post(taskController.addNoteToTask);
  */
 router.route('/:id/notes/:noteId').patch(taskController.updateNoteInTask);
 
+/**
+ * @route   POST /api/v1/tasks/:id/notes/:noteId/replies
+ * @desc    Reply to a note
+ * @access  Private
+ */
+router.route('/:id/notes/:noteId/replies').post(taskController.addNoteToTask);
+
 /**
  * @route   DELETE /api/v1/tasks/:id/notes/:noteId
  * @desc    Delete a specific note from a task
@@ -131,6 +360,20 @@ router.route('/:id/history').get(taskController.getTaskHistory);
  */
 router.route('/:id/history').post(taskController.addHistoryEntry);
 
+/**
+ * @route   POST /api/v1/tasks/:id/history/:historyId/revert
+ * @desc    Revert the field change recorded by a history entry
+ * @access  Private
+ */
+router.route('/:id/history/:historyId/revert').post(taskController.revertHistoryEntry);
+
+/**
+ * @route   GET /api/v1/tasks/:id/as-of
+ * @desc    Reconstruct the task as it was at a point in time (?timestamp=)
+ * @access  Private
+ */
+router.route('/:id/as-of').get(taskController.getTaskAsOf);
+
 /**
  * @route   GET /api/v1/tasks/:id/activity
  * @desc    Get task activity summary (recent notes, history, and stats)
@@ -0,0 +1,44 @@
+// src/api/routes/templateRoutes.js
+
+const express = require('express');
+const templateController = require('../controllers/templateController');
+const authMiddleware = require('../middlewares/authMiddleware');
+
+const router = express.Router();
+
+// --- Protection Middleware ---
+// Protect all template routes
+router.use(authMiddleware.protect);
+
+/**
+ * @route   GET /api/v1/templates
+ * @route   POST /api/v1/templates
+ * @desc    Get all of the user's task templates or create a new one
+ * @access  Private
+ */
+router
+  .route('/')
+  .get(templateController.getAllTemplates)
+  .post(templateController.createTemplate);
+
+/**
+ * @route   GET /api/v1/templates/:id
+ * @desc    Get, update, or delete a single task template by its ID
+ * @access  Private
+ */
+router
+  .route('/:id')
+  .get(templateController.getTemplate)
+  .patch(templateController.updateTemplate)
+  .delete(templateController.deleteTemplate);
+
+/**
+ * @route   POST /api/v1/templates/:id/instantiate
+ * @desc    Create a task in a workspace from a template
+ * @access  Private
+ */
+router
+  .route('/:id/instantiate')
+  .post(templateController.instantiateTemplate);
+
+module.exports = router;
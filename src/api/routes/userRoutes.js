@@ -2,6 +2,9 @@
 
 const express = require('express');
 const authController = require('../controllers/authController');
+const mentionController = require('../controllers/mentionController');
+const storageController = require('../controllers/storageController');
+const authMiddleware = require('../middlewares/authMiddleware');
 
 const router = express.Router();
 
@@ -25,14 +28,37 @@ router.post('/login', authController.login);
 
 
 // --- Protected User Routes ---
-// Future routes related to the user profile that require authentication
-// will be placed here. For example:
-//
-// const authMiddleware = require('../middlewares/authMiddleware');
-//
-// router.use(authMiddleware.protect); // All routes after this line are protected
-// router.get('/me', userController.getMe);
-// router.patch('/updateMyPassword', authController.updatePassword);
+// Routes related to the logged-in user. They require a valid token.
+
+router.use(authMiddleware.protect); // All routes after this line are protected
+
+/**
+ * @route   GET /api/v1/users/me/mentions
+ * @desc    Get the notes the current user was @mentioned in (?unread=true, ?workspace=, ?cursor=)
+ * @access  Private
+ */
+router.get('/me/mentions', mentionController.getMyMentions);
+
+/**
+ * @route   POST /api/v1/users/me/mentions/read
+ * @desc    Mark all of the current user's mentions as read
+ * @access  Private
+ */
+router.post('/me/mentions/read', mentionController.markAllMentionsRead);
+
+/**
+ * @route   PATCH /api/v1/users/me/mentions/:id/read
+ * @desc    Mark a mention as read
+ * @access  Private
+ */
+router.patch('/me/mentions/:id/read', mentionController.markMentionRead);
+
+/**
+ * @route   GET /api/v1/users/me/storage
+ * @desc    Get the current user's attachment storage usage and quota, by workspace and task
+ * @access  Private
+ */
+router.get('/me/storage', storageController.getMyStorage);
 
 
 module.exports = router;
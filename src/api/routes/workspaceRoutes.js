@@ -4,6 +4,7 @@ const express = require('express');
 const workspaceController = require('../controllers/workspaceController');
 const authMiddleware = require('../middlewares/authMiddleware');
 const taskRouter = require('./taskRoutes'); // <-- IMPORT THE TASK ROUTER
+const activityRouter = require('./activityRoutes');
 
 const router = express.Router();
 
@@ -16,6 +17,7 @@ router.use(authMiddleware.protect);
 // This tells the workspace router to use the taskRouter for any path
 // that looks like '/:workspaceId/tasks'. This is how we enable nested routes.
 router.use('/:workspaceId/tasks', taskRouter);
+router.use('/:workspaceId/activity', activityRouter);
 
 
 // --- Main Workspace Routes ---
@@ -24,18 +26,69 @@ router.use('/:workspaceId/tasks', taskRouter);
  * @route   GET /api/v1/workspaces
  * @desc    Get all workspaces for the logged-in user
  * @access  Private
+ *
+ * @route   POST /api/v1/workspaces
+ * @desc    Create a new workspace
+ * @access  Private
  */
 router
   .route('/')
-  .get(workspaceController.getAllWorkspaces);
+  .get(workspaceController.getAllWorkspaces)
+  .post(workspaceController.createWorkspace);
 
 /**
  * @route   GET /api/v1/workspaces/:id
  * @desc    Get a single workspace by ID
  * @access  Private
+ *
+ * @route   PATCH /api/v1/workspaces/:id
+ * @desc    Rename a workspace or change its type, color or icon
+ * @access  Private
+ *
+ * @route   DELETE /api/v1/workspaces/:id
+ * @desc    Delete a workspace, moving its tasks elsewhere or deleting them
+ * @access  Private
  */
 router
   .route('/:id')
-  .get(workspaceController.getWorkspace);
+  .get(workspaceController.getWorkspace)
+  .patch(workspaceController.updateWorkspace)
+  .delete(workspaceController.deleteWorkspace);
+
+/**
+ * @route   PATCH /api/v1/workspaces/:id/archive
+ * @desc    Archive a workspace, hiding it from the workspace list
+ * @access  Private
+ */
+router
+  .route('/:id/archive')
+  .patch(workspaceController.archiveWorkspace);
+
+/**
+ * @route   PATCH /api/v1/workspaces/:id/unarchive
+ * @desc    Unarchive a workspace
+ * @access  Private
+ */
+router
+  .route('/:id/unarchive')
+  .patch(workspaceController.unarchiveWorkspace);
+
+/**
+ * @route   GET /api/v1/workspaces/:id/board
+ * @desc    Get the workspace's tasks grouped by status in board order
+ * @access  Private
+ */
+router
+  .route('/:id/board')
+  .get(workspaceController.getBoard);
+
+/**
+ * @route   PUT /api/v1/workspaces/:id/statuses
+ * @desc    Replace the workspace's ordered workflow statuses
+ * @access  Private
+ */
+router
+  .route('/:id/statuses')
+  .put(workspaceController.updateWorkspaceStatuses);
 
 module.exports = router;
@@ -16,6 +16,9 @@ const taskRoutes = require('./api/routes/taskRoutes');
 const meetingRoutes = require('./api/routes/meetingRoutes');
 const analyticsRoutes = require('./api/routes/analyticsRoutes');
 const searchRoutes = require('./api/routes/searchRoutes');
+const recurringRoutes = require('./api/routes/recurringRoutes');
+const templateRoutes = require('./api/routes/templateRoutes');
+const activityRoutes = require('./api/routes/activityRoutes');
 const googleRoutes = require('./api/routes/googleRoutes'); // <-- IMPORT NEW ROUTES
 
 // --- App Initialization ---
@@ -68,6 +71,12 @@ app.use('/api/v1/meetings', meetingRoutes);
 app.use('/api/v1/analytics', analyticsRoutes);
 // Mount the search routes
 app.use('/api/v1/search', searchRoutes);
+// Mount the recurring series routes
+app.use('/api/v1/recurring', recurringRoutes);
+// Mount the task template routes
+app.use('/api/v1/templates', templateRoutes);
+// Mount the activity feed routes
+app.use('/api/v1/activity', activityRoutes);
 // Mount the Google integration routes
 app.use('/api/v1/integrations/google', googleRoutes); // <-- MOUNT NEW ROUTES
 
@@ -0,0 +1,52 @@
+// src/jobs/attachmentProcessingJob.js
+
+const cron = require('node-cron');
+const { processPendingAttachments } = require('../services/attachmentProcessingService');
+const logger = require('../utils/logger');
+
+/**
+ * Processes the attachments still waiting for their thumbnail and text
+ * extraction: uploads whose in-process processing was lost, and attachments
+ * stored before processing existed.
+ */
+const processAttachments = async () => {
+  try {
+    const report = await processPendingAttachments();
+    const total = report.done + report.skipped + report.failed;
+    if (total > 0) {
+      logger.info(
+        `Cron job finished: Processed ${total} attachment(s), ` +
+        `${report.done} done, ${report.skipped} skipped, ${report.failed} failed.`
+      );
+    }
+  } catch (error) {
+    logger.error('Error during attachment processing cron job:', error);
+  }
+};
+
+/**
+ * Initializes and schedules the cron job for processing attachments.
+ * This job is scheduled to run every 5 minutes.
+ */
+const initializeAttachmentProcessingJob = () => {
+  logger.info('Initializing attachment processing cron job...');
+
+  const attachmentProcessingJob = cron.schedule(
+    '*/5 * * * *', // Run every 5 minutes
+    () => {
+      processAttachments();
+    },
+    {
+      scheduled: true,
+      timezone: 'Asia/Kolkata',
+    }
+  );
+
+  attachmentProcessingJob.start();
+  logger.info('Attachment processing job has been scheduled to run every 5 minutes.');
+
+  // Pick up whatever was left pending while the server was down
+  processAttachments();
+};
+
+module.exports = initializeAttachmentProcessingJob;
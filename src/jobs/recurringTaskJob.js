@@ -1,86 +1,147 @@
 // src/jobs/recurringTaskJob.js
 
 const cron = require('node-cron');
-const { addDays, addWeeks, addMonths } = require('date-fns');
 const Task = require('../api/models/taskModel');
+const recurrenceService = require('../services/recurrenceService');
+const recurringTaskService = require('../services/recurringTaskService');
 const logger = require('../utils/logger');
 
+// The most occurrences a single template may create in one run with the
+// 'all' catch-up policy; any remaining ones are created on the next run.
+const MAX_CATCH_UP = 100;
+
 /**
- * Calculates the next due date for a recurring task based on its frequency.
- * @param {Date} currentDueDate The last due date.
- * @param {object} recurringRule The recurring rule object from the task.
- * @returns {Date} The next due date.
+ * Saves a new instance, treating a duplicate (series, occurrence date) as an
+ * occurrence that was already created by an earlier run.
+ * @returns {Promise<object|null>} The saved instance, or null if it already existed.
  */
-const calculateNextDueDate = (currentDueDate, recurringRule) => {
-  const { frequency, interval } = recurringRule;
-  switch (frequency) {
-    case 'daily':
-      return addDays(currentDueDate, interval);
-    case 'weekly':
-      return addWeeks(currentDueDate, interval);
-    case 'monthly':
-      return addMonths(currentDueDate, interval);
-    default:
-      // Default to adding one day if frequency is unknown
-      return addDays(currentDueDate, 1);
+const saveInstance = async (instance) => {
+  try {
+    await instance.save();
+    return instance;
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
   }
 };
 
+/**
+ * Creates the due instances of a calendar-based template and advances its
+ * nextDueDate past them, recording the outcome in the run report.
+ *
+ * Every occurrence between nextDueDate and now is considered. With the
+ * 'latest' catch-up policy only the most recent one gets an instance and the
+ * others are reported as skipped.
+ */
+const processScheduledTemplate = async (template, now, report) => {
+  const { recurring } = template;
+  const policy = recurring.catchUp || 'all';
+  const dueDates = recurrenceService.getOccurrencesBetween(
+    recurring,
+    recurring.nextDueDate,
+    now,
+    policy === 'all' ? MAX_CATCH_UP : Infinity
+  );
+
+  const toCreate = policy === 'latest' ? dueDates.slice(-1) : dueDates;
+  let created = 0;
+  let skipped = 0;
+
+  dueDates.slice(0, dueDates.length - toCreate.length).forEach(occurrenceDate => {
+    report.skipped.push({ series: template._id, occurrenceDate, reason: 'collapsed' });
+    skipped += 1;
+  });
+
+  for (const occurrenceDate of toCreate) {
+    const instance = await saveInstance(recurringTaskService.buildInstance(template, occurrenceDate));
+    if (instance) {
+      report.created.push({ series: template._id, occurrenceDate, task: instance._id });
+      logger.info(`Created new recurring task instance: "${instance.title}" (${occurrenceDate.toISOString()})`);
+      created += 1;
+    } else {
+      report.skipped.push({ series: template._id, occurrenceDate, reason: 'already created' });
+      skipped += 1;
+    }
+  }
+
+  // Move the template past the occurrences handled in this run
+  const lastHandled = dueDates.length > 0 ? dueDates[dueDates.length - 1] : now;
+  const nextDueDate = recurrenceService.getNextOccurrence(recurring, lastHandled);
+  if (nextDueDate) {
+    recurring.nextDueDate = nextDueDate;
+    template.dueDate = nextDueDate;
+  } else {
+    // The template is kept (marked as ended) so the series stays visible
+    recurring.endedAt = now;
+    logger.info(`Recurring task series "${template.title}" has ended.`);
+  }
+  recurring.lastRun = { at: now, created, skipped };
+  await template.save();
+};
+
 /**
  * Finds recurring task templates that are due and creates new task instances from them.
+ *
+ * Instances are keyed by (series, occurrence date), so a run that is repeated
+ * (for example after a crash between creating an instance and saving its
+ * template) reports the existing instances as skipped instead of duplicating them.
+ *
+ * @returns {Promise<object>} A report of the instances created and skipped.
  */
 const processRecurringTasks = async () => {
   logger.info('Running cron job: Processing recurring tasks...');
   const now = new Date();
+  const report = {
+    startedAt: now,
+    finishedAt: null,
+    templates: 0,
+    created: [],
+    skipped: [],
+    failed: [],
+  };
 
   // Find all templates where the next due date is today or in the past
+  // (paused and ended series are left alone)
   const templatesToProcess = await Task.find({
     isRecurringTemplate: true,
     'recurring.nextDueDate': { $lte: now },
+    'recurring.pausedAt': null,
+    'recurring.endedAt': null,
   });
-
-  if (templatesToProcess.length === 0) {
-    logger.info('Cron job finished: No recurring tasks to process.');
-    return;
-  }
+  report.templates = templatesToProcess.length;
 
   for (const template of templatesToProcess) {
     try {
-      // 1. Create a new task instance from the template
-      const newTask = new Task({
-        ...template.toObject(), // Copy all fields from the template
-        _id: undefined, // Ensure a new ID is generated
-        isRecurringTemplate: false, // This is an instance, not a template
-        dueDate: template.recurring.nextDueDate, // Set the due date for this instance
-        status: 'To Do', // Reset status to 'To Do'
-        recurring: undefined, // Remove recurring info from the instance
-        googleEventId: undefined, // Ensure it gets a new calendar event if needed
-      });
-      await newTask.save();
-      logger.info(`Created new recurring task instance: "${newTask.title}"`);
-
-      // 2. Calculate the next due date for the template
-      const nextDueDate = calculateNextDueDate(
-        template.recurring.nextDueDate,
-        template.recurring
-      );
-
-      // 3. Update the template with the new nextDueDate
-      // Check if the recurrence should end
-      if (template.recurring.endDate && nextDueDate > template.recurring.endDate) {
-        // If the next date is past the end date, we can remove the recurring rule
-        // or simply deactivate the template. For now, we'll remove it.
-        await Task.findByIdAndDelete(template._id);
-        logger.info(`Recurring task template "${template.title}" has ended and was removed.`);
-      } else {
-        template.recurring.nextDueDate = nextDueDate;
-        await template.save();
+      // Completion-based series advance when an instance is completed; the
+      // job only creates an instance when the series has none.
+      if (template.recurring.mode === 'completion') {
+        const instance = await recurringTaskService.ensureOpenInstance(template);
+        if (instance) {
+          report.created.push({ series: template._id, occurrenceDate: instance.occurrenceDate, task: instance._id });
+          logger.info(`Created new recurring task instance: "${instance.title}"`);
+        } else {
+          report.skipped.push({
+            series: template._id,
+            occurrenceDate: template.recurring.nextDueDate,
+            reason: 'open instance exists',
+          });
+        }
+        continue;
       }
+
+      await processScheduledTemplate(template, now, report);
     } catch (error) {
+      report.failed.push({ series: template._id, error: error.message });
       logger.error(`Failed to process recurring template ${template._id}:`, error);
     }
   }
-  logger.info('Cron job finished: Recurring task processing complete.');
+
+  report.finishedAt = new Date();
+  logger.info(
+    `Cron job finished: Recurring task processing complete. ${report.templates} template(s), ` +
+    `${report.created.length} instance(s) created, ${report.skipped.length} skipped, ${report.failed.length} failed.`
+  );
+  return report;
 };
 
 /**
@@ -94,7 +155,9 @@ const initializeRecurringTaskJob = () => {
     '0 1 * * *', // Run every day at 1:00 AM
     () => {
       logger.info('Scheduler triggered: Starting recurring task processing job.');
-      processRecurringTasks();
+      processRecurringTasks().catch(error => {
+        logger.error('Error during recurring task cron job:', error);
+      });
     },
     {
       scheduled: true,
@@ -104,6 +167,12 @@ const initializeRecurringTaskJob = () => {
 
   recurringTaskJob.start();
   logger.info('Recurring task job has been scheduled to run daily at 1:00 AM IST.');
+
+  // Catch up on anything missed while the server was down
+  processRecurringTasks().catch(error => {
+    logger.error('Error during startup recurring task processing:', error);
+  });
 };
 
 module.exports = initializeRecurringTaskJob;
+module.exports.processRecurringTasks = processRecurringTasks;
@@ -0,0 +1,52 @@
+// src/jobs/trashPurgeJob.js
+
+const cron = require('node-cron');
+const { purgeExpiredTasks, TRASH_RETENTION_DAYS } = require('../services/trashService');
+const { purgeExpiredUploads } = require('../services/storageService');
+const logger = require('../utils/logger');
+
+/**
+ * Permanently removes tasks that have been in the trash longer than the
+ * retention period, and direct uploads that were never confirmed.
+ */
+const processTrashPurge = async () => {
+  logger.info('Running cron job: Purging expired tasks from the trash...');
+  try {
+    const purged = await purgeExpiredTasks();
+    logger.info(`Cron job finished: Purged ${purged} task(s) older than ${TRASH_RETENTION_DAYS} days from the trash.`);
+  } catch (error) {
+    logger.error('Error during trash purge cron job:', error);
+  }
+
+  try {
+    const uploads = await purgeExpiredUploads();
+    logger.info(`Cron job finished: Removed ${uploads} expired attachment upload(s).`);
+  } catch (error) {
+    logger.error('Error while removing expired attachment uploads:', error);
+  }
+};
+
+/**
+ * Initializes and schedules the cron job for purging the trash.
+ * This job is scheduled to run once a day at 2:00 AM IST.
+ */
+const initializeTrashPurgeJob = () => {
+  logger.info('Initializing trash purge cron job...');
+
+  const trashPurgeJob = cron.schedule(
+    '0 2 * * *', // Run every day at 2:00 AM
+    () => {
+      logger.info('Scheduler triggered: Starting trash purge job.');
+      processTrashPurge();
+    },
+    {
+      scheduled: true,
+      timezone: 'Asia/Kolkata',
+    }
+  );
+
+  trashPurgeJob.start();
+  logger.info('Trash purge job has been scheduled to run daily at 2:00 AM IST.');
+};
+
+module.exports = initializeTrashPurgeJob;
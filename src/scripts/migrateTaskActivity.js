@@ -0,0 +1,122 @@
+// src/scripts/migrateTaskActivity.js
+
+/**
+ * One-off migration moving the history and notes embedded in task documents
+ * into their own collections (see taskHistoryModel.js and taskNoteModel.js).
+ *
+ * Entries keep their original IDs, so links to them (e.g. reverts) keep
+ * working and the script can be re-run safely: entries that were already
+ * copied are skipped. The embedded arrays are removed from each task once
+ * its entries are copied.
+ *
+ * Usage: npm run migrate:task-activity [-- --dry-run]
+ */
+
+const dotenv = require('dotenv');
+dotenv.config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Task = require('../api/models/taskModel');
+const TaskHistory = require('../api/models/taskHistoryModel');
+const TaskNote = require('../api/models/taskNoteModel');
+const logger = require('../utils/logger');
+
+const DUPLICATE_KEY = 11000;
+
+/**
+ * Inserts documents, ignoring the ones that were copied by an earlier run.
+ * @returns {Promise<number>} The number of inserted documents.
+ */
+const insertMissing = async (collection, docs) => {
+  if (docs.length === 0) return 0;
+  try {
+    const result = await collection.insertMany(docs, { ordered: false });
+    return result.insertedCount;
+  } catch (error) {
+    const writeErrors = [].concat(error.writeErrors || []);
+    if (writeErrors.length === 0 || writeErrors.some(e => e.code !== DUPLICATE_KEY)) {
+      throw error;
+    }
+    return error.result ? error.result.insertedCount : docs.length - writeErrors.length;
+  }
+};
+
+/**
+ * Moves the embedded history and notes of a single (raw) task document.
+ */
+const migrateTask = async (task, dryRun) => {
+  const history = (task.history || []).map(entry => ({
+    ...entry,
+    task: task._id,
+    workspace: task.workspace,
+  }));
+  // Embedded notes had no version; edits match on it (see TaskNote.versionCondition)
+  const notes = (task.notes || []).map(note => ({
+    version: 0,
+    ...note,
+    task: task._id,
+  }));
+
+  if (dryRun) return { history: history.length, notes: notes.length };
+
+  const insertedHistory = await insertMissing(TaskHistory.collection, history);
+  const insertedNotes = await insertMissing(TaskNote.collection, notes);
+  await Task.collection.updateOne({ _id: task._id }, { $unset: { history: '', notes: '' } });
+  return { history: insertedHistory, notes: insertedNotes };
+};
+
+/**
+ * Drops the indexes on the embedded arrays, which no longer exist.
+ */
+const dropEmbeddedIndexes = async () => {
+  const indexes = await Task.collection.indexes();
+  for (const index of indexes) {
+    const keys = Object.keys(index.key);
+    if (keys.some(key => key.startsWith('history.') || key.startsWith('notes.'))) {
+      await Task.collection.dropIndex(index.name);
+      logger.info(`Dropped index ${index.name} on tasks.`);
+    }
+  }
+};
+
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+  await connectDB();
+  await Promise.all([TaskHistory.init(), TaskNote.init()]);
+
+  // Read the raw documents: the Task model no longer knows these fields, and
+  // trashed tasks have to be migrated too.
+  const cursor = Task.collection.find(
+    { $or: [{ history: { $exists: true } }, { notes: { $exists: true } }] },
+    { projection: { workspace: 1, history: 1, notes: 1 } }
+  );
+
+  const totals = { tasks: 0, history: 0, notes: 0, failed: 0 };
+  for await (const task of cursor) {
+    try {
+      const moved = await migrateTask(task, dryRun);
+      totals.tasks += 1;
+      totals.history += moved.history;
+      totals.notes += moved.notes;
+    } catch (error) {
+      totals.failed += 1;
+      logger.error(`Failed to migrate history and notes of task ${task._id}: ${error.message}`);
+    }
+  }
+
+  if (!dryRun) await dropEmbeddedIndexes();
+
+  logger.info(
+    `${dryRun ? '[dry run] Would move' : 'Moved'} ${totals.history} history entries and ${totals.notes} notes ` +
+    `from ${totals.tasks} task(s); ${totals.failed} failed.`
+  );
+  return totals;
+};
+
+run()
+  .then(totals => mongoose.disconnect().then(() => process.exit(totals.failed > 0 ? 1 : 0)))
+  .catch(error => {
+    logger.error(`Task activity migration failed: ${error.message}`);
+    mongoose.disconnect().finally(() => process.exit(1));
+  });
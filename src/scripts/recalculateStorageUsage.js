@@ -0,0 +1,33 @@
+// src/scripts/recalculateStorageUsage.js
+
+/**
+ * Recomputes the storage used by every user and workspace from the
+ * attachment files their tasks refer to (see services/storageQuotaService.js).
+ *
+ * Run it once to account for files stored before storage accounting existed,
+ * and whenever the totals are suspected to have drifted. It can be re-run
+ * safely.
+ *
+ * Usage: npm run storage:recalculate
+ */
+
+const dotenv = require('dotenv');
+dotenv.config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const storageQuotaService = require('../services/storageQuotaService');
+const logger = require('../utils/logger');
+
+const run = async () => {
+  await connectDB();
+  const changed = await storageQuotaService.recalculateUsage();
+  logger.info(`Recalculated storage usage: updated ${changed.users} user(s) and ${changed.workspaces} workspace(s).`);
+};
+
+run()
+  .then(() => mongoose.disconnect().then(() => process.exit(0)))
+  .catch(error => {
+    logger.error(`Storage usage recalculation failed: ${error.message}`);
+    mongoose.disconnect().finally(() => process.exit(1));
+  });
@@ -12,6 +12,8 @@ const logger = require('./utils/logger');
 const initializeTaskNotifier = require('./jobs/taskNotifierJob');
 const initializeCalendarSync = require('./jobs/calendarSyncJob');
 const initializeRecurringTaskJob = require('./jobs/recurringTaskJob'); // <-- IMPORT NEW RECURRING JOB
+const initializeTrashPurgeJob = require('./jobs/trashPurgeJob');
+const initializeAttachmentProcessingJob = require('./jobs/attachmentProcessingJob');
 
 // 3. Handle Uncaught Exceptions
 process.on('uncaughtException', (err) => {
@@ -39,6 +41,8 @@ const startServer = async () => {
       initializeTaskNotifier();
       initializeCalendarSync();
       initializeRecurringTaskJob(); // <-- START THE RECURRING TASK JOB
+      initializeTrashPurgeJob();
+      initializeAttachmentProcessingJob();
     });
   } catch (error) {
     logger.error('Failed to start server:', error);
@@ -0,0 +1,216 @@
+// src/services/attachmentProcessingService.js
+
+const sharp = require('sharp');
+const mammoth = require('mammoth');
+const { PDFParse } = require('pdf-parse');
+const Task = require('../api/models/taskModel');
+const AttachmentContent = require('../api/models/attachmentContentModel');
+const storageService = require('./storageService');
+const logger = require('../utils/logger');
+
+/**
+ * Background processing of attachments, run after each new version of a
+ * file: images get a thumbnail, and the plain text of PDF, DOCX and text
+ * files is extracted into the AttachmentContent collection for search.
+ *
+ * Uploads queue their attachment for processing right away; the attachment
+ * processing job picks up anything left pending (for example after a restart)
+ * and attachments stored before processing existed.
+ */
+
+// Thumbnails fit in a square of this many pixels
+const THUMBNAIL_SIZE = 320;
+const THUMBNAIL_TYPE = 'image/webp';
+
+// Longer texts are cut, which only costs search matches deep inside huge files.
+const MAX_TEXT_LENGTH = 200000;
+
+// Processing that has not finished after this long is assumed to have died
+// with its process and is started again.
+const STALE_PROCESSING_MS = 15 * 60 * 1000;
+
+const THUMBNAIL_CONTENT_TYPES = ['image/jpeg', 'image/png', 'image/gif'];
+
+const extractPdfText = async (data) => {
+  const parser = new PDFParse({ data });
+  try {
+    const result = await parser.getText({ pageJoiner: '' });
+    return result.text;
+  } finally {
+    await parser.destroy();
+  }
+};
+
+const extractDocxText = async (data) => {
+  const result = await mammoth.extractRawText({ buffer: data });
+  return result.value;
+};
+
+const TEXT_EXTRACTORS = {
+  'application/pdf': extractPdfText,
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': extractDocxText,
+  'text/plain': async (data) => data.toString('utf8'),
+};
+
+/**
+ * Collapses the whitespace of extracted text and cuts it to MAX_TEXT_LENGTH.
+ */
+const normalizeText = (text) => String(text || '')
+  .replace(/\r\n?/g, '\n')
+  .replace(/[^\S\n]+/g, ' ')
+  .replace(/ *\n[\n ]*/g, '\n')
+  .trim()
+  .slice(0, MAX_TEXT_LENGTH);
+
+/**
+ * Makes a thumbnail of an image, keeping its aspect ratio.
+ * @returns {Promise<Buffer>}
+ */
+const createThumbnail = (data) => sharp(data, { animated: false })
+  .rotate() // Apply the EXIF orientation
+  .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+  .webp({ quality: 80 })
+  .toBuffer();
+
+/**
+ * Query condition matching attachments that are waiting to be processed,
+ * including those stored before processing existed and those whose
+ * processing went stale.
+ */
+const pendingCondition = (now = new Date()) => ({
+  $or: [
+    { processing: null },
+    { 'processing.status': 'pending' },
+    { 'processing.status': 'processing', 'processing.startedAt': { $lt: new Date(now - STALE_PROCESSING_MS) } },
+  ],
+});
+
+/**
+ * Processes the current version of an attachment. The attachment is claimed
+ * first, so concurrent runs do not process it twice, and the result is only
+ * written if the attachment still has the same file.
+ *
+ * @param {string} taskId The task of the attachment.
+ * @param {string} attachmentId The attachment.
+ * @returns {Promise<string|null>} The resulting status, or null when the
+ *   attachment was not waiting to be processed.
+ */
+const processAttachment = async (taskId, attachmentId) => {
+  const startedAt = new Date();
+  const task = await Task.findOneAndUpdate(
+    { _id: taskId, attachments: { $elemMatch: { _id: attachmentId, ...pendingCondition(startedAt) } } },
+    { $set: { 'attachments.$.processing': { status: 'processing', startedAt } } },
+    { new: true }
+  );
+  const attachment = task && task.attachments.id(attachmentId);
+  if (!attachment) return null;
+
+  const file = attachment.getCurrentVersion();
+  const sameFile = { _id: taskId, attachments: { $elemMatch: { _id: attachmentId, fileKey: file.fileKey } } };
+
+  try {
+    const canThumbnail = THUMBNAIL_CONTENT_TYPES.includes(file.contentType);
+    const extractText = TEXT_EXTRACTORS[file.contentType];
+    const processing = { status: 'skipped', startedAt };
+    const update = { 'attachments.$.processing': processing };
+    let text;
+
+    if (canThumbnail || extractText) {
+      const data = await storageService.readAttachmentFile(file);
+      // Restored versions share the file, and its thumbnail, of an earlier version
+      if (canThumbnail && !file.thumbnailKey) {
+        const thumbnail = await createThumbnail(data);
+        update['attachments.$.thumbnailKey'] = await storageService.storeThumbnail(file, thumbnail, THUMBNAIL_TYPE);
+      }
+      if (extractText) {
+        text = normalizeText(await extractText(data));
+      }
+      processing.status = 'done';
+    }
+    processing.processedAt = new Date();
+
+    const { matchedCount } = await Task.updateOne(sameFile, { $set: update });
+    if (matchedCount === 0) return null; // A newer version will be processed instead
+
+    // The text always describes the current version only
+    if (text === undefined) {
+      await AttachmentContent.deleteOne({ attachment: attachmentId });
+    } else {
+      await AttachmentContent.findOneAndUpdate(
+        { attachment: attachmentId },
+        {
+          task: task._id,
+          workspace: task.workspace,
+          version: file.version,
+          fileKey: file.fileKey,
+          fileName: file.fileName,
+          text,
+        },
+        { upsert: true, setDefaultsOnInsert: true }
+      );
+    }
+    return processing.status;
+  } catch (error) {
+    logger.error(`Failed to process attachment ${attachmentId} of task ${taskId}: ${error.message}`);
+    await Task.updateOne(sameFile, {
+      $set: {
+        'attachments.$.processing': {
+          status: 'failed',
+          startedAt,
+          processedAt: new Date(),
+          error: error.message,
+        },
+      },
+    });
+    return 'failed';
+  }
+};
+
+/**
+ * Processes an attachment in the background once the current request is done.
+ * Failures are logged; the attachment processing job retries anything that
+ * was left pending.
+ */
+const queueAttachmentProcessing = (taskId, attachmentId) => {
+  setImmediate(() => {
+    processAttachment(taskId, attachmentId).catch(error => {
+      logger.error(`Failed to process attachment ${attachmentId} of task ${taskId}: ${error.message}`);
+    });
+  });
+};
+
+/**
+ * Processes the attachments waiting to be processed, a batch of tasks at a time.
+ * @param {number} [limit] The most tasks to handle in one run.
+ * @returns {Promise<object>} The number of attachments per resulting status.
+ */
+const processPendingAttachments = async (limit = 50) => {
+  const now = new Date();
+  const tasks = await Task.find({ attachments: { $elemMatch: pendingCondition(now) } })
+    .select('attachments._id attachments.processing')
+    .limit(limit);
+
+  const report = { done: 0, skipped: 0, failed: 0 };
+  for (const task of tasks) {
+    for (const attachment of task.attachments) {
+      const status = await processAttachment(task._id, attachment._id);
+      if (status) report[status] += 1;
+    }
+  }
+  return report;
+};
+
+/**
+ * Removes the extracted text of attachments that no longer exist.
+ * @param {object} filter { attachment } or { task }.
+ */
+const removeAttachmentContent = (filter) => AttachmentContent.deleteMany(filter);
+
+module.exports = {
+  THUMBNAIL_CONTENT_TYPES,
+  THUMBNAIL_TYPE,
+  processAttachment,
+  queueAttachmentProcessing,
+  processPendingAttachments,
+  removeAttachmentContent,
+};
@@ -0,0 +1,175 @@
+// src/services/boardService.js
+
+const Task = require('../api/models/taskModel');
+const AppError = require('../utils/appError');
+const { rankBetween, needsRebalance, initialRanks } = require('../utils/rank');
+
+// The order in which cards are read from a column. Tasks created before the
+// board existed have no rank; they come after the ranked cards, in creation
+// order (MongoDB would sort a missing rank first).
+const RANKED_SORT = { rank: 1, createdAt: 1, _id: 1 };
+const UNRANKED_SORT = { createdAt: 1, _id: 1 };
+
+/**
+ * Builds the filter selecting the cards of one board column.
+ */
+const columnFilter = (workspaceId, status) => ({
+  workspace: workspaceId,
+  status,
+  isRecurringTemplate: false,
+});
+
+/**
+ * Loads the cards of a column in board order: ranked cards first, then the
+ * unranked ones.
+ *
+ * @param {object} filter The column filter (see columnFilter).
+ * @param {number} [limit] The maximum number of cards.
+ * @param {string} [fields] The fields to select.
+ * @returns {Promise<Array>}
+ */
+const findColumnTasks = async (filter, limit = Infinity, fields) => {
+  const query = (condition, sort, max) => {
+    const tasks = Task.find({ ...filter, rank: condition }).sort(sort);
+    if (Number.isFinite(max)) tasks.limit(max);
+    if (fields) tasks.select(fields);
+    return tasks;
+  };
+
+  const ranked = await query({ $ne: null }, RANKED_SORT, limit);
+  if (ranked.length >= limit) return ranked;
+  const unranked = await query(null, UNRANKED_SORT, limit - ranked.length);
+  return [...ranked, ...unranked];
+};
+
+/**
+ * Assigns evenly spaced ranks to every card in a column, keeping their
+ * current order. This only happens the first time a column containing
+ * unranked tasks is reordered, or when repeated inserts at the same spot
+ * have used up the space between two cards.
+ *
+ * @param {string} workspaceId The workspace of the column.
+ * @param {string} status The status of the column.
+ * @param {string} [excludeId] A task to leave out (the one being moved).
+ */
+const rankColumn = async (workspaceId, status, excludeId) => {
+  const filter = columnFilter(workspaceId, status);
+  if (excludeId) filter._id = { $ne: excludeId };
+
+  const tasks = await findColumnTasks(filter, Infinity, '_id');
+  const ranks = initialRanks(tasks.length);
+  if (tasks.length === 0) return;
+
+  await Task.bulkWrite(
+    tasks.map((task, i) => ({
+      updateOne: {
+        filter: { _id: task._id },
+        update: { $set: { rank: ranks[i] } },
+      },
+    }))
+  );
+};
+
+/**
+ * Loads a neighbour card and checks that it sits in the target column.
+ */
+const loadNeighbour = async (id, task, status, label) => {
+  if (!id) return null;
+  if (id.toString() === task._id.toString()) {
+    throw new AppError(`A task cannot be placed ${label} itself.`, 400);
+  }
+  const neighbour = await Task.findById(id).select('workspace status rank isRecurringTemplate');
+  if (!neighbour || neighbour.workspace.toString() !== task.workspace.toString()) {
+    throw new AppError(`No task found to place this task ${label}.`, 404);
+  }
+  if (neighbour.status !== status || neighbour.isRecurringTemplate) {
+    throw new AppError(`The task to place this task ${label} is not in the "${status}" column.`, 400);
+  }
+  return neighbour;
+};
+
+/**
+ * Resolves the ranks of the cards immediately around the drop position.
+ * When only one neighbour is given, the other is looked up in the column.
+ */
+const resolveNeighbourRanks = async (task, status, beforeId, afterId) => {
+  const before = await loadNeighbour(beforeId, task, status, 'after');
+  const after = await loadNeighbour(afterId, task, status, 'before');
+
+  if ((before && typeof before.rank !== 'number') || (after && typeof after.rank !== 'number')) {
+    return null; // The column has to be ranked first
+  }
+
+  const others = { ...columnFilter(task.workspace, status), _id: { $ne: task._id } };
+  let beforeRank = before ? before.rank : null;
+  let afterRank = after ? after.rank : null;
+
+  if (before && !after) {
+    const next = await Task.findOne({ ...others, rank: { $gt: beforeRank } }).sort('rank').select('rank');
+    afterRank = next ? next.rank : null;
+  } else if (after && !before) {
+    const previous = await Task.findOne({ ...others, rank: { $lt: afterRank } }).sort('-rank').select('rank');
+    beforeRank = previous ? previous.rank : null;
+  } else if (!before && !after) {
+    const last = await Task.findOne({ ...others, rank: { $ne: null } }).sort('-rank').select('rank');
+    beforeRank = last ? last.rank : null;
+  }
+
+  if (beforeRank !== null && afterRank !== null && beforeRank >= afterRank) {
+    throw new AppError('The given neighbours are not in order on the board.', 400);
+  }
+  return { beforeRank, afterRank };
+};
+
+/**
+ * Computes the rank for a card dropped into a column.
+ *
+ * @param {object} task The task being moved.
+ * @param {string} status The target column.
+ * @param {string} [beforeId] The task that should come directly before it.
+ * @param {string} [afterId] The task that should come directly after it.
+ * @returns {Promise<number>} The new rank.
+ */
+const computeMoveRank = async (task, status, beforeId, afterId) => {
+  let neighbours = await resolveNeighbourRanks(task, status, beforeId, afterId);
+
+  if (!neighbours || needsRebalance(neighbours.beforeRank, neighbours.afterRank)) {
+    await rankColumn(task.workspace, status, task._id);
+    neighbours = await resolveNeighbourRanks(task, status, beforeId, afterId);
+  }
+
+  return rankBetween(neighbours.beforeRank, neighbours.afterRank);
+};
+
+/**
+ * Loads the cards of each status column of a workspace, in board order.
+ *
+ * @param {object} workspace The workspace document.
+ * @param {number} limit The maximum number of cards per column.
+ * @returns {Promise<Array>} One entry per status, in workflow order.
+ */
+const getBoardColumns = async (workspace, limit) => {
+  const statuses = workspace.getStatuses();
+
+  return Promise.all(
+    statuses.map(async status => {
+      const filter = columnFilter(workspace._id, status.name);
+      const [tasks, total] = await Promise.all([
+        findColumnTasks(filter, limit),
+        Task.countDocuments(filter),
+      ]);
+      return {
+        status: status.name,
+        category: status.category,
+        total,
+        tasks,
+      };
+    })
+  );
+};
+
+module.exports = {
+  rankColumn,
+  computeMoveRank,
+  getBoardColumns,
+};
@@ -0,0 +1,188 @@
+// src/services/dependencyService.js
+
+const Task = require('../api/models/taskModel');
+const Workspace = require('../api/models/workspaceModel');
+const logger = require('../utils/logger');
+
+// The status name tasks are moved to while they wait on unfinished blockers.
+// Workspaces whose workflow has no such status never auto-block tasks.
+const BLOCKED_STATUS = 'Blocked';
+
+/**
+ * Checks whether making `taskId` blocked by `blockerId` would introduce a cycle.
+ *
+ * Walks the 'blockedBy' graph starting at the prospective blocker. If the walk
+ * ever reaches the dependent task, the new edge would close a loop.
+ *
+ * @param {string} taskId The task that would become blocked.
+ * @param {string} blockerId The task that would block it.
+ * @returns {Promise<boolean>} True if the edge would create a cycle.
+ */
+const wouldCreateCycle = async (taskId, blockerId) => {
+  const target = taskId.toString();
+  if (target === blockerId.toString()) return true;
+
+  const visited = new Set();
+  let frontier = [blockerId.toString()];
+
+  while (frontier.length > 0) {
+    if (frontier.includes(target)) return true;
+    frontier.forEach(id => visited.add(id));
+
+    const tasks = await Task.find({ _id: { $in: frontier } }).select('blockedBy');
+    frontier = tasks
+      .flatMap(task => task.blockedBy.map(id => id.toString()))
+      .filter(id => !visited.has(id));
+    frontier = [...new Set(frontier)];
+  }
+
+  return false;
+};
+
+/**
+ * Returns true if at least one of the given blocker tasks is not yet done.
+ * @param {Array} blockerIds The IDs of the blocking tasks.
+ * @returns {Promise<boolean>}
+ */
+const hasOpenBlockers = async (blockerIds) => {
+  if (!blockerIds || blockerIds.length === 0) return false;
+  const openCount = await Task.countDocuments({
+    _id: { $in: blockerIds },
+    ...Task.openCondition(),
+  });
+  return openCount > 0;
+};
+
+/**
+ * Moves a blocked task back to its workspace's starting status and records
+ * the transition. The caller is responsible for saving the task.
+ */
+const unblock = async (task, userId, description, metadata) => {
+  const workspace = await Workspace.findById(task.workspace);
+  const nextStatus = workspace ? workspace.getDefaultStatus() : 'To Do';
+
+  task.status = nextStatus;
+  task.recordHistory({
+    action: 'unblocked',
+    field: 'status',
+    oldValue: BLOCKED_STATUS,
+    newValue: nextStatus,
+    description,
+    user: userId,
+    timestamp: new Date(),
+    metadata,
+  });
+};
+
+/**
+ * Moves a task into 'Blocked' if it has unfinished blockers.
+ * The caller is responsible for saving the task.
+ *
+ * @param {object} task The task document.
+ * @param {string} userId The user performing the change.
+ * @returns {Promise<boolean>} True if the status was changed.
+ */
+const blockIfNeeded = async (task, userId) => {
+  if (task.status === BLOCKED_STATUS || task.isDone()) return false;
+  if (!(await hasOpenBlockers(task.blockedBy))) return false;
+
+  const workspace = await Workspace.findById(task.workspace);
+  if (!workspace || !workspace.findStatus(BLOCKED_STATUS)) return false;
+
+  const previousStatus = task.status;
+  task.status = BLOCKED_STATUS;
+  task.recordHistory({
+    action: 'blocked',
+    field: 'status',
+    oldValue: previousStatus,
+    newValue: BLOCKED_STATUS,
+    description: `Task blocked by unfinished dependencies (changed from "${previousStatus}")`,
+    user: userId,
+    timestamp: new Date(),
+  });
+  return true;
+};
+
+/**
+ * Releases the dependents of a finished (or trashed) task.
+ *
+ * Every task that lists `task` in its 'blockedBy' array and is currently
+ * 'Blocked' is moved back to its workspace's starting status once all of its
+ * blockers are done.
+ * Trashed blockers are not counted. Each transition is recorded in the
+ * dependent task's history.
+ *
+ * @param {object} task The task that was just completed or trashed.
+ * @param {string} userId The user who completed it.
+ * @returns {Promise<Array>} The tasks that were unblocked.
+ */
+const releaseDependents = async (task, userId) => {
+  if (!task.isDone() && !task.deletedAt) return [];
+
+  const dependents = await Task.find({ blockedBy: task._id, status: BLOCKED_STATUS });
+  const unblocked = [];
+
+  for (const dependent of dependents) {
+    try {
+      if (await hasOpenBlockers(dependent.blockedBy)) continue;
+
+      await unblock(
+        dependent,
+        userId,
+        `Task unblocked: all blocking tasks are done (last was "${task.title}")`,
+        { unblockedBy: task._id }
+      );
+      await dependent.save();
+      unblocked.push(dependent);
+    } catch (error) {
+      logger.error(`Failed to unblock dependent task ${dependent._id}:`, error);
+    }
+  }
+
+  return unblocked;
+};
+
+/**
+ * Detaches a task from the dependency graph before it is removed, releasing
+ * any dependents that were waiting only on it.
+ *
+ * @param {object} task The task being removed.
+ * @param {string} userId The user removing it.
+ */
+const detachTask = async (task, userId) => {
+  const dependents = await Task.find({ blockedBy: task._id });
+
+  for (const dependent of dependents) {
+    try {
+      dependent.blockedBy.pull(task._id);
+      dependent.recordHistory({
+        action: 'dependency_removed',
+        field: 'blockedBy',
+        description: `Dependency on "${task.title}" removed because that task was deleted`,
+        user: userId,
+        timestamp: new Date(),
+        metadata: { taskId: task._id },
+      });
+
+      if (dependent.status === BLOCKED_STATUS && !(await hasOpenBlockers(dependent.blockedBy))) {
+        await unblock(dependent, userId, 'Task unblocked: no remaining unfinished dependencies');
+      }
+      await dependent.save();
+    } catch (error) {
+      logger.error(`Failed to detach dependency from task ${dependent._id}:`, error);
+    }
+  }
+
+  // Trashed dependents are not returned by the query above; drop their edges too
+  await Task.updateMany({ blockedBy: task._id }, { $pull: { blockedBy: task._id } });
+};
+
+module.exports = {
+  BLOCKED_STATUS,
+  wouldCreateCycle,
+  hasOpenBlockers,
+  unblock,
+  blockIfNeeded,
+  releaseDependents,
+  detachTask,
+};
@@ -1,6 +1,7 @@
 // src/services/googleCalendarService.js
 
 const { google } = require('googleapis');
+const User = require('../api/models/userModel');
 const logger = require('../utils/logger');
 
 // Validate environment variables at startup
@@ -76,6 +77,24 @@ exports.getTokens = async (code) => {
   }
 };
 
+/**
+ * Builds an authorised OAuth2 client for a user, or returns null if the user
+ * has not connected Google Calendar.
+ * @param {string} userId The user's ID.
+ */
+exports.getCalendarClient = async (userId) => {
+  const user = await User.findById(userId).select('+googleRefreshToken');
+  if (!user || !user.googleRefreshToken) return null;
+
+  const authClient = new google.auth.OAuth2(
+    process.env.GOOGLE_CLIENT_ID,
+    process.env.GOOGLE_CLIENT_SECRET,
+    process.env.GOOGLE_REDIRECT_URI
+  );
+  authClient.setCredentials({ refresh_token: user.googleRefreshToken });
+  return authClient;
+};
+
 /**
  * Creates a new event in the user's primary Google Calendar.
  */
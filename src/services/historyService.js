@@ -0,0 +1,196 @@
+// src/services/historyService.js
+
+const Task = require('../api/models/taskModel');
+const TaskHistory = require('../api/models/taskHistoryModel');
+const TaskNote = require('../api/models/taskNoteModel');
+
+// Fields whose recorded changes can be reverted. Status changes are checked
+// against the workspace workflow by the caller; dependencies, workspace moves,
+// sub-tasks and recurrence have their own routes and are not reverted here.
+const REVERTIBLE_FIELDS = [
+  'title',
+  'description',
+  'status',
+  'priority',
+  'dueDate',
+  'tags',
+  'isKeyTask',
+  'estimateMinutes',
+  'autoCompleteOnSubTasks',
+];
+
+/**
+ * Returns the field change recorded by a history entry, or null if the entry
+ * does not describe one.
+ *
+ * Field changes are recorded either on the entry itself (by the model's
+ * pre-save hook) or in its metadata (by the controllers).
+ *
+ * @param {object} entry A history entry.
+ * @returns {{ field: string, oldValue: *, newValue: * }|null}
+ */
+const getFieldChange = (entry) => {
+  if (entry.field) {
+    return { field: entry.field, oldValue: entry.oldValue, newValue: entry.newValue };
+  }
+  const metadata = entry.metadata || {};
+  if (metadata.field && ('oldValue' in metadata || 'newValue' in metadata)) {
+    return { field: metadata.field, oldValue: metadata.oldValue, newValue: metadata.newValue };
+  }
+  return null;
+};
+
+/**
+ * Normalizes a field value for comparison: dates (which may have been
+ * recorded as strings) become timestamps and empty values become null.
+ */
+const normalizeValue = (field, value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const schemaType = Task.schema.path(field);
+  if (schemaType && schemaType.instance === 'Date') {
+    const time = new Date(value).getTime();
+    return Number.isNaN(time) ? String(value) : time;
+  }
+  if (Array.isArray(value) || (value && typeof value.toObject === 'function')) {
+    return JSON.stringify(Array.from(value));
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Whether two recorded values of a field are the same.
+ */
+const isSameValue = (field, a, b) => normalizeValue(field, a) === normalizeValue(field, b);
+
+/**
+ * Sets a (possibly dotted) path on a plain object.
+ */
+const setPath = (target, path, value) => {
+  const keys = path.split('.');
+  let node = target;
+  for (let i = 0; i < keys.length - 1; i += 1) {
+    if (node[keys[i]] === undefined || node[keys[i]] === null) return false;
+    node = node[keys[i]];
+  }
+  node[keys[keys.length - 1]] = value;
+  return true;
+};
+
+/**
+ * Undoes a single history entry on a plain task object. Returns false when
+ * the entry cannot be replayed backwards.
+ */
+const undoEntry = (state, entry) => {
+  const change = getFieldChange(entry);
+  if (change) return setPath(state, change.field, change.oldValue);
+
+  const metadata = entry.metadata || {};
+  const sameId = (a, b) => a && b && a.toString() === b.toString();
+
+  switch (entry.action) {
+    case 'subtask_added':
+      state.subTasks = (state.subTasks || []).filter(subTask => !sameId(subTask._id, metadata.subTaskId));
+      return true;
+    case 'subtask_deleted':
+      state.subTasks = [
+        ...(state.subTasks || []),
+        { _id: metadata.subTaskId, title: metadata.title, isCompleted: metadata.isCompleted },
+      ];
+      return true;
+    case 'subtask_updated': {
+      const subTask = (state.subTasks || []).find(s => sameId(s._id, metadata.subTaskId));
+      if (!subTask || !metadata.oldValue) return false;
+      Object.assign(subTask, metadata.oldValue);
+      return true;
+    }
+    case 'completed':
+      state.status = metadata.previousStatus || state.status;
+      state.completedAt = undefined;
+      return Boolean(metadata.previousStatus);
+    case 'reopened':
+      state.status = metadata.previousStatus || state.status;
+      return Boolean(metadata.previousStatus);
+    case 'note_added':
+    case 'attachment_added':
+    case 'attachment_version_added':
+    case 'attachment_version_restored':
+      return true; // Later notes and attachment versions are filtered out by date
+    case 'updated':
+      return Boolean(metadata.googleEventId); // Calendar sync only
+    case 'deleted':
+      state.deletedAt = null;
+      return true;
+    case 'restored':
+      state.deletedAt = metadata.deletedAt || state.deletedAt;
+      return true;
+    default:
+      return false;
+  }
+};
+
+/**
+ * Returns an attachment as it was at a point in time: the newest version
+ * uploaded by then is made current, later versions are left out. Returns
+ * null when the attachment did not exist yet.
+ */
+const attachmentAsOf = (attachment, timestamp) => {
+  const existedAt = entry => !entry.uploadedAt || new Date(entry.uploadedAt) <= timestamp;
+  if (existedAt(attachment)) return attachment;
+
+  const versions = (attachment.versions || []).filter(existedAt);
+  if (versions.length === 0) return null;
+
+  const current = versions.pop();
+  return { ...attachment, restoredFrom: undefined, ...current, versions };
+};
+
+/**
+ * Reconstructs a task as it was at a point in time by starting from its
+ * current state and undoing every history entry recorded after that time,
+ * newest first. Notes and attachments added later are left out.
+ *
+ * Entries that cannot be replayed (for example attachment or dependency
+ * changes recorded without their previous value) are reported so clients
+ * know the reconstruction may be incomplete.
+ *
+ * @param {object} task The task document.
+ * @param {Date} timestamp The point in time.
+ * @returns {Promise<{ task: object, replayed: number, unreplayable: Array }>}
+ */
+const reconstructAsOf = async (task, timestamp) => {
+  const [later, notes] = await Promise.all([
+    TaskHistory.find({ task: task._id, timestamp: { $gt: timestamp } })
+      .sort({ timestamp: -1, _id: -1 })
+      .lean(),
+    TaskNote.find({ task: task._id, createdAt: { $lte: timestamp } })
+      .sort({ createdAt: 1 })
+      .lean(),
+  ]);
+  const state = task.toObject({ virtuals: false });
+
+  let replayed = 0;
+  const unreplayable = [];
+  later.forEach(entry => {
+    if (undoEntry(state, entry)) {
+      replayed += 1;
+    } else {
+      unreplayable.push({ _id: entry._id, action: entry.action, description: entry.description, timestamp: entry.timestamp });
+    }
+  });
+
+  state.notes = notes;
+  state.attachments = (state.attachments || [])
+    .map(attachment => attachmentAsOf(attachment, timestamp))
+    .filter(Boolean);
+  delete state.rank;
+  delete state.__v;
+
+  return { task: state, replayed, unreplayable };
+};
+
+module.exports = {
+  REVERTIBLE_FIELDS,
+  getFieldChange,
+  isSameValue,
+  reconstructAsOf,
+};
@@ -0,0 +1,139 @@
+// src/services/mentionService.js
+
+const User = require('../api/models/userModel');
+const Mention = require('../api/models/mentionModel');
+
+// Upper bound on the handles resolved per note, to keep lookups bounded.
+const MAX_MENTIONS = 20;
+
+// @"Full Name", @jane@example.com or @jane
+const MENTION_PATTERN = /(^|[^\w@])@(?:"([^"\n]+)"|([\w.+-]+@[\w-]+(?:\.[\w-]+)+)|([\p{L}\p{N}_][\p{L}\p{N}_.-]*))/gu;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Extracts the @mention handles of a Markdown text. Code blocks and inline
+ * code are ignored, so `@decorators` in snippets are not treated as mentions.
+ *
+ * @param {string} content The note content.
+ * @returns {Array<{ handle: string, isEmail: boolean }>} The distinct handles.
+ */
+const extractMentionHandles = (content) => {
+  const text = String(content || '')
+    .replace(/```[\s\S]*?(```|$)/g, ' ')
+    .replace(/`[^`\n]*`/g, ' ');
+
+  const handles = new Map();
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    const isEmail = Boolean(match[3]);
+    const handle = (match[2] || match[3] || match[4]).trim().replace(/[.-]+$/, '');
+    const key = handle.toLowerCase();
+    if (handle && !handles.has(key)) handles.set(key, { handle, isEmail });
+    if (handles.size >= MAX_MENTIONS) break;
+  }
+  return [...handles.values()];
+};
+
+/**
+ * Returns the users who can access a workspace, and so may be mentioned in
+ * its notes. Workspaces are private to their owner.
+ * @param {object} workspace The workspace.
+ * @returns {Array<string>} The users' IDs.
+ */
+const getWorkspaceMemberIds = (workspace) => [workspace.owner.toString()];
+
+/**
+ * Resolves a single handle to one of the given users. A handle matches an
+ * email address, a full name (case-insensitive) or, failing that, a first
+ * name. Handles that match several users are ambiguous and resolve to nobody.
+ */
+const resolveHandle = async ({ handle, isEmail }, memberIds) => {
+  const members = { _id: { $in: memberIds } };
+  if (isEmail) {
+    return User.findOne({ ...members, email: handle.toLowerCase() }).select('name email');
+  }
+
+  const fullName = await User.find({ ...members, name: new RegExp(`^${escapeRegex(handle)}$`, 'i') })
+    .select('name email')
+    .limit(2);
+  if (fullName.length > 0) return fullName.length === 1 ? fullName[0] : null;
+
+  const firstName = await User.find({ ...members, name: new RegExp(`^${escapeRegex(handle)}\\s`, 'i') })
+    .select('name email')
+    .limit(2);
+  return firstName.length === 1 ? firstName[0] : null;
+};
+
+/**
+ * Resolves the @mentions of a note's content to users. Only users who can
+ * access the task's workspace can be mentioned, so a mention never reveals
+ * other accounts or shares the note with them. The author is never mentioned
+ * by their own note.
+ *
+ * @param {string} content The note content.
+ * @param {string} authorId The note's author.
+ * @param {object} workspace The workspace of the note's task.
+ * @returns {Promise<Array>} The mentioned users (name and email).
+ */
+const resolveMentions = async (content, authorId, workspace) => {
+  const memberIds = getWorkspaceMemberIds(workspace).filter(id => id !== authorId.toString());
+  if (memberIds.length === 0) return [];
+
+  const handles = extractMentionHandles(content);
+  const users = await Promise.all(handles.map(handle => resolveHandle(handle, memberIds)));
+
+  const seen = new Set();
+  return users.filter(user => {
+    if (!user || seen.has(user._id.toString())) return false;
+    seen.add(user._id.toString());
+    return true;
+  });
+};
+
+/**
+ * Brings the mention records of a note in line with its `mentions`: users no
+ * longer mentioned lose their record, newly mentioned users get an unread one,
+ * and users still mentioned keep theirs (and its read state).
+ *
+ * @param {object} note The saved note document.
+ * @param {object} task The note's task.
+ * @param {string} authorId The user who wrote or edited the note.
+ */
+const syncMentionRecords = async (note, task, authorId) => {
+  const userIds = (note.mentions || []).map(id => id.toString());
+
+  await Mention.deleteMany({ note: note._id, user: { $nin: userIds } });
+  if (userIds.length === 0) return;
+
+  await Mention.bulkWrite(
+    userIds.map(userId => ({
+      updateOne: {
+        filter: { note: note._id, user: userId },
+        update: {
+          $setOnInsert: {
+            mentionedBy: authorId,
+            task: task._id,
+            workspace: task.workspace,
+            createdAt: new Date(),
+            readAt: null,
+          },
+        },
+        upsert: true,
+      },
+    }))
+  );
+};
+
+/**
+ * Removes the mention records of deleted notes.
+ * @param {Array<string>} noteIds The deleted notes.
+ */
+const removeMentions = (noteIds) => Mention.deleteMany({ note: { $in: noteIds } });
+
+module.exports = {
+  extractMentionHandles,
+  getWorkspaceMemberIds,
+  resolveMentions,
+  syncMentionRecords,
+  removeMentions,
+};
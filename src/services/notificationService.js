@@ -16,9 +16,9 @@ const checkTaskDeadlines = async () => {
   const todayEnd = new Date(now.setHours(23, 59, 59, 999));
 
   try {
-    // Find all tasks that are not 'Done' and have a due date.
+    // Find all unfinished tasks (any status outside the "done" category) with a due date.
     const relevantTasks = await Task.find({
-      status: { $ne: 'Done' },
+      ...Task.openCondition(),
       dueDate: { $ne: null },
     }).populate('user', 'name email'); // Populate user info for notifications
 
@@ -0,0 +1,360 @@
+// src/services/recurrenceService.js
+
+const { RRule, RRuleSet } = require('rrule');
+const AppError = require('../utils/appError');
+
+/**
+ * Recurrence rules for recurring task templates, following RFC 5545 RRULE.
+ *
+ * A template's `recurring` sub-document stores the rule as an RRULE string
+ * (e.g. "FREQ=MONTHLY;BYDAY=TU;BYSETPOS=2") together with the series start
+ * (`dtStart`) and any excluded dates. Rules are evaluated in UTC; the time of
+ * day of `dtStart` is kept for every occurrence.
+ *
+ * Templates created before RRULE support only have `frequency`/`interval`;
+ * they are read as the equivalent rule starting at their `nextDueDate`.
+ */
+
+const FREQUENCIES = {
+  daily: RRule.DAILY,
+  weekly: RRule.WEEKLY,
+  monthly: RRule.MONTHLY,
+  yearly: RRule.YEARLY,
+};
+
+// Properties of the structured form, with their RRULE names.
+const STRUCTURED_PARTS = {
+  byDay: 'BYDAY',
+  byMonthDay: 'BYMONTHDAY',
+  byMonth: 'BYMONTH',
+  bySetPos: 'BYSETPOS',
+};
+
+// How missed occurrences are handled after downtime: 'all' creates an
+// instance for each of them, 'latest' only for the most recent one.
+const CATCH_UP_POLICIES = ['all', 'latest'];
+
+const WEEKDAY_PATTERN = /^([+-]?\d{1,2})?(MO|TU|WE|TH|FR|SA|SU)$/;
+
+/**
+ * Parses a date sent by a client as part of a rule.
+ * @param {*} value The date, in any form `new Date()` accepts.
+ * @param {string} label What the date is, for the error message.
+ * @throws {AppError} 400 when the value is not a valid date.
+ */
+const parseRuleDate = (value, label) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new AppError(`Invalid ${label}.`, 400);
+  }
+  return date;
+};
+
+/**
+ * Formats a date as an RFC 5545 UTC date-time (e.g. 20240105T090000Z).
+ */
+const formatRRuleDate = (date) =>
+  new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Converts the structured form of a rule into an RRULE string.
+ *
+ * @param {object} structured
+ * @param {string} structured.frequency 'daily', 'weekly', 'monthly' or 'yearly'.
+ * @param {number} [structured.interval]
+ * @param {Array<string>} [structured.byDay] Weekdays such as 'MO' or '-1FR'.
+ * @param {Array<number>} [structured.byMonthDay]
+ * @param {Array<number>} [structured.byMonth]
+ * @param {Array<number>} [structured.bySetPos]
+ * @param {number} [structured.count]
+ * @param {Date} [structured.until]
+ * @returns {string}
+ */
+const structuredToRRule = (structured) => {
+  const frequency = String(structured.frequency || '').toLowerCase();
+  if (!FREQUENCIES[frequency]) {
+    throw new AppError(`Invalid recurrence frequency "${structured.frequency}".`, 400);
+  }
+
+  const parts = [`FREQ=${frequency.toUpperCase()}`];
+  if (structured.interval && Number(structured.interval) !== 1) {
+    parts.push(`INTERVAL=${Number(structured.interval)}`);
+  }
+
+  Object.entries(STRUCTURED_PARTS).forEach(([key, name]) => {
+    const values = [].concat(structured[key] ?? []);
+    if (values.length > 0) {
+      parts.push(`${name}=${values.map(value => String(value).toUpperCase()).join(',')}`);
+    }
+  });
+
+  if (structured.count) parts.push(`COUNT=${Number(structured.count)}`);
+  const until = structured.until || structured.endDate;
+  if (until) parts.push(`UNTIL=${formatRRuleDate(parseRuleDate(until, 'recurrence end date'))}`);
+
+  return parts.join(';');
+};
+
+/**
+ * Returns the RRULE string describing a stored `recurring` sub-document.
+ */
+const getRuleString = (recurring) => {
+  if (recurring.rrule) return recurring.rrule;
+  return structuredToRRule({
+    frequency: recurring.frequency,
+    interval: recurring.interval,
+    until: recurring.endDate,
+  });
+};
+
+/**
+ * Builds an RRuleSet for a stored `recurring` sub-document.
+ * @param {object} recurring The template's recurring rule.
+ * @returns {RRuleSet}
+ */
+const buildRuleSet = (recurring) => {
+  const dtStart = recurring.dtStart || recurring.nextDueDate;
+  const options = RRule.parseString(getRuleString(recurring));
+  options.dtstart = new Date(dtStart);
+
+  const ruleSet = new RRuleSet();
+  ruleSet.rrule(new RRule(options));
+  (recurring.exDates || []).forEach(date => ruleSet.exdate(new Date(date)));
+  return ruleSet;
+};
+
+/**
+ * Returns the first occurrence strictly after the given date, or null if the
+ * series has ended (COUNT or UNTIL reached).
+ *
+ * @param {object} recurring The template's recurring rule.
+ * @param {Date} after The date to search from.
+ * @returns {Date|null}
+ */
+const getNextOccurrence = (recurring, after) => buildRuleSet(recurring).after(new Date(after), false);
+
+/**
+ * Returns the due date of the next instance of a completion-based series:
+ * the rule is restarted on the day the previous instance was completed,
+ * keeping the series' time of day.
+ *
+ * @param {object} recurring The template's recurring rule.
+ * @param {Date} completedAt When the previous instance was completed.
+ * @returns {Date|null} Null if the series has ended (UNTIL reached).
+ */
+const getNextAfterCompletion = (recurring, completedAt) => {
+  const anchor = new Date(completedAt);
+  const timeOfDay = recurring.dtStart || recurring.nextDueDate;
+  if (timeOfDay) {
+    const time = new Date(timeOfDay);
+    anchor.setUTCHours(time.getUTCHours(), time.getUTCMinutes(), time.getUTCSeconds(), 0);
+  }
+  return getNextOccurrence({ rrule: getRuleString(recurring), dtStart: anchor }, anchor);
+};
+
+/**
+ * Returns up to `limit` occurrences on or after the given date.
+ *
+ * @param {object} recurring The template's recurring rule.
+ * @param {Date} from The date to start from (inclusive).
+ * @param {number} limit The maximum number of dates to return.
+ * @returns {Array<Date>}
+ */
+const getOccurrences = (recurring, from, limit) => {
+  const start = new Date(from);
+  const dates = [];
+  if (limit < 1) return dates;
+
+  buildRuleSet(recurring).all(date => {
+    if (date >= start) dates.push(date);
+    return dates.length < limit;
+  });
+  return dates;
+};
+
+/**
+ * Returns the occurrences between two dates (both inclusive), oldest first,
+ * stopping after `limit` dates.
+ *
+ * @param {object} recurring The template's recurring rule.
+ * @param {Date} from The start of the range.
+ * @param {Date} to The end of the range.
+ * @param {number} [limit] The maximum number of dates to return.
+ * @returns {Array<Date>}
+ */
+const getOccurrencesBetween = (recurring, from, to, limit = Infinity) => {
+  const start = new Date(from);
+  const end = new Date(to);
+  const dates = [];
+  if (limit < 1 || start > end) return dates;
+
+  buildRuleSet(recurring).all(date => {
+    if (date > end) return false;
+    if (date >= start) dates.push(date);
+    return dates.length < limit;
+  });
+  return dates;
+};
+
+/**
+ * Parses the dates of an EXDATE line (e.g. "EXDATE:20240105T090000Z,20240112T090000Z").
+ * Like DTSTART, the dates are read as UTC.
+ */
+const parseExDateLine = (line) => {
+  const values = line.slice(line.lastIndexOf(':') + 1).split(',').map(value => value.trim());
+  return values.map(value => {
+    let date;
+    try {
+      date = RRule.parseString(`DTSTART:${value}`).dtstart;
+    } catch (error) {
+      date = null;
+    }
+    if (!date || Number.isNaN(date.getTime())) {
+      throw new AppError(`Invalid recurrence EXDATE "${value}".`, 400);
+    }
+    return date;
+  });
+};
+
+/**
+ * Parses an RRULE given by a client, which may include DTSTART and EXDATE
+ * lines and an "RRULE:" prefix. Returns the rule part, the DTSTART, if any,
+ * and the excluded dates.
+ */
+const parseRRuleInput = (input) => {
+  const lines = String(input).trim().split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  let dtStart = null;
+  let rule = null;
+  const exDates = [];
+
+  lines.forEach(line => {
+    if (/^DTSTART/i.test(line)) {
+      try {
+        dtStart = RRule.parseString(line).dtstart;
+      } catch (error) {
+        throw new AppError(`Invalid recurrence DTSTART: ${error.message}`, 400);
+      }
+    } else if (/^EXDATE/i.test(line)) {
+      exDates.push(...parseExDateLine(line));
+    } else if (/^(RRULE:)?[A-Z]+=/i.test(line)) {
+      rule = line.replace(/^RRULE:/i, '');
+    } else {
+      throw new AppError(`Unsupported recurrence line "${line}".`, 400);
+    }
+  });
+
+  if (!rule) {
+    throw new AppError('The recurrence rule is missing its RRULE part.', 400);
+  }
+  return { rule, dtStart, exDates };
+};
+
+/**
+ * Checks the parts of a rule that the RRULE parser would otherwise accept
+ * silently or reject with an unhelpful message.
+ */
+const validateRule = (rule) => {
+  let options;
+  try {
+    options = RRule.parseString(rule);
+  } catch (error) {
+    throw new AppError(`Invalid recurrence rule: ${error.message}`, 400);
+  }
+  if (options.freq === undefined || options.freq === null) {
+    throw new AppError('The recurrence rule must include FREQ.', 400);
+  }
+  if (options.freq > RRule.DAILY) {
+    throw new AppError('Recurrence more frequent than daily is not supported.', 400);
+  }
+  if (options.count && options.until) {
+    throw new AppError('A recurrence rule cannot have both COUNT and UNTIL.', 400);
+  }
+  const byDay = (rule.match(/BYDAY=([^;]+)/i) || [])[1];
+  if (byDay && !byDay.split(',').every(day => WEEKDAY_PATTERN.test(day.toUpperCase()))) {
+    throw new AppError(`Invalid BYDAY value "${byDay}".`, 400);
+  }
+  return options;
+};
+
+/**
+ * Normalizes the `recurring` value sent by a client when creating a task.
+ *
+ * Accepts either an RRULE (`{ rrule: 'FREQ=WEEKLY;BYDAY=MO,WE,FR' }`, or the
+ * RRULE string itself, optionally with DTSTART and EXDATE lines) or the
+ * structured form (`{ frequency, interval, byDay, byMonthDay, bySetPos,
+ * count, until }`). Both may carry `exDates`, a
+ * `startDate` (the legacy `nextDueDate` is accepted as the start), a
+ * `mode` of 'schedule' (default) or 'completion', and a `catchUp` policy.
+ *
+ * A start date in the past anchors the rule (its time of day, interval and
+ * COUNT), but occurrences before `from` are not generated: a new series does
+ * not backfill the instances it would have had before it was created.
+ *
+ * @param {object|string} input The client-supplied rule.
+ * @param {Date} [from] The earliest first occurrence (default: now).
+ * @returns {object} A `recurring` sub-document whose `nextDueDate` is the first occurrence.
+ */
+const normalizeRecurrence = (input, from = new Date()) => {
+  const spec = typeof input === 'string' ? { rrule: input } : { ...input };
+
+  let rule;
+  let dtStart = spec.startDate || spec.dtStart || spec.nextDueDate;
+  let ruleExDates = [];
+  if (spec.rrule) {
+    const parsed = parseRRuleInput(spec.rrule);
+    rule = parsed.rule;
+    dtStart = dtStart || parsed.dtStart;
+    ruleExDates = parsed.exDates;
+  } else {
+    rule = structuredToRRule(spec);
+  }
+
+  const options = validateRule(rule);
+  const mode = spec.mode || 'schedule';
+  if (!['schedule', 'completion'].includes(mode)) {
+    throw new AppError(`Invalid recurrence mode "${spec.mode}".`, 400);
+  }
+  if (mode === 'completion' && options.count) {
+    throw new AppError('COUNT cannot be used with completion-based recurrence; use UNTIL instead.', 400);
+  }
+  const catchUp = spec.catchUp || 'all';
+  if (!CATCH_UP_POLICIES.includes(catchUp)) {
+    throw new AppError(`Invalid catch-up policy "${spec.catchUp}". Use one of: ${CATCH_UP_POLICIES.join(', ')}.`, 400);
+  }
+  dtStart = dtStart ? parseRuleDate(dtStart, 'recurrence start date') : new Date();
+  const exDates = [
+    ...[].concat(spec.exDates || []).map(date => parseRuleDate(date, 'date in recurrence exDates')),
+    ...ruleExDates,
+  ];
+
+  const recurring = {
+    mode,
+    catchUp,
+    rrule: rule,
+    dtStart,
+    exDates,
+    frequency: Object.keys(FREQUENCIES).find(key => FREQUENCIES[key] === options.freq),
+    interval: options.interval || 1,
+    endDate: options.until || undefined,
+  };
+
+  // The start date itself only counts if it matches the rule
+  const earliest = dtStart > from ? dtStart : new Date(from);
+  const first = buildRuleSet(recurring).after(earliest, true);
+  if (!first) {
+    throw new AppError('The recurrence rule does not produce any upcoming occurrences.', 400);
+  }
+  recurring.nextDueDate = first;
+  return recurring;
+};
+
+module.exports = {
+  CATCH_UP_POLICIES,
+  structuredToRRule,
+  getRuleString,
+  getNextOccurrence,
+  getNextAfterCompletion,
+  getOccurrences,
+  getOccurrencesBetween,
+  normalizeRecurrence,
+};
@@ -0,0 +1,402 @@
+// src/services/recurringTaskService.js
+
+const mongoose = require('mongoose');
+const Task = require('../api/models/taskModel');
+const recurrenceService = require('./recurrenceService');
+const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
+
+/**
+ * Builds (without saving) a new instance of a recurring template.
+ *
+ * @param {object} template The recurring template document.
+ * @param {Date} dueDate The due date of the instance.
+ * @param {object} [overrides] Extra fields for the instance, such as its _id.
+ * @returns {object} The unsaved task document.
+ */
+const buildInstance = (template, dueDate, overrides = {}) =>
+  new Task({
+    ...template.toObject(), // Copy all fields from the template
+    _id: undefined, // Ensure a new ID is generated
+    isRecurringTemplate: false, // This is an instance, not a template
+    dueDate, // Set the due date for this instance
+    status: undefined, // Reset to the workspace's starting status
+    statusCategory: undefined,
+    completedAt: undefined,
+    rank: undefined, // Placed at the bottom of its board column
+    recurring: undefined, // Remove recurring info from the instance
+    googleEventId: undefined, // Ensure it gets a new calendar event if needed
+    series: template._id, // Link the instance back to its series
+    occurrenceDate: dueDate,
+    ...overrides,
+  });
+
+/**
+ * Atomically makes `newInstanceId` the open instance of a completion-based
+ * series, provided the series' open instance is still `expectedInstanceId`.
+ * This is what guarantees a single open instance per series: of two
+ * concurrent attempts, only one finds the expected value.
+ *
+ * @returns {Promise<boolean>} True if this caller won the swap.
+ */
+const claimOpenInstance = async (template, expectedInstanceId, newInstanceId, nextDueDate) => {
+  const claimed = await Task.findOneAndUpdate(
+    {
+      _id: template._id,
+      isRecurringTemplate: true,
+      'recurring.openInstance': expectedInstanceId || null,
+    },
+    {
+      $set: {
+        'recurring.openInstance': newInstanceId,
+        'recurring.nextDueDate': nextDueDate,
+        dueDate: nextDueDate,
+      },
+      $inc: { __v: 1 },
+    },
+    { new: true }
+  );
+  return Boolean(claimed);
+};
+
+/**
+ * Returns 'active', 'paused' or 'ended' for a recurring template.
+ */
+const getSeriesState = (template) => {
+  if (template.recurring.endedAt) return 'ended';
+  if (template.recurring.pausedAt) return 'paused';
+  return 'active';
+};
+
+/**
+ * Marks a series as ended once its rule has no further occurrences.
+ * @param {object} template The recurring template document.
+ */
+const endSeries = async (template) => {
+  await Task.updateOne(
+    { _id: template._id },
+    { $set: { 'recurring.endedAt': new Date() }, $inc: { __v: 1 } }
+  );
+  logger.info(`Recurring task series "${template.title}" has ended.`);
+};
+
+/**
+ * Creates the next instance of a completion-based series after one of its
+ * instances was completed. Does nothing for other tasks, or while the
+ * series is paused.
+ *
+ * The next due date is computed from the completion date. When the series
+ * has no further occurrences (its UNTIL has passed) it is marked as ended.
+ *
+ * @param {object} task The instance that was just completed.
+ * @param {string} userId The user who completed it.
+ * @returns {Promise<object|null>} The new instance, if one was created.
+ */
+const scheduleNextAfterCompletion = async (task, userId) => {
+  if (!task.series || !task.isDone()) return null;
+
+  const template = await Task.findOne({ _id: task.series, isRecurringTemplate: true });
+  if (!template || template.recurring.mode !== 'completion') return null;
+  if (getSeriesState(template) !== 'active') return null;
+  if (String(template.recurring.openInstance) !== String(task._id)) return null;
+
+  const nextDueDate = recurrenceService.getNextAfterCompletion(
+    template.recurring,
+    task.completedAt || new Date()
+  );
+  if (!nextDueDate) {
+    await endSeries(template);
+    return null;
+  }
+
+  const instanceId = new mongoose.Types.ObjectId();
+  if (!(await claimOpenInstance(template, task._id, instanceId, nextDueDate))) {
+    return null; // Another request already scheduled the next instance
+  }
+
+  const instance = buildInstance(template, nextDueDate, { _id: instanceId });
+  instance.recordHistory({
+    action: 'created',
+    description: `Task "${instance.title}" was scheduled after "${task.title}" was completed`,
+    user: userId,
+    timestamp: new Date(),
+    metadata: { series: template._id, previousInstance: task._id },
+  });
+  await instance.save();
+  return instance;
+};
+
+/**
+ * Creates an instance of a completion-based series when it has no open one:
+ * for its first occurrence, after it was resumed, or when its open instance
+ * was purged. A series whose open instance is in the trash keeps waiting for
+ * it to be restored.
+ *
+ * @param {object} template The recurring template document.
+ * @returns {Promise<object|null>} The new instance, if one was created.
+ */
+const ensureOpenInstance = async (template) => {
+  const currentId = template.recurring.openInstance;
+  if (currentId) {
+    // Naming 'deletedAt' includes trashed tasks; instances always have the field
+    const stillOpen = await Task.exists({
+      _id: currentId,
+      deletedAt: { $exists: true },
+      ...Task.openCondition(),
+    });
+    if (stillOpen) return null;
+  }
+
+  const instanceId = new mongoose.Types.ObjectId();
+  const dueDate = template.recurring.nextDueDate;
+  if (!(await claimOpenInstance(template, currentId, instanceId, dueDate))) {
+    return null;
+  }
+
+  const instance = buildInstance(template, dueDate, { _id: instanceId });
+  await instance.save();
+  return instance;
+};
+
+/**
+ * Refuses to reopen a completed instance of a completion-based series once
+ * the series has moved on to a newer instance, which would leave the series
+ * with two open instances.
+ *
+ * @param {object} task The completed instance about to be reopened.
+ */
+const assertCanReopen = async (task) => {
+  if (!task.series) return;
+
+  const template = await Task.findOne({ _id: task.series, isRecurringTemplate: true })
+    .select('recurring');
+  if (!template || template.recurring.mode !== 'completion') return;
+
+  const openInstance = template.recurring.openInstance;
+  if (openInstance && String(openInstance) !== String(task._id)) {
+    throw new AppError(
+      'This task cannot be reopened because its recurring series already has a newer open instance.',
+      409,
+      { openInstance }
+    );
+  }
+};
+
+/**
+ * Loads the open (not done, not trashed) instances of a series.
+ * @param {string} seriesId The recurring template's ID.
+ */
+const findOpenInstances = (seriesId) =>
+  Task.find({ series: seriesId, ...Task.openCondition() });
+
+/**
+ * Pauses a series. No instances are created until it is resumed.
+ * @param {object} template The recurring template document.
+ */
+const pauseSeries = async (template) => {
+  template.recurring.pausedAt = new Date();
+  await template.save();
+};
+
+/**
+ * Resumes a paused series. Occurrences that fell within the pause are
+ * skipped: a calendar-based series continues with its first occurrence from
+ * now, and a completion-based series whose last instance was completed while
+ * paused gets its next instance as soon as the recurring job runs.
+ *
+ * @param {object} template The recurring template document.
+ */
+const resumeSeries = async (template) => {
+  const now = new Date();
+  const { recurring } = template;
+
+  if (recurring.mode === 'completion') {
+    const lastInstance = recurring.openInstance
+      ? await Task.findOne({ _id: recurring.openInstance, ...Task.doneCondition() })
+      : null;
+    if (lastInstance) {
+      const next = recurrenceService.getNextAfterCompletion(recurring, lastInstance.completedAt || now);
+      if (!next) {
+        recurring.endedAt = now;
+      } else {
+        recurring.nextDueDate = next > now ? next : now;
+      }
+    }
+  } else if (recurring.nextDueDate < now) {
+    const next = recurrenceService.getNextOccurrence(recurring, new Date(now.getTime() - 1));
+    if (!next) {
+      recurring.endedAt = now;
+    } else {
+      recurring.nextDueDate = next;
+    }
+  }
+
+  recurring.pausedAt = null;
+  template.dueDate = recurring.nextDueDate;
+  await template.save();
+};
+
+/**
+ * Skips the next occurrence of a series.
+ *
+ * For a calendar-based series the occurrence is added to the rule's EXDATEs
+ * and the series moves on to the following one. For a completion-based
+ * series the open instance is pushed back by one step of the rule.
+ *
+ * @param {object} template The recurring template document.
+ * @param {string} userId The user skipping the occurrence.
+ * @returns {Promise<{ skipped: Date, nextDueDate: Date|null }>}
+ */
+const skipNextOccurrence = async (template, userId) => {
+  const { recurring } = template;
+
+  if (recurring.mode === 'completion') {
+    const instance = recurring.openInstance
+      ? await Task.findOne({ _id: recurring.openInstance, ...Task.openCondition() })
+      : null;
+    const skipped = instance && instance.dueDate ? instance.dueDate : recurring.nextDueDate;
+    const nextDueDate = recurrenceService.getNextAfterCompletion(recurring, skipped);
+    if (!nextDueDate) {
+      throw new AppError('This series has no occurrence after the next one to move to.', 400);
+    }
+
+    if (instance) {
+      instance.dueDate = nextDueDate;
+      instance.recordHistory({
+        action: 'updated',
+        field: 'dueDate',
+        oldValue: skipped,
+        newValue: nextDueDate,
+        description: 'Occurrence skipped; due date moved to the next one in the series',
+        user: userId,
+        timestamp: new Date(),
+        metadata: { series: template._id },
+      });
+      await instance.save();
+    }
+    recurring.nextDueDate = nextDueDate;
+    template.dueDate = nextDueDate;
+    await template.save();
+    return { skipped, nextDueDate };
+  }
+
+  const skipped = recurring.nextDueDate;
+  recurring.exDates.push(skipped);
+  const nextDueDate = recurrenceService.getNextOccurrence(recurring, skipped);
+  if (nextDueDate) {
+    recurring.nextDueDate = nextDueDate;
+    template.dueDate = nextDueDate;
+  } else {
+    recurring.endedAt = new Date();
+  }
+  await template.save();
+  return { skipped, nextDueDate };
+};
+
+/**
+ * Lists the upcoming due dates of a series.
+ *
+ * A completion-based series has no fixed dates; its preview assumes every
+ * instance is completed on its due date.
+ *
+ * @param {object} template The recurring template document.
+ * @param {number} count The number of dates to return.
+ * @returns {Promise<Array<Date>>}
+ */
+const previewOccurrences = async (template, count) => {
+  const { recurring } = template;
+  if (recurring.endedAt) return [];
+
+  if (recurring.mode !== 'completion') {
+    return recurrenceService.getOccurrences(recurring, recurring.nextDueDate, count);
+  }
+
+  const openInstance = recurring.openInstance
+    ? await Task.findOne({ _id: recurring.openInstance, ...Task.openCondition() }).select('dueDate')
+    : null;
+  const dates = [];
+  let next = openInstance && openInstance.dueDate ? openInstance.dueDate : recurring.nextDueDate;
+  while (next && dates.length < count) {
+    dates.push(next);
+    next = recurrenceService.getNextAfterCompletion(recurring, next);
+  }
+  return dates;
+};
+
+// The state of a series, which a new rule does not reset
+const SERIES_STATE_FIELDS = ['openInstance', 'pausedAt', 'endedAt', 'lastRun'];
+
+/**
+ * Builds the new recurrence of a template from a rule sent by a client.
+ * Settings the client leaves out (start, mode, catch-up policy, skipped
+ * occurrences) are kept, as is the state of the series: a paused series
+ * stays paused and skipped occurrences stay skipped.
+ *
+ * @param {object} template The recurring template document.
+ * @param {object|string} input The client-supplied rule.
+ * @returns {object} The new `recurring` sub-document.
+ */
+const buildUpdatedRecurrence = (template, input) => {
+  const current = template.recurring;
+  const spec = typeof input === 'string' ? { rrule: input } : { ...input };
+
+  // Without an explicit start, the new rule takes over from the next due date
+  if (!(spec.startDate || spec.dtStart || spec.nextDueDate) && !/DTSTART/i.test(spec.rrule || '')) {
+    spec.startDate = current.nextDueDate;
+  }
+  spec.mode = spec.mode || current.mode;
+  spec.catchUp = spec.catchUp || current.catchUp;
+  if (spec.exDates === undefined) spec.exDates = current.exDates;
+
+  // Occurrences the job has yet to catch up on are kept
+  const now = new Date();
+  const from = current.nextDueDate && current.nextDueDate < now ? current.nextDueDate : now;
+  const recurring = recurrenceService.normalizeRecurrence(spec, from);
+  SERIES_STATE_FIELDS.forEach(field => {
+    recurring[field] = current[field];
+  });
+  return recurring;
+};
+
+/**
+ * Copies template fields onto the open instances of its series, recording
+ * the change in each instance's history.
+ *
+ * @param {object} template The updated recurring template document.
+ * @param {Array<string>} fields The fields to copy.
+ * @param {string} userId The user editing the series.
+ * @returns {Promise<Array>} The updated instances.
+ */
+const updateOpenInstances = async (template, fields, userId) => {
+  if (fields.length === 0) return [];
+
+  const instances = await findOpenInstances(template._id);
+  for (const instance of instances) {
+    fields.forEach(field => instance.set(field, template.get(field)));
+    instance.recordHistory({
+      action: 'updated',
+      description: `Updated from its recurring series (${fields.join(', ')})`,
+      user: userId,
+      timestamp: new Date(),
+      metadata: { series: template._id, fields },
+    });
+    await instance.save();
+  }
+  return instances;
+};
+
+module.exports = {
+  getSeriesState,
+  endSeries,
+  buildInstance,
+  scheduleNextAfterCompletion,
+  ensureOpenInstance,
+  assertCanReopen,
+  findOpenInstances,
+  pauseSeries,
+  resumeSeries,
+  skipNextOccurrence,
+  previewOccurrences,
+  buildUpdatedRecurrence,
+  updateOpenInstances,
+};
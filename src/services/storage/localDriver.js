@@ -0,0 +1,69 @@
+// src/services/storage/localDriver.js
+
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { Readable } = require('stream');
+
+/**
+ * Storage driver keeping files on the local filesystem, for on-premise and
+ * offline setups. It cannot sign URLs, so downloads are served by the API.
+ *
+ * @param {object} options
+ * @param {string} options.root The directory files are stored under.
+ */
+const createLocalDriver = ({ root }) => {
+  const baseDir = path.resolve(root);
+
+  // Keys are relative paths; anything escaping the root is refused.
+  const resolveKey = (key) => {
+    const filePath = path.resolve(baseDir, key);
+    if (!filePath.startsWith(baseDir + path.sep)) {
+      throw new Error(`Invalid storage key "${key}".`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    canSignUrls: false,
+
+    async put(key, body) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      const source = Buffer.isBuffer(body) ? Readable.from([body]) : body;
+      await pipeline(source, fs.createWriteStream(filePath));
+      return { key };
+    },
+
+    async getStream(key) {
+      const filePath = resolveKey(key);
+      const stats = await fs.promises.stat(filePath);
+      return { stream: fs.createReadStream(filePath), size: stats.size };
+    },
+
+    async stat(key) {
+      try {
+        const stats = await fs.promises.stat(resolveKey(key));
+        return { size: stats.size };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+
+    async getSignedUrl() {
+      throw new Error('The local storage driver cannot sign URLs.');
+    },
+
+    async getSignedUploadUrl() {
+      throw new Error('The local storage driver cannot sign URLs.');
+    },
+  };
+};
+
+module.exports = createLocalDriver;
@@ -0,0 +1,61 @@
+// src/services/storage/memoryDriver.js
+
+const { Readable } = require('stream');
+
+/**
+ * Storage driver keeping files in process memory. Intended for tests and
+ * throwaway development setups: everything is lost on restart.
+ */
+const createMemoryDriver = () => {
+  const files = new Map();
+
+  const readAll = async (body) => {
+    if (Buffer.isBuffer(body)) return body;
+    const chunks = [];
+    for await (const chunk of body) chunks.push(Buffer.from(chunk));
+    return Buffer.concat(chunks);
+  };
+
+  return {
+    name: 'memory',
+    canSignUrls: false,
+
+    async put(key, body, { contentType } = {}) {
+      files.set(key, { data: await readAll(body), contentType });
+      return { key };
+    },
+
+    async getStream(key) {
+      const file = files.get(key);
+      if (!file) {
+        const error = new Error(`No stored file with key "${key}".`);
+        error.code = 'ENOENT';
+        throw error;
+      }
+      return { stream: Readable.from([file.data]), contentType: file.contentType, size: file.data.length };
+    },
+
+    async stat(key) {
+      const file = files.get(key);
+      return file ? { size: file.data.length, contentType: file.contentType } : null;
+    },
+
+    async delete(key) {
+      files.delete(key);
+    },
+
+    async getSignedUrl() {
+      throw new Error('The memory storage driver cannot sign URLs.');
+    },
+
+    async getSignedUploadUrl() {
+      throw new Error('The memory storage driver cannot sign URLs.');
+    },
+
+    // Test helpers
+    has: (key) => files.has(key),
+    clear: () => files.clear(),
+  };
+};
+
+module.exports = createMemoryDriver;
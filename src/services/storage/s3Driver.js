@@ -0,0 +1,102 @@
+// src/services/storage/s3Driver.js
+
+const {
+  S3Client,
+  GetObjectCommand,
+  PutObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+/**
+ * Storage driver keeping files in an S3 bucket (or any S3-compatible store
+ * when an endpoint is given). Uploads and downloads can use presigned URLs,
+ * so files go straight between clients and the bucket.
+ *
+ * @param {object} options
+ * @param {string} options.bucket The bucket name.
+ * @param {string} options.region The bucket's region.
+ * @param {string} [options.endpoint] A custom endpoint (e.g. MinIO).
+ * @param {object} [options.credentials] { accessKeyId, secretAccessKey }; the
+ *   default AWS credential chain is used when omitted.
+ */
+const createS3Driver = ({ bucket, region, endpoint, credentials }) => {
+  if (!bucket) {
+    throw new Error('The S3 storage driver needs a bucket (AWS_S3_BUCKET_NAME).');
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle: Boolean(endpoint),
+    credentials: credentials && credentials.accessKeyId ? credentials : undefined,
+  });
+
+  return {
+    name: 's3',
+    canSignUrls: true,
+
+    async put(key, body, { contentType } = {}) {
+      const upload = new Upload({
+        client,
+        params: { Bucket: bucket, Key: key, Body: body, ContentType: contentType },
+      });
+      const result = await upload.done();
+      return { key, location: result.Location };
+    },
+
+    async getStream(key) {
+      const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return {
+        stream: result.Body,
+        contentType: result.ContentType,
+        size: result.ContentLength,
+      };
+    },
+
+    async stat(key) {
+      try {
+        const result = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return { size: result.ContentLength, contentType: result.ContentType };
+      } catch (error) {
+        if (error.name === 'NotFound' || error.name === 'NoSuchKey') return null;
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    // The signature covers the content type and length, so the client has
+    // to upload exactly the file it announced.
+    async getSignedUploadUrl(key, { contentType, size, expiresIn } = {}) {
+      const command = new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        ContentType: contentType,
+        ContentLength: size,
+      });
+      const url = await getSignedUrl(client, command, {
+        expiresIn,
+        signableHeaders: new Set(['content-type']),
+      });
+      return { method: 'PUT', url, headers: { 'Content-Type': contentType } };
+    },
+
+    async getSignedUrl(key, { expiresIn, fileName } = {}) {
+      const command = new GetObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        ResponseContentDisposition: fileName
+          ? `attachment; filename*=UTF-8''${encodeURIComponent(fileName)}`
+          : undefined,
+      });
+      return getSignedUrl(client, command, { expiresIn });
+    },
+  };
+};
+
+module.exports = createS3Driver;
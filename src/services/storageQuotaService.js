@@ -0,0 +1,359 @@
+// src/services/storageQuotaService.js
+
+const Task = require('../api/models/taskModel');
+const User = require('../api/models/userModel');
+const Workspace = require('../api/models/workspaceModel');
+const storageService = require('./storageService');
+const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
+
+/**
+ * Storage accounting for attachment files.
+ *
+ * Users and workspaces keep a running total of the bytes stored for them
+ * (`storageUsed`). Space is reserved before a file is stored, against the
+ * quota of both the uploading user and the task's workspace, and released
+ * when the file is deleted from storage. A file shared by several versions
+ * or tasks (restored versions, recurring task instances) is counted once and
+ * only deleted once nothing refers to it anymore.
+ *
+ * Quotas default to USER_STORAGE_QUOTA_MB and WORKSPACE_STORAGE_QUOTA_MB and
+ * can be set per user or workspace with `storageQuota`. A quota of 0 means
+ * no limit.
+ */
+
+const MB = 1024 * 1024;
+
+const parseQuota = (value, fallbackMb) => {
+  const mb = Number.parseFloat(value);
+  return Math.round((Number.isFinite(mb) && mb >= 0 ? mb : fallbackMb) * MB);
+};
+
+const USER_STORAGE_QUOTA = parseQuota(process.env.USER_STORAGE_QUOTA_MB, 1024);
+const WORKSPACE_STORAGE_QUOTA = parseQuota(process.env.WORKSPACE_STORAGE_QUOTA_MB, 512);
+
+const SCOPES = {
+  user: { Model: User, defaultQuota: USER_STORAGE_QUOTA, label: 'your' },
+  workspace: { Model: Workspace, defaultQuota: WORKSPACE_STORAGE_QUOTA, label: "this workspace's" },
+};
+
+/**
+ * Formats a number of bytes for error messages (e.g. "12.5 MB").
+ */
+const formatBytes = (bytes) => {
+  const units = ['bytes', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  return `${unit === 0 ? value : value.toFixed(1).replace(/\.0$/, '')} ${units[unit]}`;
+};
+
+/**
+ * Returns the quota of a user or workspace document, in bytes (0: no limit).
+ */
+const getQuota = (scope, doc) =>
+  (doc && doc.storageQuota !== undefined && doc.storageQuota !== null
+    ? doc.storageQuota
+    : SCOPES[scope].defaultQuota);
+
+/**
+ * Returns the usage summary of a user or workspace document.
+ */
+const describeUsage = (scope, doc) => {
+  const quota = getQuota(scope, doc);
+  const used = Math.max(0, (doc && doc.storageUsed) || 0);
+  return {
+    used,
+    quota: quota || null,
+    available: quota ? Math.max(0, quota - used) : null,
+  };
+};
+
+/**
+ * Builds the 413 error for a file that does not fit in a quota.
+ */
+const buildQuotaError = (scope, doc, bytes) => {
+  const usage = describeUsage(scope, doc);
+  return new AppError(
+    `Storage quota exceeded: this file needs ${formatBytes(bytes)}, but only ` +
+    `${formatBytes(usage.available)} of ${SCOPES[scope].label} ${formatBytes(usage.quota)} are left.`,
+    413,
+    { scope, requested: bytes, ...usage }
+  );
+};
+
+/**
+ * Atomically adds bytes to the usage of a user or workspace, unless that
+ * would take it over its quota.
+ * @returns {Promise<object|null>} null on success, otherwise the document
+ *   (for the error message).
+ */
+const reserveFor = async (scope, id, bytes) => {
+  const { Model } = SCOPES[scope];
+  const doc = await Model.findById(id).select('storageUsed storageQuota');
+  if (!doc) return null; // Nothing to account against
+
+  const quota = getQuota(scope, doc);
+  const filter = { _id: id };
+  if (quota) {
+    if (bytes > quota) return doc;
+    filter.$or = [{ storageUsed: { $lte: quota - bytes } }, { storageUsed: null }];
+  }
+  const { modifiedCount } = await Model.updateOne(filter, { $inc: { storageUsed: bytes } });
+  if (modifiedCount > 0) return null;
+  return Model.findById(id).select('storageUsed storageQuota');
+};
+
+/**
+ * Gives space back to a user and/or workspace.
+ * @param {object} owners { userId, workspaceId } (either may be omitted)
+ * @param {number} bytes The number of bytes released.
+ */
+const releaseStorage = async ({ userId, workspaceId }, bytes) => {
+  if (!bytes) return;
+  await Promise.all([
+    userId && User.updateOne({ _id: userId }, { $inc: { storageUsed: -bytes } }),
+    workspaceId && Workspace.updateOne({ _id: workspaceId }, { $inc: { storageUsed: -bytes } }),
+  ]);
+};
+
+/**
+ * Reserves space for a new file, against the quota of the uploading user and
+ * of the task's workspace. Call releaseStorage if the file ends up not
+ * being stored.
+ *
+ * @param {object} owners { userId, workspaceId }
+ * @param {number} bytes The size of the file.
+ * @throws {AppError} 413 when the file does not fit in one of the quotas.
+ */
+const reserveStorage = async ({ userId, workspaceId }, bytes) => {
+  if (!bytes) return;
+
+  const userDoc = await reserveFor('user', userId, bytes);
+  if (userDoc) throw buildQuotaError('user', userDoc, bytes);
+
+  const workspaceDoc = await reserveFor('workspace', workspaceId, bytes);
+  if (workspaceDoc) {
+    await releaseStorage({ userId }, bytes);
+    throw buildQuotaError('workspace', workspaceDoc, bytes);
+  }
+};
+
+/**
+ * Checks, without reserving anything, that a file of the given size would
+ * fit in the quotas (e.g. before handing out a direct upload URL).
+ * @throws {AppError} 413 when it would not.
+ */
+const assertStorageAvailable = async ({ userId, workspaceId }, bytes) => {
+  const [user, workspace] = await Promise.all([
+    User.findById(userId).select('storageUsed storageQuota'),
+    Workspace.findById(workspaceId).select('storageUsed storageQuota'),
+  ]);
+  for (const [scope, doc] of [['user', user], ['workspace', workspace]]) {
+    const { available } = describeUsage(scope, doc);
+    if (doc && available !== null && bytes > available) {
+      throw buildQuotaError(scope, doc, bytes);
+    }
+  }
+};
+
+/**
+ * Returns the distinct stored files of attachments, with every version,
+ * oldest version first so shared files are attributed to their first
+ * uploader.
+ * @param {Array} attachments Attachment subdocuments or version entries.
+ * @returns {Array<object>} { fileKey, storageDriver, fileSize, uploadedBy, thumbnailKey }
+ */
+const getStoredFiles = (attachments) => {
+  const versions = attachments.flatMap(attachment =>
+    (typeof attachment.listVersions === 'function' ? attachment.listVersions().reverse() : [attachment]));
+  const seen = new Set();
+  return versions.filter(file => {
+    if (!file.fileKey || seen.has(file.fileKey)) return false;
+    seen.add(file.fileKey);
+    return true;
+  });
+};
+
+/**
+ * Returns the keys among `fileKeys` that some task (trashed or not) still
+ * refers to, in any version of any attachment.
+ */
+const findReferencedKeys = async (fileKeys) => {
+  if (fileKeys.length === 0) return new Set();
+  // The raw collection is read so trashed tasks are included
+  const tasks = await Task.collection.find(
+    {
+      $or: [
+        { 'attachments.fileKey': { $in: fileKeys } },
+        { 'attachments.versions.fileKey': { $in: fileKeys } },
+      ],
+    },
+    { projection: { 'attachments.fileKey': 1, 'attachments.versions.fileKey': 1 } }
+  ).toArray();
+
+  const referenced = new Set();
+  tasks.forEach(task => (task.attachments || []).forEach(attachment => {
+    [attachment, ...(attachment.versions || [])].forEach(file => {
+      if (fileKeys.includes(file.fileKey)) referenced.add(file.fileKey);
+    });
+  }));
+  return referenced;
+};
+
+/**
+ * Deletes stored files that were removed from a task (with their thumbnails)
+ * and releases their space. Files that another version or task still refers
+ * to are kept. Call this after the task has been saved (or deleted).
+ *
+ * Deletion failures are logged and the space stays accounted for, as the
+ * file is still stored.
+ *
+ * @param {Array} files The removed versions (see getStoredFiles).
+ * @param {object} task The task the files were removed from (for its
+ *   workspace, and its creator as a fallback uploader).
+ * @returns {Promise<number>} The number of bytes released.
+ */
+const deleteStoredFiles = async (files, task) => {
+  const candidates = getStoredFiles(files);
+  const referenced = await findReferencedKeys(candidates.map(file => file.fileKey));
+
+  let released = 0;
+  for (const file of candidates.filter(candidate => !referenced.has(candidate.fileKey))) {
+    try {
+      await storageService.deleteAttachmentFile(file);
+      if (file.thumbnailKey) {
+        await storageService.deleteAttachmentFile({ fileKey: file.thumbnailKey, storageDriver: file.storageDriver });
+      }
+    } catch (error) {
+      logger.error(`Failed to delete stored file ${file.fileKey}: ${error.message}`);
+      continue;
+    }
+    const bytes = file.fileSize || 0;
+    await releaseStorage({ userId: file.uploadedBy || task.user, workspaceId: task.workspace }, bytes);
+    released += bytes;
+  }
+  return released;
+};
+
+/**
+ * Deletes the stored files of a task that no longer exists and releases
+ * their space.
+ * @returns {Promise<number>} The number of bytes released.
+ */
+const releaseTaskStorage = (task) => deleteStoredFiles(task.attachments || [], task);
+
+/**
+ * Returns a user's storage usage, with a breakdown by workspace and by task.
+ * Trashed tasks still hold their files until they are purged, and are
+ * reported as such.
+ *
+ * @param {string} userId The user.
+ * @returns {Promise<object>}
+ */
+const getUsageBreakdown = async (userId) => {
+  const [user, workspaces] = await Promise.all([
+    User.findById(userId).select('storageUsed storageQuota'),
+    Workspace.find({ owner: userId }).select('name type storageUsed storageQuota'),
+  ]);
+  const workspaceIds = workspaces.map(workspace => workspace._id);
+  const fields = 'title workspace deletedAt attachments';
+  const [activeTasks, trashedTasks] = await Promise.all([
+    Task.find({ workspace: { $in: workspaceIds }, 'attachments.0': { $exists: true } }).select(fields),
+    Task.find({ workspace: { $in: workspaceIds }, 'attachments.0': { $exists: true }, deletedAt: { $ne: null } }).select(fields),
+  ]);
+
+  const tasksByWorkspace = new Map(workspaceIds.map(id => [id.toString(), []]));
+  [...activeTasks, ...trashedTasks].forEach(task => {
+    tasksByWorkspace.get(task.workspace.toString()).push({
+      task: task._id,
+      title: task.title,
+      trashed: Boolean(task.deletedAt),
+      attachments: task.attachments.length,
+      files: getStoredFiles(task.attachments).length,
+      bytes: task.getStorageSize(),
+    });
+  });
+
+  const breakdown = workspaces.map(workspace => {
+    const tasks = tasksByWorkspace.get(workspace._id.toString()).sort((a, b) => b.bytes - a.bytes);
+    return {
+      workspace: { _id: workspace._id, name: workspace.name, type: workspace.type },
+      ...describeUsage('workspace', workspace),
+      trashed: tasks.filter(task => task.trashed).reduce((sum, task) => sum + task.bytes, 0),
+      tasks,
+    };
+  }).sort((a, b) => b.used - a.used);
+
+  return {
+    ...describeUsage('user', user),
+    trashed: breakdown.reduce((sum, workspace) => sum + workspace.trashed, 0),
+    workspaces: breakdown,
+  };
+};
+
+/**
+ * Recomputes every user's and workspace's `storageUsed` from the files their
+ * tasks refer to (trashed tasks included). Used to initialize the totals for
+ * files stored before accounting existed, and to correct any drift.
+ *
+ * @returns {Promise<{ users: number, workspaces: number }>} The number of
+ *   users and workspaces whose totals changed.
+ */
+const recalculateUsage = async () => {
+  const userTotals = new Map();
+  const workspaceTotals = new Map();
+  const seen = new Set();
+  const add = (totals, id, bytes) => {
+    if (!id) return;
+    totals.set(id.toString(), (totals.get(id.toString()) || 0) + bytes);
+  };
+
+  const cursor = Task.collection.find(
+    { 'attachments.0': { $exists: true } },
+    { projection: { user: 1, workspace: 1, attachments: 1 } }
+  );
+  for await (const task of cursor) {
+    const files = task.attachments.flatMap(attachment => [...(attachment.versions || []), attachment]);
+    files.forEach(file => {
+      if (!file.fileKey || seen.has(file.fileKey)) return;
+      seen.add(file.fileKey);
+      add(userTotals, file.uploadedBy || task.user, file.fileSize || 0);
+      add(workspaceTotals, task.workspace, file.fileSize || 0);
+    });
+  }
+
+  const apply = async (Model, totals) => {
+    const docs = await Model.find().select('storageUsed');
+    let changed = 0;
+    for (const doc of docs) {
+      const total = totals.get(doc._id.toString()) || 0;
+      if (doc.storageUsed !== total) {
+        await Model.updateOne({ _id: doc._id }, { $set: { storageUsed: total } });
+        changed += 1;
+      }
+    }
+    return changed;
+  };
+
+  return {
+    users: await apply(User, userTotals),
+    workspaces: await apply(Workspace, workspaceTotals),
+  };
+};
+
+module.exports = {
+  USER_STORAGE_QUOTA,
+  WORKSPACE_STORAGE_QUOTA,
+  reserveStorage,
+  assertStorageAvailable,
+  releaseStorage,
+  getStoredFiles,
+  deleteStoredFiles,
+  releaseTaskStorage,
+  getUsageBreakdown,
+  recalculateUsage,
+};
@@ -0,0 +1,250 @@
+// src/services/storageService.js
+
+const path = require('path');
+const AttachmentUpload = require('../api/models/attachmentUploadModel');
+const createS3Driver = require('./storage/s3Driver');
+const createLocalDriver = require('./storage/localDriver');
+const createMemoryDriver = require('./storage/memoryDriver');
+const logger = require('../utils/logger');
+
+/**
+ * File storage for task attachments, behind a driver interface:
+ *
+ *   put(key, body, { contentType, size }) -> { key, location? }
+ *   getStream(key)                        -> { stream, contentType?, size? }
+ *   delete(key)
+ *   getSignedUrl(key, { expiresIn, fileName }) (when `canSignUrls`)
+ *
+ *   getSignedUploadUrl(key, { contentType, size, expiresIn }) (when `canSignUrls`)
+ *   stat(key)                             -> { size, contentType? } or null
+ *
+ * The driver is chosen with STORAGE_DRIVER ('s3', 'local' or 'memory').
+ * Each attachment records the driver it was stored with, so files stored
+ * before a switch can still be read and deleted.
+ */
+
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 's3';
+
+// How long signed download URLs stay valid.
+const SIGNED_URL_TTL_SECONDS = parseInt(process.env.SIGNED_URL_TTL_SECONDS, 10) || 300;
+
+// How long a client has to upload and confirm a direct upload.
+const UPLOAD_URL_TTL_SECONDS = parseInt(process.env.UPLOAD_URL_TTL_SECONDS, 10) || 900;
+
+const DRIVER_FACTORIES = {
+  s3: () => createS3Driver({
+    bucket: process.env.AWS_S3_BUCKET_NAME,
+    region: process.env.AWS_REGION,
+    endpoint: process.env.AWS_S3_ENDPOINT,
+    credentials: {
+      accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+      secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+    },
+  }),
+  local: () => createLocalDriver({
+    root: process.env.LOCAL_STORAGE_PATH || path.join(process.cwd(), 'uploads'),
+  }),
+  memory: () => createMemoryDriver(),
+};
+
+const drivers = new Map();
+
+/**
+ * Returns the storage driver with the given name (the configured one by
+ * default). Drivers are created on first use.
+ * @param {string} [name] The driver name.
+ */
+const getDriver = (name = STORAGE_DRIVER) => {
+  if (!drivers.has(name)) {
+    const factory = DRIVER_FACTORIES[name];
+    if (!factory) {
+      throw new Error(`Unknown storage driver "${name}". Use one of: ${Object.keys(DRIVER_FACTORIES).join(', ')}.`);
+    }
+    drivers.set(name, factory());
+  }
+  return drivers.get(name);
+};
+
+/**
+ * Returns the driver an attachment was stored with. Attachments created
+ * before drivers existed were all stored in S3.
+ */
+const getAttachmentDriver = (attachment) => getDriver(attachment.storageDriver || 's3');
+
+/**
+ * Builds the storage key of a new attachment. The file name is reduced to
+ * characters that are safe in object keys and file paths.
+ */
+const buildAttachmentKey = (userId, taskId, fileName) => {
+  const safeName = path.basename(String(fileName)).replace(/[^\w.\- ]+/g, '_').slice(-200) || 'file';
+  return `user-${userId}/task-${taskId}/${Date.now().toString()}-${safeName}`;
+};
+
+/**
+ * Stores an uploaded file (as parsed by multer) for a task.
+ *
+ * @returns {Promise<object>} The storage fields of the attachment
+ *   (fileKey and storageDriver).
+ */
+const storeAttachment = async (file, userId, taskId) => {
+  const driver = getDriver();
+  const key = buildAttachmentKey(userId, taskId, file.originalname);
+  const result = await driver.put(key, file.buffer, { contentType: file.mimetype, size: file.size });
+  return {
+    fileKey: result.key,
+    storageDriver: driver.name,
+  };
+};
+
+/**
+ * Registers a pending direct upload for a task and returns where the client
+ * should send the file: a presigned URL when the driver can sign URLs,
+ * otherwise the API route that streams the file to storage.
+ *
+ * @param {object} task The task the file will be attached to.
+ * @param {string} userId The uploading user.
+ * @param {object} file { fileName, contentType, fileSize } as declared by the
+ *   client, and the `attachment` it is a new version of (if any).
+ * @returns {Promise<{ upload: object, target: object }>}
+ */
+const createUpload = async (task, userId, { fileName, contentType, fileSize, attachment }) => {
+  const driver = getDriver();
+  const expiresAt = new Date(Date.now() + UPLOAD_URL_TTL_SECONDS * 1000);
+  const upload = await AttachmentUpload.create({
+    task: task._id,
+    user: userId,
+    attachment,
+    fileName,
+    fileKey: buildAttachmentKey(userId, task._id, fileName),
+    storageDriver: driver.name,
+    contentType,
+    fileSize,
+    expiresAt,
+  });
+
+  const target = driver.canSignUrls
+    ? await driver.getSignedUploadUrl(upload.fileKey, {
+      contentType,
+      size: fileSize,
+      expiresIn: UPLOAD_URL_TTL_SECONDS,
+    })
+    : {
+      method: 'PUT',
+      url: `/api/v1/tasks/${task._id}/attachments/uploads/${upload._id}`,
+      headers: { 'Content-Type': contentType },
+    };
+
+  return { upload, target: { ...target, expiresAt } };
+};
+
+/**
+ * Writes the body of an API upload (for drivers that cannot sign URLs).
+ * @param {object} upload The pending upload.
+ * @param {object} stream The file content.
+ */
+const writeUpload = (upload, stream) =>
+  getDriver(upload.storageDriver).put(upload.fileKey, stream, {
+    contentType: upload.contentType,
+    size: upload.fileSize,
+  });
+
+/**
+ * Returns the size (and, when known, type) of an uploaded file, or null if
+ * nothing was uploaded.
+ */
+const statUpload = (upload) => getDriver(upload.storageDriver).stat(upload.fileKey);
+
+/**
+ * Deletes the file of an upload that will not become an attachment.
+ */
+const discardUpload = (upload) => getDriver(upload.storageDriver).delete(upload.fileKey);
+
+/**
+ * Removes the uploads that expired without being confirmed, and their files.
+ * @returns {Promise<number>} The number of removed uploads.
+ */
+const purgeExpiredUploads = async () => {
+  const expired = await AttachmentUpload.find({ expiresAt: { $lte: new Date() } });
+  let purged = 0;
+  for (const upload of expired) {
+    try {
+      await discardUpload(upload);
+      await AttachmentUpload.deleteOne({ _id: upload._id });
+      purged += 1;
+    } catch (error) {
+      // Kept for the next run
+      logger.error(`Failed to purge expired upload ${upload._id} (${upload.fileKey}): ${error.message}`);
+    }
+  }
+  return purged;
+};
+
+/**
+ * Deletes the stored file of an attachment.
+ */
+const deleteAttachmentFile = (attachment) => getAttachmentDriver(attachment).delete(attachment.fileKey);
+
+/**
+ * Reads the whole stored file of an attachment (attachments are at most
+ * MAX_FILE_SIZE bytes, see utils/fileUpload.js).
+ * @returns {Promise<Buffer>}
+ */
+const readAttachmentFile = async (attachment) => {
+  const { stream } = await getAttachmentDriver(attachment).getStream(attachment.fileKey);
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(Buffer.from(chunk));
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Stores the thumbnail of an attachment file next to the file, with the
+ * same driver.
+ * @returns {Promise<string>} The storage key of the thumbnail.
+ */
+const storeThumbnail = async (attachment, data, contentType) => {
+  const key = `${attachment.fileKey}.thumbnail`;
+  await getAttachmentDriver(attachment).put(key, data, { contentType, size: data.length });
+  return key;
+};
+
+/**
+ * Resolves how an attachment is downloaded: a short-lived signed URL when
+ * its driver can sign URLs, otherwise a stream for the API to serve.
+ *
+ * @returns {Promise<{ url: string, expiresAt: Date }|{ stream, contentType, size }>}
+ */
+const getAttachmentDownload = async (attachment) => {
+  const driver = getAttachmentDriver(attachment);
+  if (driver.canSignUrls) {
+    const url = await driver.getSignedUrl(attachment.fileKey, {
+      expiresIn: SIGNED_URL_TTL_SECONDS,
+      fileName: attachment.fileName,
+    });
+    return { url, expiresAt: new Date(Date.now() + SIGNED_URL_TTL_SECONDS * 1000) };
+  }
+
+  const file = await driver.getStream(attachment.fileKey);
+  return {
+    stream: file.stream,
+    contentType: attachment.contentType || file.contentType,
+    size: file.size || attachment.fileSize,
+  };
+};
+
+module.exports = {
+  STORAGE_DRIVER,
+  SIGNED_URL_TTL_SECONDS,
+  UPLOAD_URL_TTL_SECONDS,
+  getDriver,
+  buildAttachmentKey,
+  storeAttachment,
+  createUpload,
+  writeUpload,
+  statUpload,
+  discardUpload,
+  purgeExpiredUploads,
+  deleteAttachmentFile,
+  readAttachmentFile,
+  storeThumbnail,
+  getAttachmentDownload,
+};
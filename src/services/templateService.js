@@ -0,0 +1,144 @@
+// src/services/templateService.js
+
+const { addMinutes, addHours, addDays, addWeeks, addMonths } = require('date-fns');
+const AppError = require('../utils/appError');
+
+// Matches {{ name }} placeholders.
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+// Units accepted in a relative due offset, with their short forms.
+const OFFSET_UNITS = {
+  minute: addMinutes,
+  min: addMinutes,
+  m: addMinutes,
+  hour: addHours,
+  h: addHours,
+  day: addDays,
+  d: addDays,
+  week: addWeeks,
+  w: addWeeks,
+  month: addMonths,
+};
+
+/**
+ * Parses a relative due offset such as "+3 days", "1 week" or "-2h".
+ * @param {string} offset The offset expression.
+ * @returns {{ amount: number, unit: string }|null} Null if it cannot be parsed.
+ */
+const parseDueOffset = (offset) => {
+  if (!offset) return null;
+  const match = String(offset).trim().match(/^([+-]?)\s*(\d+)\s*([a-z]+?)s?$/i);
+  if (!match) return null;
+
+  const unit = match[3].toLowerCase();
+  if (!OFFSET_UNITS[unit]) return null;
+
+  const amount = parseInt(match[2], 10) * (match[1] === '-' ? -1 : 1);
+  return { amount, unit };
+};
+
+/**
+ * Applies a relative due offset to a base date.
+ * @param {Date} base The date the offset is relative to.
+ * @param {string} offset The offset expression.
+ * @returns {Date|null}
+ */
+const applyDueOffset = (base, offset) => {
+  const parsed = parseDueOffset(offset);
+  if (!parsed) return null;
+  return OFFSET_UNITS[parsed.unit](base, parsed.amount);
+};
+
+/**
+ * Lists the placeholder names used in a piece of text.
+ */
+const findPlaceholders = (text) => {
+  if (!text) return [];
+  return [...String(text).matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]);
+};
+
+/**
+ * Replaces the placeholders in a piece of text with their values.
+ */
+const fillPlaceholders = (text, values) => {
+  if (!text) return text;
+  return String(text).replace(PLACEHOLDER_PATTERN, (_, name) => values[name]);
+};
+
+/**
+ * Checks a template's fields for consistency: every placeholder must be a
+ * declared variable or a built-in, and the due offset must be parseable.
+ *
+ * @param {object} template The template document or plain object.
+ * @param {Array<string>} builtIns Variable names provided automatically.
+ */
+const validateTemplate = (template, builtIns = []) => {
+  if (template.dueOffset && !parseDueOffset(template.dueOffset)) {
+    throw new AppError(`Invalid due offset "${template.dueOffset}". Use a form like "+3 days".`, 400);
+  }
+
+  const declared = new Set([...(template.variables || []).map(v => v.name), ...builtIns]);
+  const texts = [
+    template.title,
+    template.description,
+    ...(template.tags || []),
+    ...(template.subTasks || []).map(subTask => subTask.title),
+  ];
+  const undeclared = [...new Set(texts.flatMap(findPlaceholders))].filter(name => !declared.has(name));
+  if (undeclared.length > 0) {
+    throw new AppError(`Undeclared template variable(s): ${undeclared.join(', ')}.`, 400);
+  }
+};
+
+/**
+ * Renders a template into the fields of a new task.
+ *
+ * @param {object} template The template document.
+ * @param {object} values Values for the template variables.
+ * @param {object} builtIns Automatically provided values (e.g. today's date).
+ * @param {Date} baseDate The date the due offset is relative to.
+ * @returns {object} The task fields.
+ */
+const renderTemplate = (template, values = {}, builtIns = {}, baseDate = new Date()) => {
+  const resolved = { ...builtIns };
+  const missing = [];
+
+  (template.variables || []).forEach(variable => {
+    const value = values[variable.name];
+    if (value !== undefined && value !== null && String(value) !== '') {
+      resolved[variable.name] = String(value);
+    } else if (variable.defaultValue !== undefined) {
+      resolved[variable.name] = variable.defaultValue;
+    } else if (variable.required) {
+      missing.push(variable.name);
+    } else {
+      resolved[variable.name] = '';
+    }
+  });
+
+  if (missing.length > 0) {
+    throw new AppError(`Missing value(s) for template variable(s): ${missing.join(', ')}.`, 400);
+  }
+
+  return {
+    title: fillPlaceholders(template.title, resolved).trim(),
+    description: fillPlaceholders(template.description, resolved),
+    priority: template.priority,
+    isKeyTask: template.isKeyTask,
+    tags: (template.tags || [])
+      .map(tag => fillPlaceholders(tag, resolved).trim())
+      .filter(Boolean),
+    subTasks: (template.subTasks || []).map(subTask => ({
+      title: fillPlaceholders(subTask.title, resolved).trim(),
+      isCompleted: false,
+    })),
+    dueDate: template.dueOffset ? applyDueOffset(baseDate, template.dueOffset) : undefined,
+  };
+};
+
+module.exports = {
+  parseDueOffset,
+  applyDueOffset,
+  validateTemplate,
+  renderTemplate,
+};
@@ -0,0 +1,121 @@
+// src/services/timeTrackingService.js
+
+const Task = require('../api/models/taskModel');
+const TimeEntry = require('../api/models/timeEntryModel');
+const logger = require('../utils/logger');
+
+/**
+ * Formats a number of minutes for history descriptions (e.g. "1h 25m").
+ */
+const formatMinutes = (minutes) => {
+  const rounded = Math.round(minutes);
+  const hours = Math.floor(rounded / 60);
+  const rest = rounded % 60;
+  return hours > 0 ? `${hours}h ${rest}m` : `${rest}m`;
+};
+
+/**
+ * Adjusts a task's total time spent and records the change in its history.
+ *
+ * @param {string} taskId The task the time belongs to.
+ * @param {number} deltaMinutes Minutes to add (negative to remove).
+ * @param {string} userId The user logging the time.
+ * @param {string} description A human-readable description for the history.
+ * @param {object} metadata Extra history metadata (e.g. the time entry ID).
+ */
+const recordTimeOnTask = async (taskId, deltaMinutes, userId, description, metadata = {}) => {
+  const task = await Task.findById(taskId);
+  if (!task) return null; // The task may be in the trash; the entry is kept regardless
+
+  const previous = task.timeSpentMinutes || 0;
+  task.timeSpentMinutes = Math.max(0, Math.round((previous + deltaMinutes) * 100) / 100);
+  task.recordHistory({
+    action: 'time_logged',
+    field: 'timeSpentMinutes',
+    oldValue: previous,
+    newValue: task.timeSpentMinutes,
+    description,
+    user: userId,
+    timestamp: new Date(),
+    metadata,
+  });
+  await task.save();
+  return task;
+};
+
+/**
+ * Stops the running timer of a user, if there is one.
+ *
+ * @param {string} userId The user whose timer should be stopped.
+ * @param {object} [filter] Extra conditions, e.g. { task: taskId }.
+ * @returns {Promise<object|null>} The stopped time entry, or null.
+ */
+const stopRunningTimer = async (userId, filter = {}) => {
+  const entry = await TimeEntry.findOne({ user: userId, isRunning: true, ...filter });
+  if (!entry) return null;
+
+  entry.stop();
+  await entry.save();
+
+  await recordTimeOnTask(
+    entry.task,
+    entry.durationMinutes,
+    userId,
+    `Logged ${formatMinutes(entry.durationMinutes)} from a timer`,
+    { timeEntryId: entry._id, source: 'timer' }
+  );
+  return entry;
+};
+
+/**
+ * Starts a timer on a task. Any timer the user already has running (on this
+ * or another task) is stopped first, so a user never has two running timers.
+ *
+ * @param {object} task The task document.
+ * @param {string} userId The user starting the timer.
+ * @param {string} [note] An optional note for the entry.
+ * @returns {Promise<{ entry: object, stoppedEntry: object|null }>}
+ */
+const startTimer = async (task, userId, note) => {
+  const stoppedEntry = await stopRunningTimer(userId);
+
+  const entry = await TimeEntry.create({
+    task: task._id,
+    workspace: task.workspace,
+    user: userId,
+    startedAt: new Date(),
+    note,
+    source: 'timer',
+    isRunning: true,
+  });
+
+  return { entry, stoppedEntry };
+};
+
+/**
+ * Stops every running timer on a task, e.g. when the task is completed.
+ *
+ * @param {string} taskId The task.
+ * @returns {Promise<Array>} The stopped entries.
+ */
+const stopTimersForTask = async (taskId) => {
+  const running = await TimeEntry.find({ task: taskId, isRunning: true }).select('user');
+  const stopped = [];
+  for (const entry of running) {
+    try {
+      const result = await stopRunningTimer(entry.user, { task: taskId });
+      if (result) stopped.push(result);
+    } catch (error) {
+      logger.error(`Failed to stop timer ${entry._id} for task ${taskId}:`, error);
+    }
+  }
+  return stopped;
+};
+
+module.exports = {
+  formatMinutes,
+  recordTimeOnTask,
+  startTimer,
+  stopRunningTimer,
+  stopTimersForTask,
+};
@@ -0,0 +1,155 @@
+// src/services/trashService.js
+
+const Task = require('../api/models/taskModel');
+const TaskHistory = require('../api/models/taskHistoryModel');
+const TaskNote = require('../api/models/taskNoteModel');
+const Mention = require('../api/models/mentionModel');
+const AttachmentContent = require('../api/models/attachmentContentModel');
+const TimeEntry = require('../api/models/timeEntryModel');
+const googleService = require('./googleCalendarService');
+const dependencyService = require('./dependencyService');
+const storageQuotaService = require('./storageQuotaService');
+const logger = require('../utils/logger');
+
+// Number of days a task stays in the trash before it is purged for good.
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+
+/**
+ * Computes the date at which a trashed task will be purged.
+ * @param {Date} deletedAt When the task was moved to the trash.
+ */
+const getPurgeDate = (deletedAt) =>
+  new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Moves a task to the trash.
+ *
+ * The task keeps its notes, history and attachments. Its Google Calendar
+ * event is removed so the trashed task no longer shows up in the calendar,
+ * and any tasks that were only waiting on it are released.
+ *
+ * @param {object} task The task document, loaded with '+googleEventId'.
+ * @param {string} userId The user deleting the task.
+ */
+const moveToTrash = async (task, userId) => {
+  if (task.googleEventId) {
+    try {
+      const oauth2Client = await googleService.getCalendarClient(userId);
+      if (oauth2Client) {
+        await googleService.deleteCalendarEvent(oauth2Client, task.googleEventId);
+      }
+    } catch (error) {
+      logger.error(`Failed to delete Google Calendar event for task ${task._id}: ${error.message}`);
+    }
+    task.googleEventId = undefined;
+  }
+
+  task.deletedAt = new Date();
+  task.deletedBy = userId;
+  task.recordHistory({
+    action: 'deleted',
+    description: `Task "${task.title}" was moved to the trash`,
+    user: userId,
+    timestamp: new Date(),
+  });
+  await task.save();
+
+  await dependencyService.releaseDependents(task, userId);
+};
+
+/**
+ * Restores a task from the trash, recreating its Google Calendar event and
+ * re-blocking dependents that are waiting on it again.
+ *
+ * @param {object} task The trashed task document.
+ * @param {string} userId The user restoring the task.
+ */
+const restoreFromTrash = async (task, userId) => {
+  const deletedAt = task.deletedAt;
+  task.deletedAt = null;
+  task.deletedBy = undefined;
+  task.recordHistory({
+    action: 'restored',
+    description: `Task "${task.title}" was restored from the trash`,
+    user: userId,
+    timestamp: new Date(),
+    metadata: { deletedAt },
+  });
+
+  if (!task.isRecurringTemplate && task.dueDate) {
+    try {
+      const oauth2Client = await googleService.getCalendarClient(userId);
+      if (oauth2Client) {
+        const event = await googleService.createCalendarEvent(oauth2Client, {
+          title: task.title,
+          description: task.description,
+          dueDate: task.dueDate.toISOString(),
+        });
+        task.googleEventId = event.id;
+      }
+    } catch (error) {
+      logger.error(`Failed to recreate Google Calendar event for task ${task._id}: ${error.message}`);
+    }
+  }
+  await task.save();
+
+  if (!task.isDone()) {
+    const dependents = await Task.find({ blockedBy: task._id });
+    for (const dependent of dependents) {
+      if (await dependencyService.blockIfNeeded(dependent, userId)) {
+        await dependent.save();
+      }
+    }
+  }
+};
+
+/**
+ * Permanently removes a trashed task, along with its notes, mentions,
+ * history, time entries and attachments, and detaches it from the dependency graph.
+ * The attachment files are deleted from storage (unless another task still
+ * uses them) and their space is released.
+ * @param {object} task The trashed task document.
+ */
+const purgeTask = async (task) => {
+  await dependencyService.detachTask(task, task.deletedBy || task.user);
+  const { deletedCount } = await Task.deleteOne({ _id: task._id, deletedAt: { $ne: null } });
+  if (deletedCount > 0) {
+    await Promise.all([
+      TaskNote.deleteMany({ task: task._id }),
+      Mention.deleteMany({ task: task._id }),
+      TaskHistory.deleteMany({ task: task._id }),
+      AttachmentContent.deleteMany({ task: task._id }),
+      TimeEntry.deleteMany({ task: task._id }),
+    ]);
+    await storageQuotaService.releaseTaskStorage(task);
+  }
+};
+
+/**
+ * Purges every task that has been in the trash longer than the retention period.
+ * @returns {Promise<number>} The number of purged tasks.
+ */
+const purgeExpiredTasks = async () => {
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const expiredTasks = await Task.find({ deletedAt: { $ne: null, $lte: cutoff } });
+
+  let purged = 0;
+  for (const task of expiredTasks) {
+    try {
+      await purgeTask(task);
+      purged += 1;
+    } catch (error) {
+      logger.error(`Failed to purge trashed task ${task._id}: ${error.message}`);
+    }
+  }
+  return purged;
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  getPurgeDate,
+  moveToTrash,
+  restoreFromTrash,
+  purgeTask,
+  purgeExpiredTasks,
+};
@@ -0,0 +1,133 @@
+// src/services/workspaceService.js
+
+const Task = require('../api/models/taskModel');
+const Meeting = require('../api/models/meetingModel');
+const trashService = require('./trashService');
+const storageQuotaService = require('./storageQuotaService');
+const AppError = require('../utils/appError');
+
+/**
+ * Moves or deletes the tasks of a workspace that is being deleted.
+ *
+ * Both operations go through the tasks one at a time, like the bulk task
+ * operations do, so the task middleware keeps statuses, ranks, history,
+ * extracted attachment text and storage usage consistent. Trashed tasks are
+ * included: they would otherwise be left pointing at a workspace that no
+ * longer exists.
+ */
+
+/**
+ * Loads every task of a workspace, trashed ones included.
+ * @param {string} workspaceId The workspace.
+ */
+const findAllTasks = async (workspaceId) => {
+  const [active, trashed] = await Promise.all([
+    Task.find({ workspace: workspaceId }).select('+googleEventId'),
+    Task.find({ workspace: workspaceId, deletedAt: { $ne: null } }).select('+googleEventId'),
+  ]);
+  return [...active, ...trashed];
+};
+
+/**
+ * Counts the tasks of a workspace, trashed ones included.
+ * @param {string} workspaceId The workspace.
+ * @returns {Promise<number>}
+ */
+const countTasks = (workspaceId) => Task.collection.countDocuments({ workspace: workspaceId });
+
+/**
+ * Counts the meetings of a workspace.
+ * @param {string} workspaceId The workspace.
+ * @returns {Promise<number>}
+ */
+const countMeetings = (workspaceId) => Meeting.countDocuments({ workspace: workspaceId });
+
+/**
+ * Checks that the attachments of tasks moving into a workspace fit in its
+ * storage quota. The task model carries their usage over when each task is
+ * saved in its new workspace; the owner's own usage does not change. Files
+ * shared by several tasks are counted once (see Task.getMovedStorageSize).
+ *
+ * @param {object} target The workspace receiving the tasks.
+ * @param {Array} tasks The task documents being moved.
+ * @throws {AppError} 413 when the attachments do not fit.
+ */
+const assertStorageForMove = async (target, tasks) => {
+  const tasksBySource = new Map();
+  tasks.forEach(task => {
+    const source = task.workspace.toString();
+    tasksBySource.set(source, [...(tasksBySource.get(source) || []), task]);
+  });
+  let bytes = 0;
+  for (const [source, sourceTasks] of tasksBySource) {
+    bytes += await Task.getMovedStorageSize(sourceTasks, source);
+  }
+  try {
+    await storageQuotaService.assertStorageAvailable({ workspaceId: target._id }, bytes);
+  } catch (error) {
+    if (error.statusCode !== 413) throw error;
+    throw new AppError(
+      `The "${target.name}" workspace does not have enough storage left for the attachments of ${tasks.length === 1 ? 'this task' : 'these tasks'}.`,
+      413,
+      error.data
+    );
+  }
+};
+
+/**
+ * Moves every task of a workspace to another workspace. Tasks in a status the
+ * target's workflow does not have keep their stage of the workflow (see the
+ * task model). The workspace's meetings follow them. The task model records
+ * the move in each task's history and carries the tasks' history, mentions,
+ * time entries and attachments' storage over to the target.
+ *
+ * @param {object} source The workspace being deleted.
+ * @param {object} target The workspace receiving the tasks.
+ * @returns {Promise<number>} The number of moved tasks.
+ * @throws {AppError} 413 when the attachments do not fit in the target's quota.
+ */
+const moveTasks = async (source, target) => {
+  const tasks = await findAllTasks(source._id);
+
+  await assertStorageForMove(target, tasks);
+
+  for (const task of tasks) {
+    task.workspace = target._id;
+    await task.save();
+  }
+
+  await Meeting.updateMany({ workspace: source._id }, { workspace: target._id });
+
+  return tasks.length;
+};
+
+/**
+ * Permanently deletes every task of a workspace, as if each were moved to the
+ * trash and purged, along with the workspace's meetings.
+ *
+ * @param {object} workspace The workspace being deleted.
+ * @param {string} userId The user deleting the workspace.
+ * @returns {Promise<number>} The number of deleted tasks.
+ */
+const deleteTasks = async (workspace, userId) => {
+  const tasks = await findAllTasks(workspace._id);
+
+  for (const task of tasks) {
+    if (!task.deletedAt) {
+      await trashService.moveToTrash(task, userId);
+    }
+    await trashService.purgeTask(task);
+  }
+
+  await Meeting.deleteMany({ workspace: workspace._id });
+
+  return tasks.length;
+};
+
+module.exports = {
+  countTasks,
+  countMeetings,
+  assertStorageForMove,
+  moveTasks,
+  deleteTasks,
+};
@@ -14,11 +14,14 @@ class AppError extends Error {
      * Creates an instance of AppError.
      * @param {string} message The error message that will be sent to the client.
      * @param {number} statusCode The HTTP status code associated with this error (e.g., 404, 400).
+     * @param {object} [data] Optional extra details sent to the client alongside the message
+     * (e.g., the current server state on a 409 conflict).
      */
-    constructor(message, statusCode) {
+    constructor(message, statusCode, data) {
       super(message);
   
       this.statusCode = statusCode;
+      if (data !== undefined) this.data = data;
       // Determine the status based on the status code ('fail' for 4xx, 'error' for 5xx).
       this.status = `${statusCode}`.startsWith('4') ? 'fail' : 'error';
       // This flag helps us differentiate our custom operational errors from other bugs.
@@ -0,0 +1,35 @@
+// src/utils/fileUpload.js
+const multer = require('multer');
+const AppError = require('./appError');
+
+// The file types that can be attached to tasks, and their maximum size.
+const ALLOWED_TYPES = [
+  'image/jpeg',
+  'image/png',
+  'image/gif',
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'text/plain',
+];
+const MAX_FILE_SIZE = 1024 * 1024 * 15; // 15MB
+
+const fileFilter = (req, file, cb) => {
+  if (ALLOWED_TYPES.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new AppError('Invalid file type. Please upload a valid document or image.', 400), false);
+  }
+};
+
+// Files are kept in memory and handed to the configured storage driver
+// (see services/storageService.js).
+const upload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: fileFilter,
+  limits: {
+    fileSize: MAX_FILE_SIZE,
+  },
+});
+
+module.exports = { upload, ALLOWED_TYPES, MAX_FILE_SIZE };
@@ -0,0 +1,49 @@
+// src/utils/markdown.js
+
+const { marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+
+/**
+ * Markdown rendering for user-written content (e.g. task notes).
+ *
+ * Content is rendered with GitHub-flavoured Markdown and the resulting HTML
+ * is sanitized, so raw HTML in the source (scripts, event handlers,
+ * `javascript:` links, ...) never reaches clients.
+ */
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [...sanitizeHtml.defaults.allowedTags, 'del', 'input'],
+  allowedAttributes: {
+    a: ['href', 'title', 'target', 'rel'],
+    code: ['class'],
+    // Task list checkboxes ("- [x] done")
+    input: ['type', 'checked', 'disabled'],
+    ol: ['start'],
+    th: ['align'],
+    td: ['align'],
+  },
+  allowedClasses: {
+    code: [/^language-[\w-]+$/],
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  // Links open outside the app and do not leak the referrer
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { target: '_blank', rel: 'noopener noreferrer nofollow' }),
+  },
+  exclusiveFilter: frame => frame.tag === 'input' && frame.attribs.type !== 'checkbox',
+};
+
+/**
+ * Renders Markdown to sanitized HTML.
+ * @param {string} content The Markdown source.
+ * @returns {string} Safe HTML.
+ */
+const renderMarkdown = (content) => {
+  if (!content) return '';
+  const html = marked.parse(String(content), { gfm: true, breaks: true, async: false });
+  return sanitizeHtml(html, SANITIZE_OPTIONS).trim();
+};
+
+module.exports = {
+  renderMarkdown,
+};
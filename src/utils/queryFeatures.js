@@ -0,0 +1,317 @@
+// src/utils/queryFeatures.js
+
+const mongoose = require('mongoose');
+const AppError = require('./appError');
+
+/**
+ * Helpers for turning request query strings into safe MongoDB queries.
+ *
+ * Filters use a bracket syntax parsed by Express's query parser, for example
+ * `dueDate[lte]=2024-05-01`, `priority[in]=High,Critical` or `tags[all]=a,b`.
+ * Only whitelisted fields and operators are accepted, and every value is cast
+ * to the field's declared type before it reaches the database.
+ */
+
+// Maps the public operator names onto their MongoDB equivalents.
+const OPERATORS = {
+  eq: '$eq',
+  ne: '$ne',
+  gt: '$gt',
+  gte: '$gte',
+  lt: '$lt',
+  lte: '$lte',
+  in: '$in',
+  nin: '$nin',
+  all: '$all',
+  exists: '$exists',
+};
+
+// Operators whose value is a comma-separated list.
+const LIST_OPERATORS = ['in', 'nin', 'all'];
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+/**
+ * Casts a raw query-string value to the given field type.
+ * @param {string} value The raw value.
+ * @param {string} type One of 'string', 'number', 'boolean', 'date', 'objectId'.
+ * @param {string} field The field name, used in error messages.
+ */
+const castValue = (value, type, field) => {
+  if (value === null || value === undefined) return value;
+  const raw = String(value).trim();
+
+  switch (type) {
+    case 'number': {
+      const number = Number(raw);
+      if (raw === '' || Number.isNaN(number)) {
+        throw new AppError(`Invalid number for "${field}": ${raw}`, 400);
+      }
+      return number;
+    }
+    case 'boolean':
+      if (raw !== 'true' && raw !== 'false') {
+        throw new AppError(`Invalid boolean for "${field}": ${raw}`, 400);
+      }
+      return raw === 'true';
+    case 'date': {
+      const date = new Date(raw);
+      if (Number.isNaN(date.getTime())) {
+        throw new AppError(`Invalid date for "${field}": ${raw}`, 400);
+      }
+      return date;
+    }
+    case 'objectId':
+      if (!mongoose.isValidObjectId(raw)) {
+        throw new AppError(`Invalid ID for "${field}": ${raw}`, 400);
+      }
+      return new mongoose.Types.ObjectId(raw);
+    default:
+      return raw;
+  }
+};
+
+/**
+ * Builds a MongoDB filter object from the request query.
+ *
+ * @param {object} query The parsed request query (with reserved keys removed).
+ * @param {object} fieldTypes A whitelist mapping field names to their types.
+ * @returns {object} A MongoDB filter.
+ */
+const buildFilter = (query, fieldTypes) => {
+  const filter = {};
+
+  Object.entries(query).forEach(([field, condition]) => {
+    const type = fieldTypes[field];
+    if (!type) {
+      throw new AppError(`Filtering on "${field}" is not supported.`, 400);
+    }
+
+    // Plain `field=value` is an equality match
+    if (typeof condition !== 'object' || condition === null || Array.isArray(condition)) {
+      filter[field] = castValue(condition, type, field);
+      return;
+    }
+
+    const clause = {};
+    Object.entries(condition).forEach(([op, value]) => {
+      if (!OPERATORS[op]) {
+        throw new AppError(`Unsupported filter operator "${op}" on "${field}".`, 400);
+      }
+      if (op === 'exists') {
+        clause.$exists = castValue(value, 'boolean', field);
+      } else if (LIST_OPERATORS.includes(op)) {
+        clause[OPERATORS[op]] = String(value)
+          .split(',')
+          .filter(item => item.trim() !== '')
+          .map(item => castValue(item, type, field));
+      } else {
+        clause[OPERATORS[op]] = castValue(value, type, field);
+      }
+    });
+    filter[field] = clause;
+  });
+
+  return filter;
+};
+
+/**
+ * Parses a `sort` query value such as "-dueDate,priority" into an ordered
+ * list of [field, direction] pairs. `_id` is always appended as a tiebreaker
+ * so that cursors are stable.
+ *
+ * @param {string} sortParam The raw sort parameter.
+ * @param {object} fieldTypes The whitelist of sortable fields.
+ * @param {string} defaultSort The sort to use when none is given.
+ */
+const parseSort = (sortParam, fieldTypes, defaultSort = '-createdAt') => {
+  const spec = (sortParam || defaultSort)
+    .split(',')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => {
+      const direction = part.startsWith('-') ? -1 : 1;
+      const field = part.replace(/^[-+]/, '');
+      if (field !== '_id' && !fieldTypes[field]) {
+        throw new AppError(`Sorting on "${field}" is not supported.`, 400);
+      }
+      return [field, direction];
+    });
+
+  if (!spec.some(([field]) => field === '_id')) {
+    const lastDirection = spec.length > 0 ? spec[spec.length - 1][1] : -1;
+    spec.push(['_id', lastDirection]);
+  }
+  return spec;
+};
+
+/**
+ * Converts a parsed sort spec into a Mongoose sort object.
+ */
+const toSortObject = (sortSpec) =>
+  sortSpec.reduce((acc, [field, direction]) => {
+    acc[field] = direction;
+    return acc;
+  }, {});
+
+/**
+ * Encodes the sort-key values of a document into an opaque cursor string.
+ */
+const encodeCursor = (doc, sortSpec) => {
+  const values = sortSpec.map(([field]) => {
+    const value = typeof doc.get === 'function' ? doc.get(field) : doc[field];
+    return value === undefined ? null : value;
+  });
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+};
+
+/**
+ * Decodes a cursor string back into typed sort-key values.
+ */
+const decodeCursor = (cursor, sortSpec, fieldTypes) => {
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new AppError('Invalid pagination cursor.', 400);
+  }
+  if (!Array.isArray(values) || values.length !== sortSpec.length) {
+    throw new AppError('Invalid pagination cursor.', 400);
+  }
+  return values.map((value, i) => {
+    const [field] = sortSpec[i];
+    const type = field === '_id' ? 'objectId' : fieldTypes[field];
+    return value === null ? null : castValue(value, type, field);
+  });
+};
+
+/**
+ * Builds the condition matching a value strictly after `value` in the given
+ * direction. MongoDB sorts missing/null values before everything else, which
+ * this takes into account. Returns null when nothing can come after.
+ */
+const afterCondition = (field, direction, value) => {
+  if (value === null) {
+    return direction === 1 ? { [field]: { $ne: null } } : null;
+  }
+  if (direction === 1) {
+    return { [field]: { $gt: value } };
+  }
+  return { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+/**
+ * Builds the keyset condition that selects documents after the cursor.
+ *
+ * For a sort on (a, b, _id) this produces:
+ *   a > A  OR  (a = A AND b > B)  OR  (a = A AND b = B AND _id > ID)
+ */
+const buildCursorCondition = (cursorValues, sortSpec) => {
+  const branches = [];
+
+  sortSpec.forEach(([field, direction], i) => {
+    const after = afterCondition(field, direction, cursorValues[i]);
+    if (!after) return;
+
+    const equalities = sortSpec.slice(0, i).map(([prevField], j) => ({
+      [prevField]: cursorValues[j],
+    }));
+    branches.push(equalities.length > 0 ? { $and: [...equalities, after] } : after);
+  });
+
+  return branches.length > 0 ? { $or: branches } : { _id: null };
+};
+
+/**
+ * Parses a `fields` query value into a projection string, refusing fields
+ * that are hidden by default.
+ *
+ * @param {string} fieldsParam A comma-separated list of fields.
+ * @param {Array<string>} hiddenFields Fields that may never be selected.
+ * @param {Array<string>} requiredFields Fields always included (e.g. sort keys).
+ */
+const parseFields = (fieldsParam, hiddenFields = [], requiredFields = []) => {
+  if (!fieldsParam) return null;
+
+  const fields = fieldsParam
+    .split(',')
+    .map(field => field.trim().replace(/^\+/, ''))
+    .filter(Boolean);
+
+  const forbidden = fields.find(field => hiddenFields.includes(field.replace(/^-/, '')));
+  if (forbidden) {
+    throw new AppError(`Field "${forbidden}" cannot be selected.`, 400);
+  }
+
+  const isExclusion = fields.every(field => field.startsWith('-'));
+  if (!isExclusion && fields.some(field => field.startsWith('-'))) {
+    throw new AppError('Cannot mix included and excluded fields.', 400);
+  }
+
+  if (isExclusion) {
+    return fields.filter(field => !requiredFields.includes(field.slice(1))).join(' ');
+  }
+  return [...new Set([...fields, ...requiredFields])].join(' ');
+};
+
+/**
+ * Parses the `limit` query value, clamping it to a sensible range.
+ */
+const parseLimit = (limitParam, defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT) => {
+  const limit = parseInt(limitParam, 10);
+  if (Number.isNaN(limit) || limit < 1) return defaultLimit;
+  return Math.min(limit, maxLimit);
+};
+
+/**
+ * Runs a cursor-paginated query.
+ *
+ * @param {object} Model The Mongoose model to query.
+ * @param {object} filter The base filter (ownership, user filters, etc.).
+ * @param {object} options
+ * @param {Array} options.sortSpec The parsed sort spec (see parseSort).
+ * @param {object} options.fieldTypes The field type whitelist, for cursor decoding.
+ * @param {string} [options.cursor] The cursor returned by a previous page.
+ * @param {number} [options.page] A 1-based page number, used when no cursor is given.
+ * @param {number} options.limit The page size.
+ * @param {string} [options.select] A projection string.
+ * @param {Function} [options.decorate] Receives the query to add populate() etc.
+ * @returns {Promise<{ docs: Array, total: number, nextCursor: string|null }>}
+ */
+const paginate = async (Model, filter, options) => {
+  const { sortSpec, fieldTypes, cursor, page, limit, select, decorate } = options;
+
+  const pageFilter = cursor
+    ? { $and: [filter, buildCursorCondition(decodeCursor(cursor, sortSpec, fieldTypes), sortSpec)] }
+    : filter;
+
+  let query = Model.find(pageFilter).sort(toSortObject(sortSpec)).limit(limit + 1);
+  if (!cursor && page && page > 1) {
+    query = query.skip((page - 1) * limit);
+  }
+  if (select) query = query.select(select);
+  if (decorate) query = decorate(query);
+
+  const [docs, total] = await Promise.all([query, Model.countDocuments(filter)]);
+
+  const hasMore = docs.length > limit;
+  if (hasMore) docs.pop();
+
+  return {
+    docs,
+    total,
+    nextCursor: hasMore ? encodeCursor(docs[docs.length - 1], sortSpec) : null,
+  };
+};
+
+module.exports = {
+  buildFilter,
+  parseSort,
+  parseFields,
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  buildCursorCondition,
+  paginate,
+};
@@ -0,0 +1,256 @@
+// src/utils/quickAddParser.js
+
+const chrono = require('chrono-node');
+
+/**
+ * Natural-language parser for quick-add task entry.
+ *
+ * Recognizes, anywhere in the text:
+ * - priority markers: `!low`, `!medium`, `!high`, `!critical`, `!!` (High), `!!!` (Critical)
+ * - tags: `#release`
+ * - a workspace: `@Business` or `@"Side Project"`
+ * - the key-task flag: `!key` or a standalone `*`
+ * - recurrence phrases: "every other Friday", "every Mon, Wed and Fri",
+ *   "every 2 weeks", "every month on the 15th", "every last business day of the month", ...
+ * - a due date (or, for recurring tasks, the start date) understood by chrono
+ * - a description after `//`
+ * Whatever is left is the title.
+ *
+ * Every match is reported as a span ({ field, start, end, text, value }) with
+ * offsets into the original text, so clients can highlight what was recognized.
+ */
+
+const PRIORITY_MARKERS = {
+  '!!': 'High',
+  '!!!': 'Critical',
+  low: 'Low',
+  med: 'Medium',
+  medium: 'Medium',
+  high: 'High',
+  crit: 'Critical',
+  critical: 'Critical',
+  urgent: 'Critical',
+};
+
+const WEEKDAYS = {
+  mo: 'MO', mon: 'MO', monday: 'MO',
+  tu: 'TU', tue: 'TU', tues: 'TU', tuesday: 'TU',
+  we: 'WE', wed: 'WE', wednesday: 'WE',
+  th: 'TH', thu: 'TH', thur: 'TH', thurs: 'TH', thursday: 'TH',
+  fr: 'FR', fri: 'FR', friday: 'FR',
+  sa: 'SA', sat: 'SA', saturday: 'SA',
+  su: 'SU', sun: 'SU', sunday: 'SU',
+};
+const BUSINESS_DAYS = ['MO', 'TU', 'WE', 'TH', 'FR'];
+
+const ORDINALS = {
+  first: 1, '1st': 1,
+  second: 2, '2nd': 2,
+  third: 3, '3rd': 3,
+  fourth: 4, '4th': 4,
+  last: -1,
+};
+
+const WEEKDAY = '(?:mon(?:day)?|tue(?:s(?:day)?)?|wed(?:nesday)?|thu(?:r(?:s(?:day)?)?)?|fri(?:day)?|sat(?:urday)?|sun(?:day)?)s?';
+const ORDINAL = '(first|second|third|fourth|1st|2nd|3rd|4th|last)';
+const UNITS = { day: 'daily', week: 'weekly', month: 'monthly', year: 'yearly' };
+
+// Words joining a date to the title ("due Friday", "starting tomorrow") that
+// belong to the date span rather than the title.
+const DATE_LEAD_IN = /(?:^|\s)(by|on|at|due|before|until|starting|from|beginning)\s+$/i;
+
+const toWeekday = (word) => WEEKDAYS[word.toLowerCase().replace(/s$/, '')] || WEEKDAYS[word.toLowerCase()];
+
+/**
+ * Builds a monthly rule on the n-th (or last) weekday or business day.
+ */
+const monthlyByPosition = (ordinal, day) => {
+  const position = ORDINALS[ordinal.toLowerCase()];
+  if (/^(business\s+day|weekday)$/i.test(day)) {
+    return { frequency: 'monthly', byDay: BUSINESS_DAYS, bySetPos: [position] };
+  }
+  return { frequency: 'monthly', byDay: [`${position}${toWeekday(day)}`] };
+};
+
+/**
+ * Recurrence phrases, tried in order. Each builds the structured form
+ * understood by recurrenceService.normalizeRecurrence.
+ */
+const RECURRENCE_PATTERNS = [
+  {
+    // "every last business day of the month", "every 2nd Tuesday of the month"
+    pattern: new RegExp(`\\bevery\\s+${ORDINAL}\\s+(business\\s+day|weekday|${WEEKDAY})\\s+of\\s+(?:the|every|each)\\s+month\\b`, 'i'),
+    build: (m) => monthlyByPosition(m[1], m[2]),
+  },
+  {
+    // "the 2nd Tuesday of every month", "last weekday of each month"
+    pattern: new RegExp(`\\b(?:(?:on\\s+)?the\\s+)?${ORDINAL}\\s+(business\\s+day|weekday|${WEEKDAY})\\s+of\\s+(?:every|each)\\s+month\\b`, 'i'),
+    build: (m) => monthlyByPosition(m[1], m[2]),
+  },
+  {
+    // "every month on the 15th", "monthly on the 1st", "on the 15th of every month"
+    pattern: /\b(?:(?:every\s+month|monthly)\s+on\s+the\s+(\d{1,2})(?:st|nd|rd|th)?|on\s+the\s+(\d{1,2})(?:st|nd|rd|th)?\s+of\s+(?:every|each)\s+month)\b/i,
+    build: (m) => ({ frequency: 'monthly', byMonthDay: [parseInt(m[1] || m[2], 10)] }),
+  },
+  {
+    // "every weekday", "every business day"
+    pattern: /\bevery\s+(?:weekday|business\s+day|work\s*day)\b/i,
+    build: () => ({ frequency: 'weekly', byDay: BUSINESS_DAYS }),
+  },
+  {
+    // "every other Friday", "every Mon, Wed and Fri", "every 2 Tuesdays"
+    pattern: new RegExp(`\\bevery\\s+(other\\s+|\\d+\\s+)?(${WEEKDAY}(?:(?:\\s*,\\s*|\\s+and\\s+|\\s*&\\s*)${WEEKDAY})*)\\b`, 'i'),
+    build: (m) => ({
+      frequency: 'weekly',
+      interval: m[1] ? (/other/i.test(m[1]) ? 2 : parseInt(m[1], 10)) : 1,
+      byDay: [...new Set(m[2].split(/\s*,\s*|\s+and\s+|\s*&\s*/i).map(toWeekday))],
+    }),
+  },
+  {
+    // "every day", "every other week", "every 3 months"
+    pattern: /\bevery\s+(other\s+|\d+\s+)?(day|week|month|year)s?\b/i,
+    build: (m) => ({
+      frequency: UNITS[m[2].toLowerCase()],
+      interval: m[1] ? (/other/i.test(m[1]) ? 2 : parseInt(m[1], 10)) : 1,
+    }),
+  },
+  {
+    // "daily", "weekly", ... only at the end, so a title like "Write weekly report" is left alone
+    pattern: /\b(daily|weekly|monthly|yearly|annually)\s*$/i,
+    build: (m) => ({ frequency: m[1].toLowerCase() === 'annually' ? 'yearly' : m[1].toLowerCase() }),
+  },
+];
+
+/**
+ * Blanks out a span of the working copy so later matchers skip it while
+ * offsets stay aligned with the original text.
+ */
+const mask = (text, start, end) => text.slice(0, start) + ' '.repeat(end - start) + text.slice(end);
+
+/**
+ * Parses quick-add text into task fields.
+ *
+ * @param {string} text The raw input.
+ * @param {object} [options]
+ * @param {Date} [options.referenceDate] The date relative expressions are resolved against.
+ * @returns {object} The recognized fields and their spans.
+ */
+const parseQuickAdd = (text, { referenceDate = new Date() } = {}) => {
+  const input = String(text);
+  const spans = [];
+  const result = {
+    title: '',
+    description: undefined,
+    priority: undefined,
+    tags: [],
+    workspace: undefined,
+    isKeyTask: false,
+    dueDate: undefined,
+    recurring: undefined,
+  };
+
+  const addSpan = (field, start, end, value) => {
+    spans.push({ field, start, end, text: input.slice(start, end), value });
+  };
+
+  // --- Description: everything after a standalone '//' (URLs are left alone) ---
+  let working = input;
+  const descriptionMatch = working.match(/(^|\s)\/\/(?!\S*\.\S)/);
+  if (descriptionMatch) {
+    const start = descriptionMatch.index + descriptionMatch[1].length;
+    const description = input.slice(start + 2).trim();
+    if (description) result.description = description;
+    addSpan('description', start, input.length, description);
+    working = mask(working, start, input.length);
+  }
+
+  // --- Token markers ---
+  const scan = (pattern, handler) => {
+    const regex = new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`);
+    let match;
+    while ((match = regex.exec(working)) !== null) {
+      const start = match.index + match[1].length;
+      const end = match.index + match[0].length;
+      handler(match, start, end);
+    }
+  };
+  const markers = [];
+
+  scan(/(^|\s)(!{2,3}|!(low|med|medium|high|crit|critical|urgent))(?=\s|$)/iu, (m, start, end) => {
+    const priority = PRIORITY_MARKERS[(m[3] || m[2]).toLowerCase()];
+    result.priority = priority;
+    markers.push(['priority', start, end, priority]);
+  });
+  scan(/(^|\s)(!key|\*)(?=\s|$)/iu, (m, start, end) => {
+    result.isKeyTask = true;
+    markers.push(['isKeyTask', start, end, true]);
+  });
+  scan(/(^|\s)#([\p{L}\p{N}_-]+)/u, (m, start, end) => {
+    if (!result.tags.includes(m[2])) result.tags.push(m[2]);
+    markers.push(['tags', start, end, m[2]]);
+  });
+  scan(/(^|\s)@(?:"([^"]+)"|([\p{L}\p{N}_-]+))/u, (m, start, end) => {
+    result.workspace = (m[2] || m[3]).trim();
+    markers.push(['workspace', start, end, result.workspace]);
+  });
+  markers.forEach(([field, start, end, value]) => {
+    addSpan(field, start, end, value);
+    working = mask(working, start, end);
+  });
+
+  // --- Recurrence ---
+  for (const { pattern, build } of RECURRENCE_PATTERNS) {
+    const match = working.match(pattern);
+    if (match) {
+      result.recurring = build(match);
+      addSpan('recurring', match.index, match.index + match[0].length, result.recurring);
+      working = mask(working, match.index, match.index + match[0].length);
+      break;
+    }
+  }
+
+  // --- Date ---
+  const [dateMatch] = chrono.parse(working, referenceDate, { forwardDate: true });
+  if (dateMatch) {
+    let start = dateMatch.index;
+    const end = dateMatch.index + dateMatch.text.length;
+    const leadIn = working.slice(0, start).match(DATE_LEAD_IN);
+    if (leadIn) start = leadIn.index + leadIn[0].indexOf(leadIn[1]);
+
+    const date = dateMatch.start.date();
+    const field = result.recurring ? 'startDate' : 'dueDate';
+    if (result.recurring) {
+      result.recurring.startDate = date;
+    } else {
+      result.dueDate = date;
+    }
+    addSpan(field, start, end, date);
+    working = mask(working, start, end);
+  }
+
+  // --- Title: whatever was not recognized (possibly in several pieces) ---
+  result.title = working.replace(/\s+/g, ' ').trim();
+  const covered = new Array(input.length).fill(false);
+  spans.forEach(span => covered.fill(true, span.start, span.end));
+  let runStart = null;
+  for (let i = 0; i <= input.length; i += 1) {
+    if (i < input.length && !covered[i]) {
+      if (runStart === null) runStart = i;
+      continue;
+    }
+    if (runStart !== null) {
+      const piece = input.slice(runStart, i);
+      const start = runStart + (piece.length - piece.trimStart().length);
+      const end = i - (piece.length - piece.trimEnd().length);
+      if (end > start) addSpan('title', start, end, input.slice(start, end));
+      runStart = null;
+    }
+  }
+
+  result.spans = spans.sort((a, b) => a.start - b.start);
+  return result;
+};
+
+module.exports = {
+  parseQuickAdd,
+};
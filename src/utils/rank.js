@@ -0,0 +1,56 @@
+// src/utils/rank.js
+
+/**
+ * Sparse numeric ranking for manually ordered lists (e.g. Kanban columns).
+ *
+ * Items are spaced RANK_STEP apart. Moving an item between two neighbours
+ * gives it the midpoint of their ranks, so a drag only rewrites the moved
+ * item. Only when repeated inserts at the same spot exhaust the gap does the
+ * list need to be spread out again (see needsRebalance/initialRanks).
+ */
+
+// Distance between consecutive items when a list is (re)numbered.
+const RANK_STEP = 1024;
+
+// Below this gap, midpoints lose precision and the list should be rebalanced.
+const MIN_GAP = 1e-6;
+
+/**
+ * Returns a rank between two optional neighbour ranks.
+ *
+ * @param {number|null|undefined} before The rank of the item that comes before.
+ * @param {number|null|undefined} after The rank of the item that comes after.
+ * @returns {number}
+ */
+const rankBetween = (before, after) => {
+  const hasBefore = typeof before === 'number';
+  const hasAfter = typeof after === 'number';
+
+  if (hasBefore && hasAfter) return (before + after) / 2;
+  if (hasBefore) return before + RANK_STEP;
+  if (hasAfter) return after - RANK_STEP;
+  return RANK_STEP;
+};
+
+/**
+ * Whether two neighbour ranks are too close to fit another item between them.
+ */
+const needsRebalance = (before, after) =>
+  typeof before === 'number' && typeof after === 'number' && after - before < MIN_GAP;
+
+/**
+ * Returns `count` evenly spaced ranks, used when a list is ranked for the
+ * first time or rebalanced.
+ *
+ * @param {number} count The number of ranks to generate.
+ * @returns {Array<number>}
+ */
+const initialRanks = (count) =>
+  Array.from({ length: count }, (_, i) => (i + 1) * RANK_STEP);
+
+module.exports = {
+  RANK_STEP,
+  rankBetween,
+  needsRebalance,
+  initialRanks,
+};
@@ -0,0 +1,124 @@
+// test/queryFeatures.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const queryFeatures = require('../src/utils/queryFeatures');
+
+const FIELD_TYPES = {
+  title: 'string',
+  priority: 'string',
+  tags: 'string',
+  dueDate: 'date',
+  estimateMinutes: 'number',
+  isKeyTask: 'boolean',
+  workspace: 'objectId',
+};
+
+const assertRejected = (fn, message) => {
+  assert.throws(fn, error => error.statusCode === 400 && message.test(error.message));
+};
+
+test('filters cast values to the field type', () => {
+  const workspace = new mongoose.Types.ObjectId();
+  const filter = queryFeatures.buildFilter(
+    {
+      title: 'Report',
+      isKeyTask: 'true',
+      workspace: workspace.toString(),
+      dueDate: { lte: '2030-05-01' },
+      estimateMinutes: { gt: '30', lt: '120' },
+    },
+    FIELD_TYPES
+  );
+
+  assert.deepStrictEqual(filter, {
+    title: 'Report',
+    isKeyTask: true,
+    workspace,
+    dueDate: { $lte: new Date('2030-05-01') },
+    estimateMinutes: { $gt: 30, $lt: 120 },
+  });
+});
+
+test('list operators split comma-separated values', () => {
+  const filter = queryFeatures.buildFilter(
+    { priority: { in: 'High,Critical,' }, tags: { all: 'a,b' }, dueDate: { exists: 'false' } },
+    FIELD_TYPES
+  );
+
+  assert.deepStrictEqual(filter, {
+    priority: { $in: ['High', 'Critical'] },
+    tags: { $all: ['a', 'b'] },
+    dueDate: { $exists: false },
+  });
+});
+
+test('unknown fields, operators and invalid values are rejected', () => {
+  assertRejected(() => queryFeatures.buildFilter({ password: 'x' }, FIELD_TYPES), /not supported/);
+  assertRejected(() => queryFeatures.buildFilter({ title: { regex: '.*' } }, FIELD_TYPES), /operator "regex"/);
+  assertRejected(() => queryFeatures.buildFilter({ estimateMinutes: 'lots' }, FIELD_TYPES), /Invalid number/);
+  assertRejected(() => queryFeatures.buildFilter({ dueDate: { gt: 'soon' } }, FIELD_TYPES), /Invalid date/);
+  assertRejected(() => queryFeatures.buildFilter({ isKeyTask: 'yes' }, FIELD_TYPES), /Invalid boolean/);
+  assertRejected(() => queryFeatures.buildFilter({ workspace: '123' }, FIELD_TYPES), /Invalid ID/);
+});
+
+test('sorts end with _id as a tiebreaker in the last direction', () => {
+  assert.deepStrictEqual(queryFeatures.parseSort('-dueDate,priority', FIELD_TYPES), [
+    ['dueDate', -1],
+    ['priority', 1],
+    ['_id', 1],
+  ]);
+  assert.deepStrictEqual(queryFeatures.parseSort(undefined, { createdAt: 'date' }), [
+    ['createdAt', -1],
+    ['_id', -1],
+  ]);
+  assertRejected(() => queryFeatures.parseSort('password', FIELD_TYPES), /Sorting on "password"/);
+});
+
+test('cursors round-trip the sort values of a document', () => {
+  const sortSpec = queryFeatures.parseSort('dueDate', FIELD_TYPES);
+  const doc = { _id: new mongoose.Types.ObjectId(), dueDate: new Date('2030-01-01') };
+
+  const values = queryFeatures.decodeCursor(queryFeatures.encodeCursor(doc, sortSpec), sortSpec, FIELD_TYPES);
+
+  assert.deepStrictEqual(values, [doc.dueDate, doc._id]);
+  assertRejected(() => queryFeatures.decodeCursor('not-a-cursor', sortSpec, FIELD_TYPES), /cursor/);
+});
+
+test('the cursor condition selects documents after the cursor, with nulls first', () => {
+  const id = new mongoose.Types.ObjectId();
+  const ascending = queryFeatures.parseSort('dueDate', FIELD_TYPES);
+  const descending = queryFeatures.parseSort('-dueDate', FIELD_TYPES);
+  const dueDate = new Date('2030-01-01');
+
+  assert.deepStrictEqual(queryFeatures.buildCursorCondition([dueDate, id], ascending), {
+    $or: [
+      { dueDate: { $gt: dueDate } },
+      { $and: [{ dueDate }, { _id: { $gt: id } }] },
+    ],
+  });
+  assert.deepStrictEqual(queryFeatures.buildCursorCondition([dueDate, id], descending), {
+    $or: [
+      { $or: [{ dueDate: { $lt: dueDate } }, { dueDate: null }] },
+      { $and: [{ dueDate }, { $or: [{ _id: { $lt: id } }, { _id: null }] }] },
+    ],
+  });
+  // Ascending, a missing due date comes first: every dated task follows it
+  assert.deepStrictEqual(queryFeatures.buildCursorCondition([null, id], ascending).$or[0], { dueDate: { $ne: null } });
+});
+
+test('field selections keep required fields and refuse hidden ones', () => {
+  assert.strictEqual(queryFeatures.parseFields('title,priority', ['googleEventId'], ['_id']), 'title priority _id');
+  assert.strictEqual(queryFeatures.parseFields('-description,-_id', [], ['_id']), '-description');
+  assert.strictEqual(queryFeatures.parseFields(undefined), null);
+  assertRejected(() => queryFeatures.parseFields('googleEventId', ['googleEventId']), /cannot be selected/);
+  assertRejected(() => queryFeatures.parseFields('title,-description'), /Cannot mix/);
+});
+
+test('limits fall back to the default and are capped', () => {
+  assert.strictEqual(queryFeatures.parseLimit('20'), 20);
+  assert.strictEqual(queryFeatures.parseLimit('0'), 50);
+  assert.strictEqual(queryFeatures.parseLimit('many'), 50);
+  assert.strictEqual(queryFeatures.parseLimit('1000'), 200);
+});
@@ -0,0 +1,38 @@
+// test/rank.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { RANK_STEP, rankBetween, needsRebalance, initialRanks } = require('../src/utils/rank');
+
+test('a rank between two neighbours is their midpoint', () => {
+  assert.strictEqual(rankBetween(1024, 2048), 1536);
+  assert.strictEqual(rankBetween(-10, 10), 0);
+});
+
+test('a rank next to a single neighbour is one step away from it', () => {
+  assert.strictEqual(rankBetween(2048, null), 2048 + RANK_STEP);
+  assert.strictEqual(rankBetween(undefined, 1024), 1024 - RANK_STEP);
+  assert.strictEqual(rankBetween(null, null), RANK_STEP);
+});
+
+test('neighbours too close together need the list to be rebalanced', () => {
+  assert.strictEqual(needsRebalance(1, 1 + 1e-7), true);
+  assert.strictEqual(needsRebalance(1, 2), false);
+  assert.strictEqual(needsRebalance(null, 1), false);
+});
+
+test('repeated inserts at the same spot eventually need a rebalance', () => {
+  let after = 2048;
+  let inserts = 0;
+  while (!needsRebalance(1024, after)) {
+    after = rankBetween(1024, after);
+    inserts += 1;
+  }
+
+  assert.ok(inserts > 20, `only ${inserts} inserts fit`);
+});
+
+test('initial ranks are evenly spaced and ascending', () => {
+  assert.deepStrictEqual(initialRanks(3), [RANK_STEP, 2 * RANK_STEP, 3 * RANK_STEP]);
+  assert.deepStrictEqual(initialRanks(0), []);
+});
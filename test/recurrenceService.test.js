@@ -0,0 +1,140 @@
+// test/recurrenceService.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const recurrenceService = require('../src/services/recurrenceService');
+
+const date = (iso) => new Date(iso);
+
+const assertRejected = (fn, message) => {
+  assert.throws(fn, error => error.statusCode === 400 && message.test(error.message));
+};
+
+test('structured rules are converted to RRULE strings', () => {
+  assert.strictEqual(
+    recurrenceService.structuredToRRule({ frequency: 'monthly', byDay: ['tu'], bySetPos: [2] }),
+    'FREQ=MONTHLY;BYDAY=TU;BYSETPOS=2'
+  );
+  assert.strictEqual(
+    recurrenceService.structuredToRRule({ frequency: 'weekly', interval: 2, until: '2030-03-01T00:00:00Z' }),
+    'FREQ=WEEKLY;INTERVAL=2;UNTIL=20300301T000000Z'
+  );
+  assertRejected(() => recurrenceService.structuredToRRule({ frequency: 'hourly' }), /frequency/);
+});
+
+test('a rule starting in the future begins at its first matching occurrence', () => {
+  const recurring = recurrenceService.normalizeRecurrence(
+    { rrule: 'FREQ=WEEKLY;BYDAY=MO', startDate: '2030-01-02T09:00:00Z' },
+    date('2026-10-19T00:00:00Z')
+  );
+
+  assert.strictEqual(recurring.frequency, 'weekly');
+  assert.strictEqual(recurring.mode, 'schedule');
+  assert.strictEqual(recurring.catchUp, 'all');
+  assert.deepStrictEqual(recurring.nextDueDate, date('2030-01-07T09:00:00Z'));
+});
+
+test('DTSTART and EXDATE lines are read from an RRULE input', () => {
+  const recurring = recurrenceService.normalizeRecurrence(
+    'DTSTART:20300107T090000Z\nRRULE:FREQ=WEEKLY\nEXDATE:20300107T090000Z,20300114T090000Z',
+    date('2026-10-19T00:00:00Z')
+  );
+
+  assert.strictEqual(recurring.rrule, 'FREQ=WEEKLY');
+  assert.deepStrictEqual(recurring.dtStart, date('2030-01-07T09:00:00Z'));
+  assert.deepStrictEqual(recurring.exDates, [date('2030-01-07T09:00:00Z'), date('2030-01-14T09:00:00Z')]);
+  assert.deepStrictEqual(recurring.nextDueDate, date('2030-01-21T09:00:00Z'));
+});
+
+test('EXDATE lines are combined with exDates', () => {
+  const recurring = recurrenceService.normalizeRecurrence(
+    {
+      rrule: 'RRULE:FREQ=DAILY\nEXDATE:20300102T090000Z',
+      startDate: '2030-01-01T09:00:00Z',
+      exDates: ['2030-01-01T09:00:00Z'],
+    },
+    date('2026-10-19T00:00:00Z')
+  );
+
+  assert.strictEqual(recurring.exDates.length, 2);
+  assert.deepStrictEqual(recurring.nextDueDate, date('2030-01-03T09:00:00Z'));
+});
+
+test('invalid or unsupported lines in an RRULE input are rejected', () => {
+  assertRejected(() => recurrenceService.normalizeRecurrence('FREQ=DAILY\nEXDATE:tomorrow'), /EXDATE/);
+  assertRejected(() => recurrenceService.normalizeRecurrence('FREQ=DAILY\nRDATE:20300101T090000Z'), /RDATE/);
+  assertRejected(() => recurrenceService.normalizeRecurrence('DTSTART:20300101T090000Z'), /RRULE part/);
+});
+
+test('a start date in the past does not backfill occurrences before creation', () => {
+  const now = date('2026-10-19T12:00:00Z');
+  const recurring = recurrenceService.normalizeRecurrence(
+    { rrule: 'FREQ=DAILY', startDate: '2026-01-01T09:00:00Z' },
+    now
+  );
+
+  // The start still anchors the series' time of day
+  assert.deepStrictEqual(recurring.dtStart, date('2026-01-01T09:00:00Z'));
+  assert.deepStrictEqual(recurring.nextDueDate, date('2026-10-20T09:00:00Z'));
+  assert.deepStrictEqual(recurrenceService.getOccurrencesBetween(recurring, recurring.nextDueDate, now), []);
+});
+
+test('a rule whose occurrences all lie before creation is rejected', () => {
+  assertRejected(
+    () => recurrenceService.normalizeRecurrence(
+      { rrule: 'FREQ=DAILY;COUNT=3', startDate: '2026-01-01T09:00:00Z' },
+      date('2026-10-19T12:00:00Z')
+    ),
+    /upcoming occurrences/
+  );
+});
+
+test('invalid rules and settings are rejected', () => {
+  assertRejected(() => recurrenceService.normalizeRecurrence('FREQ=HOURLY'), /more frequent than daily/);
+  assertRejected(() => recurrenceService.normalizeRecurrence('FREQ=DAILY;COUNT=3;UNTIL=20300101T000000Z'), /COUNT and UNTIL/);
+  assertRejected(() => recurrenceService.normalizeRecurrence('FREQ=WEEKLY;BYDAY=XX'), /BYDAY/);
+  assertRejected(() => recurrenceService.normalizeRecurrence({ rrule: 'FREQ=DAILY', mode: 'sometimes' }), /mode/);
+  assertRejected(() => recurrenceService.normalizeRecurrence({ rrule: 'FREQ=DAILY', catchUp: 'some' }), /catch-up/);
+  assertRejected(() => recurrenceService.normalizeRecurrence({ rrule: 'FREQ=DAILY', startDate: 'soon' }), /start date/);
+  assertRejected(
+    () => recurrenceService.normalizeRecurrence({ rrule: 'FREQ=DAILY;COUNT=3', mode: 'completion' }),
+    /COUNT cannot be used/
+  );
+});
+
+test('occurrences skip excluded dates and stop at the end of the series', () => {
+  const recurring = {
+    rrule: 'FREQ=DAILY;COUNT=4',
+    dtStart: date('2030-01-01T09:00:00Z'),
+    exDates: [date('2030-01-02T09:00:00Z')],
+  };
+
+  assert.deepStrictEqual(recurrenceService.getOccurrences(recurring, date('2030-01-01T00:00:00Z'), 10), [
+    date('2030-01-01T09:00:00Z'),
+    date('2030-01-03T09:00:00Z'),
+    date('2030-01-04T09:00:00Z'),
+  ]);
+  assert.deepStrictEqual(
+    recurrenceService.getOccurrencesBetween(recurring, date('2030-01-01T00:00:00Z'), date('2030-01-03T09:00:00Z'), 1),
+    [date('2030-01-01T09:00:00Z')]
+  );
+  assert.strictEqual(recurrenceService.getNextOccurrence(recurring, date('2030-01-04T09:00:00Z')), null);
+});
+
+test('legacy templates are read as a rule starting at their next due date', () => {
+  const recurring = { frequency: 'weekly', interval: 2, nextDueDate: date('2030-01-07T09:00:00Z') };
+
+  assert.deepStrictEqual(
+    recurrenceService.getNextOccurrence(recurring, date('2030-01-07T09:00:00Z')),
+    date('2030-01-21T09:00:00Z')
+  );
+});
+
+test('completion-based series restart from the completion day at their time of day', () => {
+  const recurring = { rrule: 'FREQ=DAILY;INTERVAL=3', dtStart: date('2030-01-01T09:00:00Z') };
+
+  assert.deepStrictEqual(
+    recurrenceService.getNextAfterCompletion(recurring, date('2030-02-10T17:30:00Z')),
+    date('2030-02-13T09:00:00Z')
+  );
+});
@@ -0,0 +1,57 @@
+// test/taskHistoryTracking.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Task = require('../src/api/models/taskModel');
+
+// Without a connection, saving fails right after the save middleware has
+// run, which leaves the history entries it queued.
+mongoose.set('bufferCommands', false);
+
+const loadTask = (fields = {}) => Task.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  title: 'Write report',
+  status: 'To Do',
+  statusCategory: 'todo',
+  workspace: new mongoose.Types.ObjectId(),
+  user: new mongoose.Types.ObjectId(),
+  subTasks: [{ title: 'Outline', isCompleted: false }],
+  timeSpentMinutes: 0,
+  __v: 0,
+  ...fields,
+});
+
+const historyQueuedBySave = async (task) => {
+  await assert.rejects(task.save());
+  return (task.$locals.pendingHistory || []).map(entry => entry.field || entry.action);
+};
+
+test('changes to top-level fields are recorded once each', async () => {
+  const task = loadTask();
+  task.title = 'Write final report';
+  task.tags = ['reports'];
+
+  assert.deepStrictEqual(await historyQueuedBySave(task), ['title', 'tags']);
+});
+
+test('nested paths are recorded as their top-level field', async () => {
+  const task = loadTask({
+    isRecurringTemplate: true,
+    recurring: { frequency: 'weekly', interval: 1, nextDueDate: new Date('2026-10-19') },
+  });
+  task.recurring.interval = 2;
+  task.recurring.nextDueDate = new Date('2026-10-26');
+
+  assert.deepStrictEqual(await historyQueuedBySave(task), ['recurring']);
+});
+
+test('fields with their own history entries are left to the code changing them', async () => {
+  const task = loadTask();
+  task.timeSpentMinutes = 30;
+  task.subTasks.push({ title: 'Review' });
+  task.blockedBy.push(new mongoose.Types.ObjectId());
+  task.recordHistory({ action: 'time_logged', description: 'Logged 30 minutes' });
+
+  assert.deepStrictEqual(await historyQueuedBySave(task), ['time_logged']);
+});
@@ -0,0 +1,47 @@
+// test/taskNoteVersion.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const TaskNote = require('../src/api/models/taskNoteModel');
+
+// Without a connection, running a query fails right after its middleware has
+// run, which leaves the filter the database would have received.
+mongoose.set('bufferCommands', false);
+
+const filterSentFor = async (note) => {
+  const query = TaskNote.findOneAndUpdate(
+    { _id: note._id, ...TaskNote.versionCondition(note.version) },
+    { content: 'Edited', $inc: { version: 1 } }
+  );
+  await assert.rejects(query.exec());
+  return query.getFilter();
+};
+
+test('editing a note stored without a version also matches a missing version', async () => {
+  // A note as copied by migrateTaskActivity.js before it wrote a version
+  const note = TaskNote.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    task: new mongoose.Types.ObjectId(),
+    author: new mongoose.Types.ObjectId(),
+    content: 'Migrated note',
+  });
+  assert.strictEqual(note.version, 0);
+
+  const sent = await filterSentFor(note);
+
+  // In MongoDB, null matches documents where the field is missing
+  assert.deepStrictEqual(sent.version, { $in: [0, null] });
+});
+
+test('editing a note that has been edited before matches its exact version', async () => {
+  const note = TaskNote.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    content: 'Edited note',
+    version: 2,
+  });
+
+  const sent = await filterSentFor(note);
+
+  assert.strictEqual(sent.version, 2);
+});
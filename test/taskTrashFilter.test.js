@@ -0,0 +1,47 @@
+// test/taskTrashFilter.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Task = require('../src/api/models/taskModel');
+const queryFeatures = require('../src/utils/queryFeatures');
+
+// Without a connection, running a query fails right after its middleware has
+// run, which leaves the filter the database would have received.
+mongoose.set('bufferCommands', false);
+
+const TRASH_FIELDS = { deletedAt: 'date' };
+
+const filterSentFor = async (filter) => {
+  const query = Task.find(filter);
+  await assert.rejects(query.exec());
+  return query.getFilter();
+};
+
+// The filter getTrash sends for the page after `lastTask`, as built by
+// queryFeatures.paginate
+const trashPageFilter = (lastTask) => {
+  const sortSpec = queryFeatures.parseSort('-deletedAt', TRASH_FIELDS);
+  const cursor = queryFeatures.encodeCursor(lastTask, sortSpec);
+  return {
+    $and: [
+      { workspace: new mongoose.Types.ObjectId(), deletedAt: { $ne: null } },
+      queryFeatures.buildCursorCondition(queryFeatures.decodeCursor(cursor, sortSpec, TRASH_FIELDS), sortSpec),
+    ],
+  };
+};
+
+test('the second page of the trash still queries trashed tasks', async () => {
+  const filter = trashPageFilter({ _id: new mongoose.Types.ObjectId(), deletedAt: new Date() });
+
+  const sent = await filterSentFor(filter);
+
+  assert.deepStrictEqual(sent, filter);
+});
+
+test('other queries hide trashed tasks, with or without a cursor', async () => {
+  const workspace = new mongoose.Types.ObjectId();
+
+  assert.strictEqual((await filterSentFor({ workspace })).deletedAt, null);
+  assert.strictEqual((await filterSentFor({ $and: [{ workspace }, { _id: { $lt: workspace } }] })).deletedAt, null);
+});